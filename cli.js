@@ -1,162 +1,422 @@
 #!/usr/bin/env node
 
+const path = require("path");
+const { parseArgs } = require("util");
 const ElementScraper = require("./src/scraper");
+const VisualRegression = require("./src/visual-regression");
+const SiteBuilder = require("./src/site-builder");
+const RunDiff = require("./src/run-diff");
+const ConfigLoader = require("./src/config-loader");
+const { ConfigError } = ConfigLoader;
+const {
+  INTERACTION_STATES,
+  findUnknownStates,
+} = require("./src/interaction-states");
+const {
+  REPORT_FORMATS,
+  findUnknownFormats,
+} = require("./src/report-formats");
+const {
+  SCREENSHOT_FORMATS,
+  isScreenshotFormat,
+} = require("./src/screenshot-settings");
 const configs = require("./config/scraping-configs");
 
-async function runScraper() {
-  const args = process.argv.slice(2);
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1; // The scrape, crawl or report failed
+const EXIT_VISUAL_DIFF = 2; // Visual diffs exceed the threshold, or variations were added or removed
+const EXIT_USAGE = 64; // Invalid command line (sysexits EX_USAGE)
+const EXIT_CONFIG = 78; // Invalid config file (sysexits EX_CONFIG)
 
-  if (args.length === 0) {
-    console.log(`
+const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h" },
+  config: { type: "string", short: "c" },
+  output: { type: "string", short: "o" },
+  "max-urls": { type: "string" },
+  depth: { type: "string" },
+  delay: { type: "string" },
+  include: { type: "string", multiple: true },
+  exclude: { type: "string", multiple: true },
+  viewport: { type: "string", multiple: true },
+  concurrency: { type: "string" },
+  headless: { type: "boolean" },
+  headed: { type: "boolean" },
+  threshold: { type: "string" },
+  resume: { type: "boolean" },
+  incremental: { type: "boolean" },
+  "ignore-robots": { type: "boolean" },
+  "user-agent": { type: "string" },
+  states: { type: "string" },
+  format: { type: "string" },
+  "screenshot-format": { type: "string" },
+  quality: { type: "string" },
+  "max-pixels": { type: "string" },
+  "thumbnail-width": { type: "string" },
+  site: { type: "string" },
+};
+
+const HELP = `
 Web Element Scraper CLI
 
 Usage:
-  node cli.js <config-name>           # Use predefined configuration
-  node cli.js <url> <selector>        # Custom scraping
-  node cli.js <url> <selector> <prefix>  # Custom with class prefix
-  node cli.js sitemap <base-url> <selector> [options]  # Scrape from sitemap
+  node cli.js scrape <config-name | url> [selector] [prefix] [options]
+  node cli.js crawl <config-name | base-url> [selector] [prefix] [options]
+  node cli.js report [--output <dir>]     # Rebuild the reports from variations.json
+  node cli.js publish [--site <dir>]      # Build the static documentation site
+  node cli.js list-configs                # Show the available configurations
+  node cli.js approve-baseline            # Save current output as the visual baseline
+  node cli.js compare [threshold]         # Diff current output against the baseline
+  node cli.js diff [from-run] [to-run]    # Changelog of block changes between two runs
+
+Shorthands:
+  node cli.js <config-name>               # scrape, or crawl for sitemap configs
+  node cli.js <url> <selector> [prefix]   # scrape
+  node cli.js sitemap <base-url> <selector> [prefix]  # crawl
+
+Options:
+  -c, --config <path>      Load configurations from a .json, .yaml or .js file,
+                           or a directory of them
+  -o, --output <dir>       Output directory (default: output). Every scrape and
+                           crawl writes to its own runs/<timestamp> directory
+                           in it; report, publish and compare use latest/
+  --viewport <viewport>    Capture at a viewport: mobile, tablet, desktop,
+                           <width>x<height> or <name>=<width>x<height> (repeatable)
+  --headless / --headed    Force the browser mode (default: headless only in CI)
+  --user-agent <ua>        User agent of the browser and of robots.txt and sitemap
+                           requests (default: ElementScraper/<version>)
+  --states <list>          Also capture interaction states, comma separated:
+                           hover, focus, active
+  --format <list>          Also write the report in these formats, comma
+                           separated: markdown, pdf (scrape, crawl, report)
+  --screenshot-format <f>  Save screenshots as png (default), jpeg or webp
+  --quality <1-100>        Quality of JPEG and WebP screenshots (default: 80)
+  --max-pixels <n>         Scale screenshots larger than n pixels down to n
+  --thumbnail-width <px>   Width of report thumbnails, e.g. 320 (default: none)
+  -h, --help               Show this help
+
+Crawl options:
+  --max-urls <n>           Maximum number of pages to scrape
+  --depth <n>              Maximum link-following depth
+  --delay <ms>             Delay between pages of a worker
+  --include <pattern>      Only crawl sitemap URLs containing the pattern (repeatable)
+  --exclude <pattern>      Skip sitemap URLs containing the pattern (repeatable)
+  --concurrency <n>        Number of pages crawled at once
+  --resume                 Continue an interrupted crawl from its checkpoint
+  --incremental            Only re-render sitemap pages whose lastmod changed
+  --ignore-robots          Crawl pages robots.txt disallows (only with permission)
+
+Publish options:
+  --site <dir>             Site directory, replaced on every build (default: pages)
 
-Available configurations:
-${Object.keys(configs)
-  .map((key) => `  - ${key}: ${configs[key].description}`)
-  .join("\n")}
+Compare options:
+  --threshold <ratio>      Fail when a variation differs by more than this share of pixels
+
+Diff runs:
+  Runs are picked by ID (see output/index.html) or "latest". to-run defaults
+  to latest, from-run to the completed run before to-run.
+
+Flags override the values of the configuration they are used with.
+
+Exit codes:
+  ${EXIT_OK}   Success
+  ${EXIT_FAILURE}   Scrape, crawl, report, site build or run diff failed
+  ${EXIT_VISUAL_DIFF}   Visual diffs exceed the threshold, or variations were added or removed (compare)
+  ${EXIT_USAGE}  Invalid command line
+  ${EXIT_CONFIG}  Invalid config file
 
 Examples:
-  node cli.js buttons                 # Scrape Bootstrap buttons
-  node cli.js cards                   # Scrape Bootstrap cards  
-  node cli.js https://example.com .item  # Custom scraping
-  node cli.js https://example.com .btn btn-  # Custom with prefix
-  
-Sitemap Examples:
-  node cli.js sitemap https://example.com .btn  # Scrape buttons from sitemap
-  node cli.js sitemap https://example.com .wp-block wp-block-  # WordPress blocks from sitemap
-        `);
-    return;
-  }
-
-  const scraper = new ElementScraper();
-  let config;
+  node cli.js scrape timbertech --viewport mobile --headless
+  node cli.js crawl timbertech-sitemap --screenshot-format webp --max-pixels 2000000
+  node cli.js scrape https://example.com .btn btn-
+  node cli.js crawl timbertech-sitemap --max-urls 50 --exclude /blog/
+  node cli.js crawl https://example.com .wp-block wp-block- --depth 1 -o output/example
+  node cli.js report -o output/example --format markdown,pdf
+  node cli.js publish -o output/example --site public
+  node cli.js compare --threshold 0.02
+  node cli.js diff 2026-10-12T02-00-04Z latest
+`;
 
-  // Check for sitemap scraping
-  if (args[0] === "sitemap") {
-    if (args.length < 3) {
-      console.error(
-        "❌ Sitemap scraping requires: node cli.js sitemap <base-url> <selector> [class-prefix]"
-      );
-      return;
-    }
+/**
+ * Error caused by an invalid command line, reported with the usage exit code
+ */
+class UsageError extends Error {}
 
-    const baseUrl = args[1];
-    const selector = args[2];
-    const variationClassPrefix = args[3] || "";
+/**
+ * Parse a numeric flag value
+ * @param {string|undefined} value - Raw flag value
+ * @param {string} flag - Flag name, for error messages
+ * @param {Object} options - { integer, min }
+ * @returns {number|undefined} The number, or undefined when the flag wasn't given
+ */
+function parseNumberFlag(value, flag, { integer = true, min = 0 } = {}) {
+  if (value === undefined) return undefined;
 
-    try {
-      console.log(`🗺️  Starting sitemap scraping for: ${baseUrl}`);
-      console.log(`🎯 Selector: ${selector}`);
-      if (variationClassPrefix) {
-        console.log(`🏷️  Class prefix filter: ${variationClassPrefix}`);
-      }
-      console.log("---");
-
-      const result = await scraper.scrapeSitemap(
-        baseUrl,
-        selector,
-        variationClassPrefix,
-        {
-          maxUrls: 10,
-          delayBetweenPages: 2000,
-          continueOnError: true,
-        }
-      );
+  const number = Number(value);
+  if (
+    value.trim() === "" ||
+    isNaN(number) ||
+    number < min ||
+    (integer && !Number.isInteger(number))
+  ) {
+    throw new UsageError(
+      `--${flag} must be ${
+        integer ? "an integer" : "a number"
+      } >= ${min}, got "${value}"`
+    );
+  }
+  return number;
+}
 
-      console.log(`\n🎉 Sitemap scraping completed successfully!`);
-      console.log(`📊 Total variations found: ${result.variations.length}`);
-      console.log(
-        `✅ Successful pages: ${result.stats.successfulPages}/${result.stats.totalPages}`
-      );
-      console.log(`📄 Report saved to: ${result.reportPath}`);
-      console.log(`📁 Screenshots saved to: output/screenshots/`);
-
-      if (result.failedUrls.length > 0) {
-        console.log(`\n⚠️  Some pages failed to scrape:`);
-        result.failedUrls.forEach(({ url, error }) => {
-          console.log(`   - ${url}: ${error}`);
-        });
-      }
+/**
+ * Parse a --viewport value: a preset name, <width>x<height> or <name>=<width>x<height>
+ * @param {string} value - Raw flag value
+ * @returns {Object} { name, width, height }
+ */
+function parseViewport(value) {
+  if (configs.viewportPresets[value]) {
+    return configs.viewportPresets[value];
+  }
 
-      return;
-    } catch (error) {
-      console.error("❌ Sitemap scraping failed:", error.message);
-      process.exit(1);
-    }
-  }
-
-  // Check if first argument is a predefined config
-  if (configs[args[0]]) {
-    config = configs[args[0]];
-    console.log(`Using configuration: ${args[0]} - ${config.description}`);
-
-    // Handle sitemap configurations
-    if (config.isSitemap) {
-      try {
-        console.log(`🗺️  Starting sitemap scraping for: ${config.url}`);
-        console.log(`🎯 Selector: ${config.selector}`);
-        if (config.variationClassPrefix) {
-          console.log(
-            `🏷️  Class prefix filter: ${config.variationClassPrefix}`
-          );
-        }
-        console.log("---");
-
-        const result = await scraper.scrapeSitemap(
-          config.url,
-          config.selector,
-          config.variationClassPrefix,
-          {
-            maxUrls: config.maxUrls || 15,
-            delayBetweenPages: 2000,
-            continueOnError: true,
-            manualUrls: config.manualUrls || null,
-            followLinks: config.followLinks !== false, // Default to true unless explicitly disabled
-            maxDepth: config.maxDepth || 2,
-          }
-        );
-
-        console.log(`\n🎉 Sitemap scraping completed successfully!`);
-        console.log(`📊 Total variations found: ${result.variations.length}`);
-        console.log(
-          `✅ Successful pages: ${result.stats.successfulPages}/${result.stats.totalPages}`
-        );
-        console.log(`📄 Report saved to: ${result.reportPath}`);
-        console.log(`📁 Screenshots saved to: output/screenshots/`);
-
-        if (result.failedUrls.length > 0) {
-          console.log(`\n⚠️  Some pages failed to scrape:`);
-          result.failedUrls.forEach(({ url, error }) => {
-            console.log(`   - ${url}: ${error}`);
-          });
-        }
-
-        return;
-      } catch (error) {
-        console.error("❌ Sitemap scraping failed:", error.message);
-        process.exit(1);
-      }
-    }
-  } else if (args.length >= 2) {
-    // Custom configuration from command line
+  const match = value.match(/^(?:([\w-]+)=)?(\d+)x(\d+)$/);
+  if (!match) {
+    throw new UsageError(
+      `Invalid --viewport "${value}" (use ${Object.keys(
+        configs.viewportPresets
+      ).join(", ")}, <width>x<height> or <name>=<width>x<height>)`
+    );
+  }
+
+  const [, name, width, height] = match;
+  return {
+    name: name || `${width}x${height}`,
+    width: parseInt(width, 10),
+    height: parseInt(height, 10),
+  };
+}
+
+/**
+ * Parse a --states value: a comma separated list of interaction states
+ * @param {string|undefined} value - Raw flag value
+ * @returns {Array<string>|undefined} States, or undefined when the flag wasn't given
+ */
+function parseStates(value) {
+  if (value === undefined) return undefined;
+
+  const states = value
+    .split(",")
+    .map((state) => state.trim())
+    .filter(Boolean);
+  const unknown = findUnknownStates(states);
+  if (states.length === 0 || unknown.length > 0) {
+    throw new UsageError(
+      `Invalid --states "${value}" (use a comma separated list of ${INTERACTION_STATES.join(
+        ", "
+      )})`
+    );
+  }
+  return [...new Set(states)];
+}
+
+/**
+ * Parse a --format value: a comma separated list of extra report formats
+ * @param {string|undefined} value - Raw flag value
+ * @returns {Array<string>|undefined} Formats, or undefined when the flag wasn't given
+ */
+function parseFormats(value) {
+  if (value === undefined) return undefined;
+
+  const formats = value
+    .split(",")
+    .map((format) => format.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = findUnknownFormats(formats);
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new UsageError(
+      `Invalid --format "${value}" (use a comma separated list of ${REPORT_FORMATS.join(
+        ", "
+      )})`
+    );
+  }
+  return [...new Set(formats)];
+}
+
+/**
+ * Parse the screenshot flags into overrides of a config's `screenshots`
+ * @param {Object} values - Parsed flags
+ * @returns {Object|undefined} Settings given on the command line, or undefined when there are none
+ */
+function parseScreenshotFlags(values) {
+  const format = values["screenshot-format"];
+  if (format !== undefined && !isScreenshotFormat(format.toLowerCase())) {
+    throw new UsageError(
+      `Invalid --screenshot-format "${format}" (use ${SCREENSHOT_FORMATS.join(
+        ", "
+      )})`
+    );
+  }
+  const quality = parseNumberFlag(values.quality, "quality", { min: 1 });
+  if (quality !== undefined && quality > 100) {
+    throw new UsageError("--quality must be an integer between 1 and 100");
+  }
+
+  const settings = {
+    format: format && format.toLowerCase(),
+    quality,
+    maxPixels: parseNumberFlag(values["max-pixels"], "max-pixels", {
+      min: 1,
+    }),
+    thumbnailWidth: parseNumberFlag(
+      values["thumbnail-width"],
+      "thumbnail-width"
+    ),
+  };
+  Object.keys(settings).forEach((key) => {
+    if (settings[key] === undefined) delete settings[key];
+  });
+  return Object.keys(settings).length > 0 ? settings : undefined;
+}
+
+/**
+ * Built-in configurations, plus those loaded from --config
+ * @param {Object} values - Parsed flags
+ * @returns {Promise<Object>} { available, sources } - configurations and the file each loaded one came from
+ */
+async function loadConfigs(values) {
+  if (!values.config) {
+    return { available: configs, sources: {} };
+  }
+
+  const { configs: loaded, sources } = await ConfigLoader.load(
+    values.config,
+    configs
+  );
+  return { available: { ...configs, ...loaded }, sources };
+}
+
+/**
+ * Resolve the configuration a scrape or crawl runs with, then apply flag overrides
+ * @param {Array<string>} positionals - <config-name | url> [selector] [prefix]
+ * @param {Object} values - Parsed flags
+ * @returns {Object} Configuration
+ */
+async function resolveConfig(positionals, values) {
+  const { available, sources } = await loadConfigs(values);
+  const loadedNames = Object.keys(sources);
+  const [target, selector, prefix] = positionals;
+  let config;
+
+  if (target && available[target]) {
+    config = { ...available[target], name: target };
+  } else if (!target && loadedNames.length === 1) {
+    // --config with a single configuration needs no name
+    config = { ...available[loadedNames[0]], name: loadedNames[0] };
+  } else if (target && selector) {
     config = {
-      url: args[0],
-      selector: args[1],
-      variationClassPrefix: args[2] || "",
+      url: target,
+      selector,
+      variationClassPrefix: prefix || "",
       description: "Custom configuration",
     };
-    console.log(`Using custom configuration`);
+  } else if (target && !/^https?:\/\//.test(target)) {
+    throw new UsageError(
+      `Unknown configuration "${target}". Run "node cli.js list-configs" to see them.`
+    );
   } else {
-    console.error('Invalid arguments. Use "node cli.js" for help.');
-    return;
+    throw new UsageError(
+      "A configuration name or a URL and selector are required"
+    );
   }
 
+  const overrides = {
+    maxUrls: parseNumberFlag(values["max-urls"], "max-urls", { min: 1 }),
+    maxDepth: parseNumberFlag(values.depth, "depth"),
+    delayBetweenPages: parseNumberFlag(values.delay, "delay"),
+    concurrency: parseNumberFlag(values.concurrency, "concurrency", {
+      min: 1,
+    }),
+    includePatterns: values.include,
+    excludePatterns: values.exclude,
+    viewports: values.viewport && values.viewport.map(parseViewport),
+    interactionStates: parseStates(values.states),
+    reportFormats: parseFormats(values.format),
+    userAgent: values["user-agent"],
+  };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) config[key] = value;
+  });
+  if (overrides.viewports) {
+    const names = overrides.viewports.map(({ name }) => name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new UsageError(`--viewport "${duplicate}" is given more than once`);
+    }
+  }
+  const screenshots = parseScreenshotFlags(values);
+  if (screenshots) {
+    config.screenshots = { ...config.screenshots, ...screenshots };
+  }
+
+  return config;
+}
+
+/**
+ * Options for the ElementScraper constructor
+ * @private
+ */
+function getScraperOptions(config, values) {
+  return {
+    viewports: config.viewports,
+    outputDir: values.output,
+    configName: config.name,
+    headless: values.headed ? false : values.headless,
+    overlays: config.overlays,
+    computedStyles: config.computedStyles,
+    interactionStates: config.interactionStates,
+    reportFormats: config.reportFormats,
+    screenshots: config.screenshots,
+    userAgent: config.userAgent,
+  };
+}
+
+function logConfig(config) {
+  console.log(
+    config.name
+      ? `Using configuration: ${config.name} - ${config.description}`
+      : `Using custom configuration`
+  );
+  if (config.viewports) {
+    console.log(
+      `📱 Viewports: ${config.viewports
+        .map((v) => `${v.name} (${v.width}x${v.height})`)
+        .join(", ")}`
+    );
+  }
+  if (config.interactionStates && config.interactionStates.length > 0) {
+    console.log(`👆 Interaction states: ${config.interactionStates.join(", ")}`);
+  }
+  if (config.reportFormats && config.reportFormats.length > 0) {
+    console.log(`📝 Extra report formats: ${config.reportFormats.join(", ")}`);
+  }
+  if (config.screenshots) {
+    const { format, quality, maxPixels, thumbnailWidth } = config.screenshots;
+    console.log(
+      `🖼️  Screenshots: ${[
+        format,
+        quality !== undefined && `quality ${quality}`,
+        maxPixels && `max ${maxPixels} pixels`,
+        thumbnailWidth !== undefined &&
+          (thumbnailWidth ? `${thumbnailWidth}px thumbnails` : "no thumbnails"),
+      ]
+        .filter(Boolean)
+        .join(", ")}`
+    );
+  }
+}
+
+async function runScrape(config, values) {
+  const scraper = new ElementScraper(getScraperOptions(config, values));
+
   try {
     console.log(`\nStarting scrape of: ${config.url}`);
     console.log(`Selector: ${config.selector}`);
@@ -174,16 +434,279 @@ Sitemap Examples:
     console.log(`\n✅ Scraping completed successfully!`);
     console.log(`📊 Found ${result.variations.length} variations`);
     console.log(`📄 Report saved to: ${result.reportPath}`);
-    console.log(`📁 Screenshots saved to: output/screenshots/`);
+    if (result.markdownPath) {
+      console.log(`📝 Markdown report saved to: ${result.markdownPath}`);
+    }
+    if (result.pdfPath) {
+      console.log(`📑 PDF report saved to: ${result.pdfPath}`);
+    }
+    console.log(`🧾 JSON data saved to: ${result.jsonPath}`);
+    console.log(`📁 Screenshots saved to: ${scraper.screenshotsDir}/`);
+    if (result.runsIndexPath) {
+      console.log(`🗂️  Runs index saved to: ${result.runsIndexPath}`);
+    }
+    return EXIT_OK;
   } catch (error) {
     console.error("❌ Scraping failed:", error.message);
-    process.exit(1);
+    return EXIT_FAILURE;
+  }
+}
+
+async function runCrawl(config, values) {
+  const scraper = new ElementScraper(getScraperOptions(config, values));
+  // Presets get a larger default budget than ad-hoc sitemap crawls
+  const defaultMaxUrls = config.name ? 15 : 10;
+
+  try {
+    console.log(`🗺️  Starting sitemap scraping for: ${config.url}`);
+    console.log(`🎯 Selector: ${config.selector}`);
+    if (config.variationClassPrefix) {
+      console.log(`🏷️  Class prefix filter: ${config.variationClassPrefix}`);
+    }
+    console.log("---");
+
+    const result = await scraper.scrapeSitemap(
+      config.url,
+      config.selector,
+      config.variationClassPrefix,
+      {
+        maxUrls: config.maxUrls || defaultMaxUrls,
+        delayBetweenPages:
+          config.delayBetweenPages !== undefined
+            ? config.delayBetweenPages
+            : 2000,
+        continueOnError: true,
+        resume: values.resume,
+        incremental: values.incremental,
+        respectRobots: !values["ignore-robots"],
+        includePatterns: config.includePatterns || [],
+        excludePatterns: config.excludePatterns || [],
+        manualUrls: config.manualUrls || null,
+        followLinks: config.followLinks !== false, // Default to true unless explicitly disabled
+        maxDepth: config.maxDepth !== undefined ? config.maxDepth : 2,
+        concurrency: config.concurrency || 1,
+        perHostConcurrency: config.perHostConcurrency || 2,
+      }
+    );
+
+    console.log(`\n🎉 Sitemap scraping completed successfully!`);
+    console.log(`📊 Total variations found: ${result.variations.length}`);
+    console.log(
+      `✅ Successful pages: ${result.stats.successfulPages}/${result.stats.totalPages}`
+    );
+    console.log(`📄 Report saved to: ${result.reportPath}`);
+    if (result.markdownPath) {
+      console.log(`📝 Markdown report saved to: ${result.markdownPath}`);
+    }
+    if (result.pdfPath) {
+      console.log(`📑 PDF report saved to: ${result.pdfPath}`);
+    }
+    console.log(`🧾 JSON data saved to: ${result.jsonPath}`);
+    console.log(`📁 Screenshots saved to: ${scraper.screenshotsDir}/`);
+    if (result.runsIndexPath) {
+      console.log(`🗂️  Runs index saved to: ${result.runsIndexPath}`);
+    }
+
+    if (result.failedUrls.length > 0) {
+      console.log(`\n⚠️  Some pages failed to scrape:`);
+      result.failedUrls.forEach(({ url, error }) => {
+        console.log(`   - ${url}: ${error}`);
+      });
+    }
+
+    return EXIT_OK;
+  } catch (error) {
+    console.error("❌ Sitemap scraping failed:", error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+async function runReport(values) {
+  const scraper = new ElementScraper({
+    outputDir: values.output,
+    reportFormats: parseFormats(values.format),
+  });
+
+  try {
+    const reportPath = await scraper.generateReportFromJson();
+    console.log(`📄 Report saved to: ${reportPath}`);
+    return EXIT_OK;
+  } catch (error) {
+    console.error("❌ Report generation failed:", error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+async function runPublish(values) {
+  const builder = new SiteBuilder({
+    outputDir: values.output,
+    siteDir: values.site,
+  });
+
+  try {
+    const { indexPath, pageCount } = await builder.build();
+    console.log(`🌐 Site with ${pageCount} pages saved to: ${indexPath}`);
+    return EXIT_OK;
+  } catch (error) {
+    console.error("❌ Site build failed:", error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+async function listConfigs(values) {
+  const { available, sources } = await loadConfigs(values);
+
+  console.log("Available configurations:");
+  Object.entries(available).forEach(([name, config]) => {
+    const mode = config.isSitemap ? "crawl" : "scrape";
+    const source = sources[name] ? ` [${sources[name]}]` : "";
+    console.log(
+      `  - ${name} (${mode})${source}: ${config.description || config.url}`
+    );
+  });
+  return EXIT_OK;
+}
+
+async function runVisualRegression(command, positionals, values) {
+  // compare also takes the threshold positionally: compare 0.02
+  const rawThreshold =
+    values.threshold !== undefined ? values.threshold : positionals[0];
+  const threshold = parseNumberFlag(rawThreshold, "threshold", {
+    integer: false,
+  });
+  if (threshold !== undefined && threshold > 1) {
+    throw new UsageError("--threshold must be a number between 0 and 1");
+  }
+
+  const regression = new VisualRegression({
+    threshold,
+    outputDir: values.output,
+  });
+
+  try {
+    if (command === "approve-baseline") {
+      await regression.approve();
+      return EXIT_OK;
+    }
+
+    const result = await regression.compare();
+    console.log(`📄 Report saved to: ${result.reportPath}`);
+    console.log(`🧾 JSON data saved to: ${result.jsonPath}`);
+
+    if (result.exceedsThreshold) {
+      console.error(
+        `❌ ${result.changed} variation(s) changed by more than ${(
+          result.threshold * 100
+        ).toFixed(2)}% of pixels, ${result.added} new, ${
+          result.removed
+        } removed`
+      );
+      return EXIT_VISUAL_DIFF;
+    }
+
+    console.log(`✅ No visual changes above threshold`);
+    return EXIT_OK;
+  } catch (error) {
+    console.error("❌ Visual regression failed:", error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+async function runDiff(positionals, values) {
+  if (positionals.length > 2) {
+    throw new UsageError("diff takes at most two run IDs");
+  }
+  const [from, to] = positionals;
+  const runDiff = new RunDiff({ outputDir: values.output, from, to });
+
+  try {
+    const result = await runDiff.compare();
+    console.log(`📄 Report saved to: ${result.reportPath}`);
+    console.log(`🧾 JSON data saved to: ${result.jsonPath}`);
+    return EXIT_OK;
+  } catch (error) {
+    console.error("❌ Run diff failed:", error.message);
+    return EXIT_FAILURE;
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Command line arguments (default: process.argv without node and script)
+ * @returns {Promise<number>} Exit code
+ */
+async function runScraper(argv = process.argv.slice(2)) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+    });
+    const [command, ...rest] = positionals;
+
+    if (values.help || !command) {
+      console.log(HELP);
+      return EXIT_OK;
+    }
+
+    switch (command) {
+      case "scrape": {
+        const config = await resolveConfig(rest, values);
+        logConfig(config);
+        return await runScrape(config, values);
+      }
+      case "crawl":
+      case "sitemap": {
+        const config = await resolveConfig(rest, values);
+        logConfig(config);
+        return await runCrawl(config, values);
+      }
+      case "report":
+        return await runReport(values);
+      case "publish":
+        return await runPublish(values);
+      case "list-configs":
+        return await listConfigs(values);
+      case "approve-baseline":
+      case "compare":
+        return await runVisualRegression(command, rest, values);
+      case "diff":
+        return await runDiff(rest, values);
+      default: {
+        // Shorthands: <config-name> or <url> <selector> [prefix]
+        const config = await resolveConfig(positionals, values);
+        logConfig(config);
+        return config.isSitemap
+          ? await runCrawl(config, values)
+          : await runScrape(config, values);
+      }
+    }
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      return EXIT_CONFIG;
+    }
+
+    const isParseError = String(error.code).startsWith("ERR_PARSE_ARGS");
+    if (error instanceof UsageError || isParseError) {
+      console.error(`❌ ${error.message}`);
+      console.error('Run "node cli.js --help" for usage.');
+      return EXIT_USAGE;
+    }
+    throw error;
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  runScraper().catch(console.error);
+  runScraper()
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = EXIT_FAILURE;
+    });
 }
 
 module.exports = runScraper;
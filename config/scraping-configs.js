@@ -1,5 +1,12 @@
 // Configuration file for different scraping scenarios
 
+// Common breakpoints, usable as a config's `viewports` list
+const viewportPresets = {
+  mobile: { name: "mobile", width: 375, height: 812 },
+  tablet: { name: "tablet", width: 768, height: 1024 },
+  desktop: { name: "desktop", width: 1024, height: 768 },
+};
+
 const scrapingConfigs = {
   // Custom configuration template
   custom: {
@@ -16,6 +23,11 @@ const scrapingConfigs = {
     variationClassPrefix: "wp-block-",
     description:
       "TimberTech WordPress block elements (direct children only, excluding __ classes)",
+    viewports: [
+      viewportPresets.desktop,
+      viewportPresets.tablet,
+      viewportPresets.mobile,
+    ],
   },
 
   // TimberTech sitemap scraping
@@ -36,7 +48,16 @@ const scrapingConfigs = {
     followLinks: true,
     maxUrls: 20,
     maxDepth: 2,
+    concurrency: 2,
+    perHostConcurrency: 2,
+    // Published to GitHub Pages, where full-size screenshots are slow to load
+    screenshots: { thumbnailWidth: true },
   },
 };
 
+// Not enumerable, so it isn't mistaken for a scraping config
+Object.defineProperty(scrapingConfigs, "viewportPresets", {
+  value: viewportPresets,
+});
+
 module.exports = scrapingConfigs;
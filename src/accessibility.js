@@ -0,0 +1,253 @@
+/**
+ * Accessibility checks run on each variation inside the page, without any
+ * external service
+ */
+
+// Rules checked by auditAccessibility(), in the order reports list them
+const ACCESSIBILITY_RULES = {
+  "image-alt": { label: "Image alt", impact: "serious" },
+  "color-contrast": { label: "Contrast", impact: "serious" },
+  "heading-order": { label: "Heading order", impact: "moderate" },
+  "empty-link": { label: "Empty link", impact: "serious" },
+  "empty-button": { label: "Empty button", impact: "serious" },
+  "form-label": { label: "Form label", impact: "serious" },
+};
+
+/**
+ * Check an element and its descendants for images without alt text, text
+ * below WCAG AA contrast, skipped heading levels, links and buttons without
+ * an accessible name, and form fields without a label. Runs inside the page
+ * (pass it to element.evaluate), so it must stay self-contained.
+ * @param {Element} el - Variation element
+ * @returns {Array<Object>} Findings ({ rule, message, element })
+ */
+function auditAccessibility(el) {
+  const findings = [];
+  const within = (selector) => [
+    ...(el.matches(selector) ? [el] : []),
+    ...el.querySelectorAll(selector),
+  ];
+
+  const describe = (target) => {
+    const id = target.id ? `#${target.id}` : "";
+    const classes = [...target.classList]
+      .slice(0, 2)
+      .map((cls) => `.${cls}`)
+      .join("");
+    return `${target.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const isVisible = (target) => {
+    const style = window.getComputedStyle(target);
+    return (
+      target.getClientRects().length > 0 &&
+      style.visibility !== "hidden" &&
+      style.display !== "none"
+    );
+  };
+
+  const hasAccessibleName = (target) => {
+    if (
+      target.getAttribute("aria-label")?.trim() ||
+      target.getAttribute("title")?.trim()
+    ) {
+      return true;
+    }
+    const labelledBy = target.getAttribute("aria-labelledby");
+    if (
+      labelledBy &&
+      labelledBy
+        .split(/\s+/)
+        .some((id) => document.getElementById(id)?.textContent.trim())
+    ) {
+      return true;
+    }
+    if (target.textContent.trim()) return true;
+    // Icon-only links and buttons named by an image's alt or an aria-label
+    return [...target.querySelectorAll("img[alt], [aria-label]")].some(
+      (child) =>
+        (child.getAttribute("alt") || child.getAttribute("aria-label")).trim()
+    );
+  };
+
+  // Images without alt text (alt="" marks decorative images and is fine)
+  within("img, input[type='image'], [role='img']").forEach((image) => {
+    const named =
+      image.tagName === "IMG" || image.tagName === "INPUT"
+        ? image.hasAttribute("alt") ||
+          image.getAttribute("aria-label")?.trim() ||
+          image.getAttribute("aria-labelledby") ||
+          image.getAttribute("role") === "presentation"
+        : hasAccessibleName(image);
+    if (!named) {
+      const src = image.getAttribute("src") || "";
+      findings.push({
+        rule: "image-alt",
+        message: `Image has no alt text${
+          src ? ` (${src.split("/").pop().split("?")[0]})` : ""
+        }`,
+        element: describe(image),
+      });
+    }
+  });
+
+  // Links and buttons without an accessible name
+  within("a[href]").forEach((link) => {
+    if (isVisible(link) && !hasAccessibleName(link)) {
+      findings.push({
+        rule: "empty-link",
+        message: "Link has no text or accessible name",
+        element: describe(link),
+      });
+    }
+  });
+  within("button, [role='button'], input[type='submit'], input[type='button']")
+    .filter((button) => !(button.tagName === "INPUT" && button.value?.trim()))
+    .forEach((button) => {
+      if (isVisible(button) && !hasAccessibleName(button)) {
+        findings.push({
+          rule: "empty-button",
+          message: "Button has no text or accessible name",
+          element: describe(button),
+        });
+      }
+    });
+
+  // Form fields without a label (a placeholder is not a label)
+  within("input, select, textarea")
+    .filter(
+      (field) =>
+        !["hidden", "submit", "button", "image", "reset"].includes(field.type)
+    )
+    .forEach((field) => {
+      const labelled =
+        field.closest("label") ||
+        (field.id &&
+          document.querySelector(`label[for="${CSS.escape(field.id)}"]`)) ||
+        field.getAttribute("aria-label")?.trim() ||
+        field.getAttribute("aria-labelledby") ||
+        field.getAttribute("title")?.trim();
+      if (!labelled) {
+        findings.push({
+          rule: "form-label",
+          message: `${field.tagName.toLowerCase()}${
+            field.type && field.tagName === "INPUT" ? `[type=${field.type}]` : ""
+          } has no label`,
+          element: describe(field),
+        });
+      }
+    });
+
+  // Heading levels skipped, compared with the previous heading on the page
+  const headingSelector = "h1, h2, h3, h4, h5, h6";
+  const pageHeadings = [...document.querySelectorAll(headingSelector)];
+  within(headingSelector).forEach((heading) => {
+    const level = Number(heading.tagName[1]);
+    const previous = pageHeadings[pageHeadings.indexOf(heading) - 1];
+    if (!previous) return;
+    const previousLevel = Number(previous.tagName[1]);
+    if (level > previousLevel + 1) {
+      findings.push({
+        rule: "heading-order",
+        message: `h${level} follows h${previousLevel}, skipping h${
+          previousLevel + 1
+        }`,
+        element: describe(heading),
+      });
+    }
+  });
+
+  // Text contrast below WCAG AA (4.5:1, or 3:1 for large text)
+  const parseColor = (value) => {
+    const match = value.match(
+      /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/
+    );
+    if (!match) return null;
+    const alpha =
+      match[4] === undefined
+        ? 1
+        : match[4].endsWith("%")
+        ? parseFloat(match[4]) / 100
+        : parseFloat(match[4]);
+    return [+match[1], +match[2], +match[3], alpha];
+  };
+  const blend = ([r, g, b, a], [br, bg, bb]) => [
+    r * a + br * (1 - a),
+    g * a + bg * (1 - a),
+    b * a + bb * (1 - a),
+    1,
+  ];
+  const luminance = (rgb) => {
+    const [r, g, b] = rgb.slice(0, 3).map((channel) => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  const hex = (rgb) =>
+    `#${rgb
+      .slice(0, 3)
+      .map((channel) => Math.round(channel).toString(16).padStart(2, "0"))
+      .join("")}`;
+
+  // Background behind an element, or null when an image or gradient is involved
+  const backgroundOf = (target) => {
+    const layers = [];
+    for (let node = target; node; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage !== "none") return null;
+      const color = parseColor(style.backgroundColor);
+      if (!color) return null;
+      if (color[3] > 0) layers.push(color);
+      if (color[3] === 1) break;
+    }
+    return layers
+      .reverse()
+      .reduce((below, layer) => blend(layer, below), [255, 255, 255, 1]);
+  };
+
+  const reported = new Set();
+  within("*")
+    .filter((node) =>
+      [...node.childNodes].some(
+        (child) => child.nodeType === Node.TEXT_NODE && child.textContent.trim()
+      )
+    )
+    .slice(0, 200)
+    .forEach((node) => {
+      if (!isVisible(node)) return;
+      const style = window.getComputedStyle(node);
+      const color = parseColor(style.color);
+      const background = backgroundOf(node);
+      if (!color || !background || parseFloat(style.opacity) === 0) return;
+
+      const foreground = blend(color, background);
+      const lighter = Math.max(luminance(foreground), luminance(background));
+      const darker = Math.min(luminance(foreground), luminance(background));
+      const ratio = (lighter + 0.05) / (darker + 0.05);
+
+      const size = parseFloat(style.fontSize);
+      const isLarge =
+        size >= 24 || (size >= 18.66 && parseInt(style.fontWeight) >= 700);
+      const required = isLarge ? 3 : 4.5;
+      const key = `${hex(foreground)}|${hex(background)}|${required}`;
+
+      if (ratio < required && !reported.has(key)) {
+        reported.add(key);
+        findings.push({
+          rule: "color-contrast",
+          message: `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${hex(
+            foreground
+          )} on ${hex(background)})`,
+          element: describe(node),
+        });
+      }
+    });
+
+  return findings;
+}
+
+module.exports = {
+  ACCESSIBILITY_RULES,
+  auditAccessibility,
+};
@@ -0,0 +1,292 @@
+const fs = require("fs-extra");
+const path = require("path");
+const {
+  escapeHtml,
+  groupVariationsByPage,
+  getBlockDisplayName,
+} = require("./report-helpers");
+
+/**
+ * Which pages of a crawl use each block type, and how often. Built from the
+ * same page → block type grouping as the sitemap report, so the counts match
+ * the variations listed there.
+ */
+class BlockInventory {
+  /**
+   * @param {Array<Object>} variations - Variations of a sitemap crawl, in crawl order
+   */
+  constructor(variations) {
+    const pageGroups = groupVariationsByPage(variations);
+    const blocks = new Map();
+
+    // Pages that have at least one variation, in crawl order
+    this.pages = Object.keys(pageGroups);
+
+    this.pages.forEach((pageUrl) => {
+      Object.entries(pageGroups[pageUrl]).forEach(([blockType, matches]) => {
+        if (!blocks.has(blockType)) {
+          blocks.set(blockType, {
+            blockType,
+            name: getBlockDisplayName(blockType),
+            firstSeenPage: pageUrl,
+            counts: {},
+          });
+        }
+        blocks.get(blockType).counts[pageUrl] = matches.length;
+      });
+    });
+
+    // Most used blocks first
+    this.blocks = [...blocks.values()]
+      .map((block) => {
+        const counts = Object.values(block.counts);
+        return {
+          ...block,
+          totalUsage: counts.reduce((sum, count) => sum + count, 0),
+          pageCount: counts.length,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.totalUsage - a.totalUsage || a.blockType.localeCompare(b.blockType)
+      );
+  }
+
+  /**
+   * One row per block type, one column per page (0 when a page doesn't use the block)
+   * @returns {string} CSV with a header row
+   */
+  toCsv() {
+    const escapeCsv = (value) => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = [
+      "block_type",
+      "block_name",
+      "total_usage",
+      "page_count",
+      "first_seen_page",
+      ...this.pages,
+    ];
+    const rows = this.blocks.map((block) => [
+      block.blockType,
+      block.name,
+      block.totalUsage,
+      block.pageCount,
+      block.firstSeenPage,
+      ...this.pages.map((pageUrl) => block.counts[pageUrl] || 0),
+    ]);
+
+    return `${[header, ...rows]
+      .map((row) => row.map(escapeCsv).join(","))
+      .join("\n")}\n`;
+  }
+
+  /**
+   * Standalone page with the matrix as a table sortable by any column
+   * @returns {string} HTML
+   */
+  toHtml() {
+    const pagePath = (pageUrl) =>
+      pageUrl.replace(/^https?:\/\/[^/]+/, "") || "/";
+
+    const pageHeadersHtml = this.pages
+      .map(
+        (pageUrl) => `
+                    <th class="page-column" data-type="number" title="${escapeHtml(
+                      pageUrl
+                    )}"><span>${escapeHtml(pagePath(pageUrl))}</span></th>`
+      )
+      .join("");
+
+    const rowsHtml = this.blocks
+      .map((block) => {
+        const countCellsHtml = this.pages
+          .map((pageUrl) => {
+            const count = block.counts[pageUrl] || 0;
+            return `<td class="count${count === 0 ? " empty" : ""}">${count}</td>`;
+          })
+          .join("");
+
+        return `
+                <tr>
+                    <td data-value="${escapeHtml(block.name)}">${escapeHtml(
+          block.name
+        )}<br><code>${escapeHtml(block.blockType)}</code></td>
+                    <td class="count">${block.totalUsage}</td>
+                    <td class="count">${block.pageCount}</td>
+                    <td data-value="${escapeHtml(
+                      block.firstSeenPage
+                    )}"><a href="${escapeHtml(
+          block.firstSeenPage
+        )}" target="_blank">${escapeHtml(pagePath(block.firstSeenPage))}</a></td>
+                    ${countCellsHtml}
+                </tr>`;
+      })
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Block Inventory</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+            text-align: center;
+        }
+        .summary {
+            background-color: #f8f9fa;
+            padding: 15px;
+            border-radius: 5px;
+            margin: 20px 0;
+        }
+        .table-wrapper {
+            overflow-x: auto;
+        }
+        table {
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        th, td {
+            border: 1px solid #dee2e6;
+            padding: 6px 10px;
+            text-align: left;
+            white-space: nowrap;
+        }
+        th {
+            background-color: #f1f5f9;
+            cursor: pointer;
+            user-select: none;
+            vertical-align: bottom;
+        }
+        th:hover {
+            background-color: #e2e8f0;
+        }
+        th.sorted-asc::after {
+            content: " ▲";
+        }
+        th.sorted-desc::after {
+            content: " ▼";
+        }
+        th.page-column span {
+            writing-mode: vertical-rl;
+            transform: rotate(180deg);
+            max-height: 200px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        td.count {
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+        td.empty {
+            color: #cbd5e0;
+        }
+        tbody tr:hover {
+            background-color: #f8fafc;
+        }
+        code {
+            font-size: 11px;
+            color: #718096;
+        }
+        a {
+            color: #1e40af;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🧱 Block Inventory</h1>
+
+        <div class="summary">
+            <p><strong>Block Types:</strong> ${this.blocks.length}</p>
+            <p><strong>Pages With Blocks:</strong> ${this.pages.length}</p>
+            <p>Counts are the number of matching elements of each block type on each page. Click a column header to sort.</p>
+            <p><a href="block_inventory.csv">Download CSV</a> · <a href="sitemap_variations_report.html">Sitemap report</a></p>
+            <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+        </div>
+
+        <div class="table-wrapper">
+            <table id="inventory">
+                <thead>
+                    <tr>
+                    <th data-type="text">Block</th>
+                    <th data-type="number" class="sorted-desc">Total</th>
+                    <th data-type="number">Pages</th>
+                    <th data-type="text">First Seen</th>${pageHeadersHtml}
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}
+                </tbody>
+            </table>
+        </div>
+    </div>
+
+    <script>
+        document.querySelectorAll("#inventory th").forEach((th, column) => {
+            th.addEventListener("click", () => {
+                const tbody = document.querySelector("#inventory tbody");
+                const numeric = th.dataset.type === "number";
+                // First click sorts numbers largest first and text A to Z,
+                // clicking again reverses the order
+                const ascending = th.classList.contains("sorted-desc") ||
+                    (!numeric && !th.classList.contains("sorted-asc"));
+                const order = ascending ? 1 : -1;
+                const value = (row) => {
+                    const cell = row.cells[column];
+                    const text = cell.dataset.value || cell.textContent;
+                    return numeric ? Number(text) : text.toLowerCase();
+                };
+
+                const rows = Array.from(tbody.rows).sort((a, b) => {
+                    const x = value(a);
+                    const y = value(b);
+                    return (x < y ? -1 : x > y ? 1 : 0) * order;
+                });
+                rows.forEach((row) => tbody.appendChild(row));
+
+                document.querySelectorAll("#inventory th").forEach((other) =>
+                    other.classList.remove("sorted-asc", "sorted-desc"));
+                th.classList.add(ascending ? "sorted-asc" : "sorted-desc");
+            });
+        });
+    </script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Write block_inventory.csv and block_inventory.html
+   * @param {string} outputDir - Directory to write to
+   * @returns {Promise<Object>} { csvPath, htmlPath }
+   */
+  async write(outputDir) {
+    const csvPath = path.join(outputDir, "block_inventory.csv");
+    const htmlPath = path.join(outputDir, "block_inventory.html");
+
+    await fs.ensureDir(outputDir);
+    await fs.writeFile(csvPath, this.toCsv());
+    await fs.writeFile(htmlPath, this.toHtml());
+
+    console.log(`Block inventory generated: ${csvPath}, ${htmlPath}`);
+    return { csvPath, htmlPath };
+  }
+}
+
+module.exports = BlockInventory;
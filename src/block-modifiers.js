@@ -0,0 +1,90 @@
+/**
+ * WordPress block class decomposition: splits the classes core adds to a
+ * block into facets like style variation, color slugs, alignment and layout
+ */
+
+// Facets shown in reports, in display order ({ key: label })
+const MODIFIER_FACETS = {
+  styleVariation: "Style",
+  textColor: "Text color",
+  backgroundColor: "Background",
+  gradient: "Gradient",
+  borderColor: "Border color",
+  fontSize: "Font size",
+  alignment: "Align",
+  layout: "Layout",
+};
+
+// Classes WordPress adds alongside more specific ones (has-background next to
+// has-primary-background-color) or that are generated per render
+const GENERATED_CLASS_PATTERNS = [
+  /^has-(text|background|link|border|custom-font-size)(-color)?$/,
+  /^wp-container-/,
+  /^wp-elements-/,
+  /^wp-image-\d+$/,
+  /^wp-block-.+-is-layout-/,
+];
+
+/**
+ * Split a block's classes into facets
+ * @param {Array<string>} classNames - Classes of the variation element
+ * @returns {Object|null} { block, styleVariation, textColor, backgroundColor, gradient, borderColor, fontSize, alignment, layout, flags, custom }, or null when the element isn't a wp-block
+ */
+function parseBlockClasses(classNames) {
+  const block = classNames.find(
+    (cls) =>
+      cls.startsWith("wp-block-") &&
+      !cls.includes("__") &&
+      !cls.includes("-is-layout-")
+  );
+  if (!block) return null;
+
+  const modifiers = {
+    block,
+    styleVariation: null,
+    textColor: null,
+    backgroundColor: null,
+    gradient: null,
+    borderColor: null,
+    fontSize: null,
+    alignment: null,
+    layout: null,
+    flags: [], // Other WordPress modifiers, e.g. is-vertical or has-text-align-center
+    custom: [], // Classes added by the theme, plugins or editors
+  };
+
+  classNames.forEach((cls) => {
+    if (cls === block) return;
+    if (GENERATED_CLASS_PATTERNS.some((pattern) => pattern.test(cls))) return;
+
+    let match;
+    if ((match = cls.match(/^is-style-(.+)$/))) {
+      modifiers.styleVariation = match[1];
+    } else if ((match = cls.match(/^has-(.+)-gradient-background$/))) {
+      modifiers.gradient = match[1];
+    } else if ((match = cls.match(/^has-(.+)-background-color$/))) {
+      modifiers.backgroundColor = match[1];
+    } else if ((match = cls.match(/^has-(.+)-border-color$/))) {
+      modifiers.borderColor = match[1];
+    } else if ((match = cls.match(/^has-(.+)-font-size$/))) {
+      modifiers.fontSize = match[1];
+    } else if ((match = cls.match(/^has-(.+)-color$/))) {
+      modifiers.textColor = match[1];
+    } else if ((match = cls.match(/^align(wide|full|left|right|center)$/))) {
+      modifiers.alignment = match[1];
+    } else if ((match = cls.match(/^is-layout-(.+)$/))) {
+      modifiers.layout = match[1];
+    } else if (/^(is|has)-/.test(cls) || cls.startsWith("wp-block-")) {
+      modifiers.flags.push(cls);
+    } else {
+      modifiers.custom.push(cls);
+    }
+  });
+
+  return modifiers;
+}
+
+module.exports = {
+  MODIFIER_FACETS,
+  parseBlockClasses,
+};
@@ -0,0 +1,98 @@
+/**
+ * Computed style capture: which CSS properties are read from each variation
+ * and its key descendants, so variations that share classes but render
+ * differently can be told apart
+ */
+
+// Properties read with getComputedStyle(). Shorthands like padding come back
+// as their resolved values, e.g. "16px 24px".
+const DEFAULT_STYLE_PROPERTIES = [
+  "color",
+  "background-color",
+  "background-image",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "line-height",
+  "padding",
+  "margin",
+  "border",
+  "border-radius",
+];
+
+// Descendants whose styles are captured too, first match of each selector
+const DEFAULT_DESCENDANT_SELECTORS = [
+  "h1, h2, h3, h4, h5, h6",
+  "p",
+  "a",
+  "button, .wp-block-button__link",
+];
+
+/**
+ * Combine a config's computed style profile with the defaults
+ * @param {Object|boolean} profile - Config `computedStyles` profile, or false to capture no styles
+ * @param {Array<string>} profile.properties - CSS properties to read (replaces the defaults)
+ * @param {Array<string>} profile.descendants - Descendant selectors to read them from (replaces the defaults)
+ * @returns {Object|null} { properties, descendants }, or null when capture is turned off
+ */
+function resolveStyleProfile(profile = {}) {
+  if (profile === false) return null;
+
+  return {
+    properties: profile.properties || DEFAULT_STYLE_PROPERTIES,
+    descendants: profile.descendants || DEFAULT_DESCENDANT_SELECTORS,
+  };
+}
+
+/**
+ * Read the profile's computed styles of an element and its descendants.
+ * Runs inside the page (pass it to element.evaluate), so it must stay
+ * self-contained.
+ * @param {Element} el - Variation element
+ * @param {Object} profile - { properties, descendants } from resolveStyleProfile()
+ * @returns {Object} { element, descendants } - element styles, and { selector, element, styles } per matched descendant
+ */
+function readComputedStyles(el, { properties, descendants }) {
+  const read = (target) => {
+    const style = window.getComputedStyle(target);
+    const styles = {};
+    properties.forEach((property) => {
+      styles[property] = style.getPropertyValue(property);
+    });
+    return styles;
+  };
+
+  const describe = (target) => {
+    const classes = [...target.classList]
+      .slice(0, 2)
+      .map((cls) => `.${cls}`)
+      .join("");
+    return `${target.tagName.toLowerCase()}${classes}`;
+  };
+
+  const matched = [];
+  descendants.forEach((selector) => {
+    let descendant;
+    try {
+      descendant = el.querySelector(selector);
+    } catch (error) {
+      return; // Ignore selectors the browser can't parse
+    }
+    if (descendant) {
+      matched.push({
+        selector,
+        element: describe(descendant),
+        styles: read(descendant),
+      });
+    }
+  });
+
+  return { element: read(el), descendants: matched };
+}
+
+module.exports = {
+  DEFAULT_STYLE_PROPERTIES,
+  DEFAULT_DESCENDANT_SELECTORS,
+  resolveStyleProfile,
+  readComputedStyles,
+};
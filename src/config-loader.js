@@ -0,0 +1,349 @@
+const fs = require("fs-extra");
+const path = require("path");
+const Ajv = require("ajv");
+const YAML = require("yaml");
+const { parse: parseSelector } = require("css-what");
+const configSchema = require("../schema/config.schema.json");
+
+// File types read from a config file or directory
+const CONFIG_EXTENSIONS = [".json", ".yaml", ".yml", ".js"];
+
+// Keys that mark a file as holding a single configuration rather than a map of them
+const SINGLE_CONFIG_KEYS = ["url", "selector", "extends"];
+
+const validateSchema = new Ajv({
+  allErrors: true,
+  allowUnionTypes: true,
+}).compile(configSchema);
+
+/**
+ * A config file or configuration that can't be used. `errors` lists every
+ * problem found, each prefixed with the configuration and file it concerns.
+ */
+class ConfigError extends Error {
+  constructor(errors) {
+    super(
+      `Invalid configuration:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Loads site configurations from user-supplied JSON, YAML or JS files,
+ * resolves their `extends` chains and validates them against
+ * schema/config.schema.json
+ */
+class ConfigLoader {
+  /**
+   * Load every configuration from a file or a directory of files
+   * @param {string} source - Config file, or directory of config files
+   * @param {Object} presets - Built-in configurations that `extends` may name
+   * @returns {Promise<Object>} { configs, sources } - resolved configurations and the file each came from, by name
+   */
+  static async load(source, presets = {}) {
+    if (!(await fs.pathExists(source))) {
+      throw new ConfigError([`${source}: no such file or directory`]);
+    }
+
+    let files = [source];
+    if ((await fs.stat(source)).isDirectory()) {
+      files = (await fs.readdir(source))
+        .filter((file) => CONFIG_EXTENSIONS.includes(path.extname(file)))
+        .sort()
+        .map((file) => path.join(source, file));
+    }
+
+    const raw = {};
+    const sources = {};
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const fileConfigs = await ConfigLoader.readFile(file);
+        Object.entries(fileConfigs).forEach(([name, config]) => {
+          if (sources[name]) {
+            errors.push(`${name} (${file}): also defined in ${sources[name]}`);
+            return;
+          }
+          raw[name] = config;
+          sources[name] = file;
+        });
+      } catch (error) {
+        // YAML errors append a source excerpt after the first line
+        errors.push(`${file}: ${error.message.split("\n")[0]}`);
+      }
+    }
+
+    const configs = {};
+    Object.keys(raw).forEach((name) => {
+      const location = `${name} (${sources[name]})`;
+      try {
+        const config = ConfigLoader.resolve(name, raw, presets);
+        const configErrors = ConfigLoader.validate(config);
+        errors.push(...configErrors.map((error) => `${location}: ${error}`));
+        configs[name] = config;
+      } catch (error) {
+        errors.push(`${location}: ${error.message}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+
+    return { configs, sources };
+  }
+
+  /**
+   * Read the configurations of one file. A file holds either a single
+   * configuration, named after the file, or a map of them under `configs`.
+   * @param {string} filePath - .json, .yaml, .yml or .js file
+   * @returns {Promise<Object>} Raw configurations by name
+   */
+  static async readFile(filePath) {
+    const extension = path.extname(filePath);
+    let data;
+
+    if (extension === ".js") {
+      data = require(path.resolve(filePath));
+    } else {
+      const content = await fs.readFile(filePath, "utf8");
+      data = extension === ".json" ? JSON.parse(content) : YAML.parse(content);
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("expected an object of configuration keys");
+    }
+
+    if (data.configs) {
+      return data.configs;
+    }
+    if (SINGLE_CONFIG_KEYS.some((key) => key in data)) {
+      return { [path.basename(filePath, extension)]: data };
+    }
+    // A bare map of configurations, like config/scraping-configs.js
+    return data;
+  }
+
+  /**
+   * Apply a configuration's `extends` chain. Parents are looked up among the
+   * loaded configurations first, then the presets; keys of the child replace
+   * those of its parent (arrays are replaced, not concatenated).
+   * @param {string} name - Configuration to resolve
+   * @param {Object} raw - Loaded configurations by name
+   * @param {Object} presets - Built-in configurations
+   * @param {Array<string>} chain - Configurations already being resolved, for cycle detection
+   * @returns {Object} The configuration without its `extends` key
+   */
+  static resolve(name, raw, presets, chain = []) {
+    const { extends: parentName, ...own } = raw[name];
+
+    if (parentName === undefined) {
+      return own;
+    }
+    if (typeof parentName !== "string") {
+      throw new Error("extends must be a configuration name");
+    }
+
+    // A config may extend the preset it shadows, e.g. timbertech extends timbertech
+    if (raw[parentName] && parentName !== name) {
+      if (chain.includes(parentName)) {
+        throw new Error(
+          `extends cycle: ${[...chain, name, parentName].join(" -> ")}`
+        );
+      }
+      const parent = ConfigLoader.resolve(parentName, raw, presets, [
+        ...chain,
+        name,
+      ]);
+      return { ...parent, ...own };
+    }
+
+    if (presets[parentName]) {
+      return { ...presets[parentName], ...own };
+    }
+
+    throw new Error(`extends unknown configuration "${parentName}"`);
+  }
+
+  /**
+   * Validate a resolved configuration against the schema, then check its
+   * URLs, selector and viewport names
+   * @param {Object} config - Resolved configuration
+   * @returns {Array<string>} Problems found (empty when the configuration is valid)
+   */
+  static validate(config) {
+    const errors = [];
+
+    if (!validateSchema(config)) {
+      errors.push(
+        ...validateSchema.errors.map((error) =>
+          ConfigLoader._formatSchemaError(error)
+        )
+      );
+    }
+
+    if (typeof config.url === "string") {
+      const problem = ConfigLoader._checkUrl(config.url);
+      if (problem) errors.push(`url ${problem}`);
+    }
+
+    if (Array.isArray(config.manualUrls)) {
+      config.manualUrls.forEach((url, index) => {
+        const problem =
+          typeof url === "string" ? ConfigLoader._checkUrl(url) : null;
+        if (problem) errors.push(`manualUrls[${index}] ${problem}`);
+      });
+    }
+
+    // Names key each variation's captures and end up in file names
+    if (Array.isArray(config.viewports)) {
+      const names = new Set();
+      config.viewports.forEach((viewport, index) => {
+        const name = viewport && viewport.name;
+        if (typeof name !== "string") return;
+        if (names.has(name)) {
+          errors.push(`viewports[${index}].name "${name}" is already used`);
+        }
+        names.add(name);
+      });
+    }
+
+    if (typeof config.selector === "string" && config.selector.trim()) {
+      const problem = ConfigLoader._checkSelector(config.selector);
+      if (problem) errors.push(`selector ${problem}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  static _checkUrl(url) {
+    try {
+      const { protocol } = new URL(url);
+      if (protocol !== "http:" && protocol !== "https:") {
+        return `"${url}" must use http or https`;
+      }
+      return null;
+    } catch (error) {
+      return `"${url}" is not a valid URL`;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _checkSelector(selector) {
+    try {
+      const selectors = parseSelector(selector);
+      const combinators = ["child", "descendant", "sibling", "adjacent"];
+      const dangling = selectors.some(
+        (tokens) =>
+          tokens.length === 0 ||
+          combinators.includes(tokens[tokens.length - 1].type)
+      );
+      return dangling ? `"${selector}" ends with a combinator` : null;
+    } catch (error) {
+      return `"${selector}" is not a valid CSS selector (${error.message})`;
+    }
+  }
+
+  /**
+   * Turn an Ajv error into a message naming the offending key
+   * @private
+   */
+  static _formatSchemaError(error) {
+    const key = error.instancePath
+      .slice(1)
+      .split("/")
+      .map((part, index) =>
+        /^\d+$/.test(part) ? `[${part}]` : `${index > 0 ? "." : ""}${part}`
+      )
+      .join("");
+    const prefix = key ? `${key} ` : "";
+
+    switch (error.keyword) {
+      case "additionalProperties": {
+        const unknown = error.params.additionalProperty;
+        // Walk the schema down to the object holding the unknown key
+        const { properties } = error.instancePath
+          .split("/")
+          .slice(1)
+          .reduce(
+            (node, part) =>
+              /^\d+$/.test(part) ? node.items : node.properties[part],
+            configSchema
+          );
+        const suggestion = ConfigLoader._suggest(
+          unknown,
+          Object.keys(properties)
+        );
+        return `${prefix}has unknown key "${unknown}"${
+          suggestion ? ` (did you mean "${suggestion}"?)` : ""
+        }`;
+      }
+      case "required":
+        return `${prefix}is missing required key "${error.params.missingProperty}"`;
+      case "type": {
+        const types = String(error.params.type)
+          .split(",")
+          .map((type) =>
+            ["integer", "object", "array"].includes(type)
+              ? `an ${type}`
+              : `a ${type}`
+          );
+        return `${key} must be ${types.join(" or ")}`;
+      }
+      case "minimum":
+        return `${key} must be >= ${error.params.limit}`;
+      case "minLength":
+        return `${key} must not be empty`;
+      case "minItems":
+        return `${key} must have at least ${error.params.limit} entry`;
+      default:
+        return `${prefix}${error.message}`;
+    }
+  }
+
+  /**
+   * Closest known key to a misspelled one, if any is close enough
+   * @private
+   */
+  static _suggest(unknown, known) {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+      for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const above = row[j];
+          row[j] = Math.min(
+            row[j] + 1,
+            row[j - 1] + 1,
+            diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+          );
+          diagonal = above;
+        }
+      }
+      return row[b.length];
+    };
+
+    const [best] = known
+      .map((candidate) => ({
+        candidate,
+        score: distance(unknown.toLowerCase(), candidate.toLowerCase()),
+      }))
+      .sort((a, b) => a.score - b.score);
+
+    return best && best.score <= 2 ? best.candidate : null;
+  }
+}
+
+module.exports = ConfigLoader;
+module.exports.ConfigError = ConfigError;
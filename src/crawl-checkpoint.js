@@ -0,0 +1,122 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Bump whenever the checkpoint layout changes; older checkpoints are ignored
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * On-disk checkpoint of a sitemap crawl, so an interrupted crawl can be
+ * resumed where it stopped
+ */
+class CrawlCheckpoint {
+  /**
+   * @param {string} filePath - Where the checkpoint is stored
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Fingerprint of the crawl settings a checkpoint belongs to, so we never
+   * resume one crawl's progress into a different crawl
+   * @param {Object} crawl - { url, selector, variationClassPrefix }
+   * @returns {string}
+   */
+  static getCrawlId({ url, selector, variationClassPrefix }) {
+    return JSON.stringify([url, selector, variationClassPrefix || ""]);
+  }
+
+  /**
+   * Whether there is a checkpoint this version can resume for a crawl
+   * @param {Object} crawl - { url, selector, variationClassPrefix }
+   * @returns {Promise<boolean>}
+   */
+  async matches(crawl) {
+    if (!(await fs.pathExists(this.filePath))) return false;
+    try {
+      const checkpoint = await fs.readJson(this.filePath);
+      return (
+        checkpoint.version === CHECKPOINT_VERSION &&
+        checkpoint.crawlId === CrawlCheckpoint.getCrawlId(crawl)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the checkpoint for a crawl
+   * @param {Object} crawl - { url, selector, variationClassPrefix }
+   * @returns {Promise<Object|null>} Saved state, or null when there is nothing to resume
+   */
+  async load(crawl) {
+    if (!(await fs.pathExists(this.filePath))) {
+      return null;
+    }
+
+    const checkpoint = await fs.readJson(this.filePath);
+
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      console.log(
+        `⚠️  Ignoring checkpoint written by an incompatible version: ${this.filePath}`
+      );
+      return null;
+    }
+
+    if (checkpoint.crawlId !== CrawlCheckpoint.getCrawlId(crawl)) {
+      throw new Error(
+        `Checkpoint ${this.filePath} belongs to a different crawl (${checkpoint.crawl.url}, ${checkpoint.crawl.selector}). Remove it or run without --resume.`
+      );
+    }
+
+    return checkpoint.state;
+  }
+
+  /**
+   * Queue a write of the crawl state. The state is serialized immediately,
+   * so callers may keep mutating their objects afterwards. Writes happen one
+   * at a time, each replacing the file atomically.
+   * @param {Object} crawl - { url, selector, variationClassPrefix }
+   * @param {Object} state - Crawl state to save
+   */
+  save(crawl, state) {
+    const contents = JSON.stringify({
+      version: CHECKPOINT_VERSION,
+      crawlId: CrawlCheckpoint.getCrawlId(crawl),
+      crawl,
+      savedAt: new Date().toISOString(),
+      state,
+    });
+    const tempPath = `${this.filePath}.tmp`;
+
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeFile(tempPath, contents);
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      } catch (error) {
+        // A missed checkpoint only costs progress on resume, keep crawling
+        console.log(`⚠️  Failed to write checkpoint: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Wait for queued writes to reach the disk
+   */
+  async flush() {
+    await this.pendingWrite;
+  }
+
+  /**
+   * Remove the checkpoint once the crawl has finished
+   */
+  async clear() {
+    await this.flush();
+    await fs.remove(this.filePath);
+    await fs.remove(`${this.filePath}.tmp`);
+  }
+}
+
+module.exports = CrawlCheckpoint;
@@ -0,0 +1,156 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Fill colors of the DOT nodes by status
+const STATUS_COLORS = {
+  scraped: "#c6f6d5",
+  cached: "#bee3f8",
+  failed: "#fed7d7",
+  blocked: "#feebc8",
+  "not-crawled": "#edf2f7",
+};
+
+/**
+ * Which page linked to which during a crawl. Every queued URL is a node with
+ * its BFS depth and the page it was first discovered on (its parent); edges
+ * are every link between crawled pages and queued or blocked URLs.
+ */
+class CrawlGraph {
+  constructor() {
+    this.nodes = new Map();
+    this.edges = [];
+    this.edgeKeys = new Set();
+  }
+
+  /**
+   * Rebuild a graph saved with toJSON()
+   * @param {Object} data - { nodes, edges }
+   * @returns {CrawlGraph}
+   */
+  static fromJSON(data) {
+    const graph = new CrawlGraph();
+    data.nodes.forEach((node) => graph.nodes.set(node.url, { ...node }));
+    data.edges.forEach(({ from, to }) => graph.addEdge(from, to));
+    return graph;
+  }
+
+  /**
+   * Add a URL the first time it is queued (or blocked). Later calls for the
+   * same URL are ignored, so each node keeps its shortest BFS path.
+   * @param {string} url - Page URL
+   * @param {Object} info - { depth, parent, status }
+   * @param {number} info.depth - Links followed from the initial URLs (0 for initial URLs)
+   * @param {string|null} info.parent - Page the URL was first discovered on
+   * @param {string} info.status - "not-crawled" until the page is processed, or "blocked"
+   */
+  addNode(url, { depth, parent = null, status = "not-crawled" }) {
+    if (!this.nodes.has(url)) {
+      this.nodes.set(url, { url, depth, parent, status });
+    }
+  }
+
+  /**
+   * @param {string} url - Page URL
+   * @returns {Object|undefined} { url, depth, parent, status }
+   */
+  getNode(url) {
+    return this.nodes.get(url);
+  }
+
+  /**
+   * @param {string} url - Page URL
+   * @param {string} status - "scraped", "cached" or "failed"
+   */
+  setStatus(url, status) {
+    const node = this.nodes.get(url);
+    if (node) node.status = status;
+  }
+
+  /**
+   * Record that a page links to a URL
+   * @param {string} from - Linking page
+   * @param {string} to - Linked URL
+   */
+  addEdge(from, to) {
+    const key = `${from}\n${to}`;
+    if (from === to || this.edgeKeys.has(key)) return;
+    this.edgeKeys.add(key);
+    this.edges.push({ from, to });
+  }
+
+  /**
+   * @returns {Object} { nodes, edges } - edges flag the link each node was discovered through as `tree`
+   */
+  toJSON() {
+    return {
+      nodes: [...this.nodes.values()],
+      edges: this.edges.map(({ from, to }) => ({
+        from,
+        to,
+        tree: this.nodes.has(to) && this.nodes.get(to).parent === from,
+      })),
+    };
+  }
+
+  /**
+   * Graphviz rendering: nodes colored by status, discovery links solid and
+   * other links dashed
+   * @returns {string} DOT source
+   */
+  toDot() {
+    const escape = (text) => String(text).replace(/(["\\])/g, "\\$1");
+    const quote = (text) => `"${escape(text)}"`;
+    const hosts = new Set(
+      [...this.nodes.keys()].map((url) => new URL(url).host)
+    );
+    const label = (url) => {
+      const { host, pathname, search } = new URL(url);
+      return `${hosts.size > 1 ? host : ""}${pathname}${search}`;
+    };
+
+    const nodeLines = [...this.nodes.values()].map(
+      ({ url, depth, status }) =>
+        `  ${quote(url)} [label="${escape(
+          label(url)
+        )}\\ndepth ${depth} · ${status}", fillcolor=${quote(
+          STATUS_COLORS[status] || "#ffffff"
+        )}];`
+    );
+    const edgeLines = this.toJSON().edges.map(({ from, to, tree }) =>
+      tree
+        ? `  ${quote(from)} -> ${quote(to)};`
+        : `  ${quote(from)} -> ${quote(
+            to
+          )} [style=dashed, color="#a0aec0", constraint=false];`
+    );
+
+    return [
+      "digraph crawl {",
+      "  rankdir=LR;",
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+      ...nodeLines,
+      ...edgeLines,
+      "}",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Write crawl-graph.json and crawl-graph.dot
+   * @param {string} outputDir - Directory to write to
+   * @returns {Promise<Object>} { jsonPath, dotPath }
+   */
+  async write(outputDir) {
+    const jsonPath = path.join(outputDir, "crawl-graph.json");
+    const dotPath = path.join(outputDir, "crawl-graph.dot");
+
+    await fs.ensureDir(outputDir);
+    await fs.writeJson(jsonPath, this.toJSON(), { spaces: 2 });
+    await fs.writeFile(dotPath, this.toDot());
+
+    console.log(`Crawl graph generated: ${jsonPath}, ${dotPath}`);
+    return { jsonPath, dotPath };
+  }
+}
+
+module.exports = CrawlGraph;
@@ -0,0 +1,154 @@
+/**
+ * Runs crawl jobs on a pool of workers while keeping the outcome identical
+ * to a serial crawl: jobs are handed out in queue order and their results
+ * are committed in that same order, no matter which worker finishes first.
+ */
+class CrawlPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.perHostConcurrency - Max pages processed at once per host (default: unlimited)
+   * @param {number} options.delayBetweenPages - Delay in ms each worker waits between its pages (default: 0)
+   * @param {Map<string, number>} options.hostDelays - Minimum ms between the starts of two pages of a host, across all workers, e.g. from robots.txt Crawl-delay. These hosts load one page at a time (default: none)
+   */
+  constructor(options = {}) {
+    this.perHostConcurrency = options.perHostConcurrency || Infinity;
+    this.delayBetweenPages = options.delayBetweenPages || 0;
+    this.hostDelays = options.hostDelays || new Map();
+    this.activeByHost = new Map();
+    this.lastStartByHost = new Map();
+    this.waiters = [];
+  }
+
+  /**
+   * Wake every worker waiting for a commit or a free host slot
+   * @private
+   */
+  _notify() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * @private
+   */
+  _waitForChange() {
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  /**
+   * @private
+   */
+  async _acquireHost(host) {
+    const hostDelay = this.hostDelays.get(host) || 0;
+    const limit = this.hostDelays.has(host) ? 1 : this.perHostConcurrency;
+
+    for (;;) {
+      if ((this.activeByHost.get(host) || 0) >= limit) {
+        await this._waitForChange();
+        continue;
+      }
+
+      // Another worker may take the host while this one sleeps, so check again
+      const wait = this.lastStartByHost.has(host)
+        ? this.lastStartByHost.get(host) + hostDelay - Date.now()
+        : 0;
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+        continue;
+      }
+      break;
+    }
+
+    this.activeByHost.set(host, (this.activeByHost.get(host) || 0) + 1);
+    this.lastStartByHost.set(host, Date.now());
+  }
+
+  /**
+   * @private
+   */
+  _releaseHost(host) {
+    this.activeByHost.set(host, this.activeByHost.get(host) - 1);
+    this._notify();
+  }
+
+  /**
+   * Process jobs until the queue is exhausted
+   * @param {Array<Object>} workers - One entry per worker, passed to processJob
+   * @param {Object} handlers - Crawl callbacks
+   * @param {Function} handlers.nextJob - Synchronously returns the next job ({ url, ... }) or null if none is available yet
+   * @param {Function} handlers.processJob - async (worker, job) => result; should report page errors in its result rather than throw
+   * @param {Function} handlers.commitResult - Synchronous (job, result) => void, called in dispatch order; may queue more jobs
+   * @returns {Promise<void>} Rejects with the first error thrown by a handler
+   */
+  async run(workers, { nextJob, processJob, commitResult }) {
+    const results = new Map();
+    let dispatched = 0;
+    let committed = 0;
+    let failure = null;
+
+    const commitReady = () => {
+      while (!failure && results.has(committed)) {
+        const { job, result } = results.get(committed);
+        results.delete(committed);
+        committed++;
+        commitResult(job, result);
+      }
+    };
+
+    const workerLoop = async (worker) => {
+      let hasProcessedPage = false;
+
+      while (!failure) {
+        const job = nextJob();
+
+        if (!job) {
+          // Nothing in flight means nothing can queue more work: we're done
+          if (dispatched === committed) return;
+          await this._waitForChange();
+          continue;
+        }
+
+        const sequence = dispatched++;
+        const host = new URL(job.url).host;
+
+        if (hasProcessedPage && this.delayBetweenPages > 0) {
+          console.log(
+            `⏳ Waiting ${this.delayBetweenPages}ms before next page...`
+          );
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.delayBetweenPages)
+          );
+        }
+
+        await this._acquireHost(host);
+        let result;
+        try {
+          result = await processJob(worker, job);
+        } finally {
+          this._releaseHost(host);
+        }
+        hasProcessedPage = true;
+
+        results.set(sequence, { job, result });
+        commitReady();
+        this._notify();
+      }
+    };
+
+    await Promise.all(
+      workers.map((worker) =>
+        workerLoop(worker).catch((error) => {
+          failure = failure || error;
+          this._notify();
+        })
+      )
+    );
+
+    if (failure) {
+      throw failure;
+    }
+  }
+}
+
+module.exports = CrawlPool;
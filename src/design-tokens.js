@@ -0,0 +1,512 @@
+const fs = require("fs-extra");
+const path = require("path");
+const {
+  escapeHtml,
+  getBlockType,
+  getBlockDisplayName,
+} = require("./report-helpers");
+
+// Values closer than this are clustered into one token
+const CLUSTER_THRESHOLDS = {
+  colors: 12, // Euclidean distance in RGBA space (0-255 per channel)
+  fontSizes: 0.5, // px
+  spacing: 1, // px
+};
+
+const CATEGORY_TITLES = {
+  colors: "Colors",
+  fontFamilies: "Font Stacks",
+  fontSizes: "Font Sizes",
+  spacing: "Spacing",
+};
+
+/**
+ * Parse an rgb()/rgba() computed color
+ * @param {string} value - Computed color
+ * @returns {Array<number>|null} [r, g, b, a] with a in 0-255, or null for other formats
+ */
+function parseColor(value) {
+  const match = value.match(
+    /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/
+  );
+  if (!match) return null;
+
+  let alpha = 255;
+  if (match[4] !== undefined) {
+    alpha = match[4].endsWith("%")
+      ? (parseFloat(match[4]) / 100) * 255
+      : parseFloat(match[4]) * 255;
+  }
+  return [match[1], match[2], match[3]]
+    .map((channel) => Math.round(parseFloat(channel)))
+    .concat(Math.round(alpha));
+}
+
+/**
+ * @param {Array<number>} rgba - [r, g, b, a]
+ * @returns {string} #rrggbb, or #rrggbbaa when not opaque
+ */
+function toHex([r, g, b, a]) {
+  const hex = (n) => n.toString(16).padStart(2, "0");
+  return `#${hex(r)}${hex(g)}${hex(b)}${a < 255 ? hex(a) : ""}`;
+}
+
+/**
+ * Split a computed value into the token values it uses
+ * @param {string} property - CSS property
+ * @param {string} value - Computed value
+ * @returns {Array<Object>} { category, value, key } - key is the normalized value tokens are clustered on
+ */
+function extractTokenValues(property, value) {
+  if (!value) return [];
+  const values = [];
+
+  if (
+    property.endsWith("color") ||
+    property === "background-image" ||
+    property.startsWith("border")
+  ) {
+    // A border of width 0 or style none still reports its color
+    const noBorder =
+      property.startsWith("border") &&
+      !property.endsWith("color") &&
+      /(^|\s)(0px|none)(\s|$)/.test(value);
+    const colors = noBorder ? [] : value.match(/rgba?\([^)]*\)/g) || [];
+    colors.forEach((color) => {
+      const rgba = parseColor(color);
+      if (rgba && rgba[3] > 0) {
+        values.push({ category: "colors", value: toHex(rgba), key: rgba });
+      }
+    });
+  }
+
+  if (property === "font-family") {
+    const stack = value
+      .split(",")
+      .map((family) => family.trim().replace(/^["']|["']$/g, ""))
+      .filter(Boolean);
+    if (stack.length > 0) {
+      values.push({
+        category: "fontFamilies",
+        value: stack.join(", "),
+        // Stacks are clustered on their primary family
+        key: stack[0].toLowerCase(),
+      });
+    }
+  }
+
+  if (property === "font-size") {
+    const size = parseFloat(value);
+    if (!Number.isNaN(size)) {
+      values.push({
+        category: "fontSizes",
+        value: `${+size.toFixed(2)}px`,
+        key: size,
+      });
+    }
+  }
+
+  if (
+    property.startsWith("padding") ||
+    property.startsWith("margin") ||
+    property.endsWith("gap")
+  ) {
+    value.split(/\s+/).forEach((part) => {
+      const size = parseFloat(part);
+      if (part.endsWith("px") && size !== 0 && !Number.isNaN(size)) {
+        values.push({
+          category: "spacing",
+          value: `${+size.toFixed(2)}px`,
+          key: size,
+        });
+      }
+    });
+  }
+
+  return values;
+}
+
+/**
+ * Every color, font stack, font size and spacing value used by the computed
+ * styles of a run's variations. Near-identical values are clustered into one
+ * token, and tokens used by a single variation are flagged as one-offs.
+ */
+class DesignTokens {
+  /**
+   * @param {Array<Object>} variations - Variations with `computedStyles`
+   */
+  constructor(variations) {
+    const values = {};
+    Object.keys(CATEGORY_TITLES).forEach((category) => {
+      values[category] = new Map();
+    });
+
+    variations.forEach((variation, position) => {
+      if (!variation.computedStyles) return;
+      const reference = DesignTokens.describeVariation(variation, position);
+      const { element, descendants } = variation.computedStyles;
+
+      [element, ...descendants.map(({ styles }) => styles)].forEach(
+        (styles) => {
+          Object.entries(styles).forEach(([property, value]) => {
+            extractTokenValues(property, value).forEach((token) => {
+              const byValue = values[token.category];
+              if (!byValue.has(token.value)) {
+                byValue.set(token.value, {
+                  value: token.value,
+                  key: token.key,
+                  count: 0,
+                  properties: new Set(),
+                  variations: new Map(),
+                });
+              }
+              const entry = byValue.get(token.value);
+              entry.count++;
+              entry.properties.add(property);
+              entry.variations.set(reference.globalIndex, reference);
+            });
+          });
+        }
+      );
+    });
+
+    this.categories = {};
+    Object.entries(values).forEach(([category, byValue]) => {
+      this.categories[category] = DesignTokens.cluster(
+        category,
+        [...byValue.values()]
+      );
+    });
+  }
+
+  /**
+   * How tokens refer back to a variation
+   * @param {Object} variation - Variation
+   * @param {number} position - Position of the variation in the run
+   * @returns {Object} { globalIndex, pageUrl, blockType, selector }
+   */
+  static describeVariation(variation, position) {
+    return {
+      globalIndex: variation.globalIndex ?? position,
+      pageUrl: variation.pageUrl || null,
+      blockType: getBlockType(variation.classNames),
+      selector: variation.selector,
+    };
+  }
+
+  /**
+   * Group values into tokens. Most used values come first and become the
+   * token value; less used values join the first token within the category's
+   * threshold.
+   * @param {string} category - Key of CATEGORY_TITLES
+   * @param {Array<Object>} entries - Distinct values with their usage
+   * @returns {Array<Object>} Tokens, most used first
+   */
+  static cluster(category, entries) {
+    const threshold = CLUSTER_THRESHOLDS[category];
+    const distance = (a, b) => {
+      if (category === "colors") {
+        return Math.sqrt(a.reduce((sum, n, i) => sum + (n - b[i]) ** 2, 0));
+      }
+      if (category === "fontFamilies") {
+        return a === b ? 0 : Infinity;
+      }
+      return Math.abs(a - b);
+    };
+
+    const tokens = [];
+    entries
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .forEach((entry) => {
+        const token = tokens.find(
+          (candidate) => distance(candidate.key, entry.key) <= (threshold || 0)
+        );
+        if (token) {
+          token.members.push(entry);
+        } else {
+          tokens.push({ key: entry.key, members: [entry] });
+        }
+      });
+
+    return tokens
+      .map(({ members }) => {
+        const variations = new Map();
+        members.forEach((member) =>
+          member.variations.forEach((reference, index) =>
+            variations.set(index, reference)
+          )
+        );
+        return {
+          value: members[0].value,
+          count: members.reduce((sum, member) => sum + member.count, 0),
+          variationCount: variations.size,
+          oneOff: variations.size === 1,
+          properties: [
+            ...new Set(members.flatMap((member) => [...member.properties])),
+          ].sort(),
+          values: members.map(({ value, count }) => ({ value, count })),
+          variations: [...variations.values()].sort(
+            (a, b) => a.globalIndex - b.globalIndex
+          ),
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * @returns {Object} { generatedAt, categories } - tokens per category
+   */
+  toJSON() {
+    return {
+      generatedAt: new Date().toISOString(),
+      categories: this.categories,
+    };
+  }
+
+  /**
+   * Standalone page listing the tokens of each category
+   * @param {string} reportFile - Report the variation links point to
+   * @returns {string} HTML
+   */
+  toHtml(reportFile) {
+    const pagePath = (pageUrl) =>
+      pageUrl ? pageUrl.replace(/^https?:\/\/[^/]+/, "") || "/" : "";
+
+    const renderSample = (category, value) => {
+      switch (category) {
+        case "colors":
+          return `<span class="token-swatch" style="background-color: ${escapeHtml(
+            value
+          )}"></span>`;
+        case "fontFamilies":
+          return `<span class="token-sample" style="font-family: ${escapeHtml(
+            value
+          )}">Aa</span>`;
+        case "fontSizes":
+          return `<span class="token-sample" style="font-size: ${escapeHtml(
+            value
+          )}">Aa</span>`;
+        default:
+          return `<span class="token-bar" style="width: ${escapeHtml(
+            value
+          )}"></span>`;
+      }
+    };
+
+    const sectionsHtml = Object.entries(this.categories)
+      .map(([category, tokens]) => {
+        const oneOffs = tokens.filter((token) => token.oneOff).length;
+
+        const rowsHtml = tokens
+          .map((token) => {
+            const clusteredHtml =
+              token.values.length > 1
+                ? `<div class="token-members">Also: ${token.values
+                    .slice(1)
+                    .map(
+                      ({ value, count }) =>
+                        `<code>${escapeHtml(value)}</code> ×${count}`
+                    )
+                    .join(", ")}</div>`
+                : "";
+            const variationLinksHtml = token.variations
+              .map(
+                ({ globalIndex, pageUrl, blockType }) =>
+                  `<li><a href="${escapeHtml(
+                    reportFile
+                  )}#variation-${globalIndex}">${escapeHtml(
+                    getBlockDisplayName(blockType)
+                  )} #${globalIndex}</a>${
+                    pageUrl
+                      ? ` <span class="token-page">${escapeHtml(
+                          pagePath(pageUrl)
+                        )}</span>`
+                      : ""
+                  }</li>`
+              )
+              .join("");
+
+            return `
+                <tr class="${token.oneOff ? "one-off" : ""}">
+                    <td>${renderSample(category, token.value)}</td>
+                    <td><code>${escapeHtml(token.value)}</code>${
+              token.oneOff ? ' <span class="one-off-badge">One-off</span>' : ""
+            }${clusteredHtml}</td>
+                    <td class="count">${token.count}</td>
+                    <td>${token.properties
+                      .map((property) => `<code>${escapeHtml(property)}</code>`)
+                      .join(" ")}</td>
+                    <td>
+                        <details>
+                            <summary>${token.variationCount} variation${
+              token.variationCount !== 1 ? "s" : ""
+            }</summary>
+                            <ul>${variationLinksHtml}</ul>
+                        </details>
+                    </td>
+                </tr>`;
+          })
+          .join("");
+
+        return `
+        <div class="token-category">
+            <h2>${CATEGORY_TITLES[category]} (${tokens.length}${
+          oneOffs > 0 ? `, ${oneOffs} one-off${oneOffs !== 1 ? "s" : ""}` : ""
+        })</h2>
+            ${
+              tokens.length > 0
+                ? `<table>
+                <thead>
+                    <tr><th></th><th>Value</th><th>Uses</th><th>Properties</th><th>Used By</th></tr>
+                </thead>
+                <tbody>${rowsHtml}
+                </tbody>
+            </table>`
+                : "<p>No values captured.</p>"
+            }
+        </div>`;
+      })
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Design Tokens Report</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+            text-align: center;
+        }
+        .summary {
+            background-color: #f8f9fa;
+            padding: 15px;
+            border-radius: 5px;
+            margin: 20px 0;
+        }
+        .token-category h2 {
+            color: #1e40af;
+            border-bottom: 2px solid #e9ecef;
+            padding-bottom: 8px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        th, td {
+            border-bottom: 1px solid #e9ecef;
+            padding: 8px;
+            text-align: left;
+            vertical-align: top;
+        }
+        th {
+            background-color: #f1f5f9;
+        }
+        td.count {
+            text-align: right;
+        }
+        tr.one-off {
+            background-color: #fffbeb;
+        }
+        .one-off-badge {
+            background-color: #fff3cd;
+            color: #856404;
+            border-radius: 4px;
+            padding: 1px 6px;
+            font-size: 11px;
+        }
+        .token-swatch {
+            display: inline-block;
+            width: 28px;
+            height: 28px;
+            border-radius: 4px;
+            border: 1px solid #ced4da;
+        }
+        .token-sample {
+            display: inline-block;
+            max-width: 120px;
+            overflow: hidden;
+        }
+        .token-bar {
+            display: inline-block;
+            max-width: 200px;
+            height: 12px;
+            background-color: #93c5fd;
+        }
+        .token-members, .token-page {
+            font-size: 11px;
+            color: #718096;
+        }
+        details summary {
+            cursor: pointer;
+        }
+        details ul {
+            margin: 6px 0 0 0;
+            padding-left: 18px;
+        }
+        code {
+            background-color: #f1f3f5;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }
+        a {
+            color: #1e40af;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🎨 Design Tokens Report</h1>
+
+        <div class="summary">
+            <p>Values from the computed styles of every variation. Values within ${
+              CLUSTER_THRESHOLDS.colors
+            } RGB steps (colors), ${CLUSTER_THRESHOLDS.fontSizes}px (font sizes) or ${
+      CLUSTER_THRESHOLDS.spacing
+    }px (spacing) of a more common value are counted with it, and font stacks are grouped by their primary family. <strong>One-offs</strong> are values used by a single variation.</p>
+            <p><a href="design_tokens.json">Download JSON</a> · <a href="${escapeHtml(
+              reportFile
+            )}">Variations report</a></p>
+            <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+        </div>
+        ${sectionsHtml}
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Write design_tokens.json and design_tokens.html
+   * @param {string} outputDir - Directory to write to
+   * @param {string} reportFile - Report the variation links point to
+   * @returns {Promise<Object>} { jsonPath, htmlPath }
+   */
+  async write(outputDir, reportFile) {
+    const jsonPath = path.join(outputDir, "design_tokens.json");
+    const htmlPath = path.join(outputDir, "design_tokens.html");
+
+    await fs.ensureDir(outputDir);
+    await fs.writeJson(jsonPath, this.toJSON(), { spaces: 2 });
+    await fs.writeFile(htmlPath, this.toHtml(reportFile));
+
+    console.log(`Design tokens generated: ${jsonPath}, ${htmlPath}`);
+    return { jsonPath, htmlPath };
+  }
+}
+
+module.exports = DesignTokens;
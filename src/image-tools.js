@@ -0,0 +1,312 @@
+const { chromium } = require("playwright");
+const fs = require("fs-extra");
+const path = require("path");
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+};
+
+/**
+ * Image processing backed by a browser canvas, so no native image
+ * libraries are needed beyond the Chromium that Playwright already ships
+ */
+class ImageTools {
+  /**
+   * @param {import("playwright").Page} page - Page used as the canvas host
+   */
+  constructor(page) {
+    this.page = page;
+    this.ownedBrowser = null;
+  }
+
+  /**
+   * Launch a headless browser just for image processing
+   * @returns {Promise<ImageTools>}
+   */
+  static async launch() {
+    const browser = await chromium.launch({ headless: true });
+    const tools = new ImageTools(await browser.newPage());
+    tools.ownedBrowser = browser;
+    return tools;
+  }
+
+  async close() {
+    if (this.ownedBrowser) {
+      await this.ownedBrowser.close();
+      this.ownedBrowser = null;
+    }
+  }
+
+  /**
+   * Read an image file into a data URL the page can load
+   * @private
+   */
+  async _toDataUrl(filePath) {
+    const mimeType =
+      MIME_TYPES[path.extname(filePath).toLowerCase()] || "image/png";
+    const data = await fs.readFile(filePath);
+    return `data:${mimeType};base64,${data.toString("base64")}`;
+  }
+
+  /**
+   * Write a data URL produced by canvas.toDataURL() to disk
+   * @private
+   */
+  async _writeDataUrl(dataUrl, filePath) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(",") + 1);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, Buffer.from(base64, "base64"));
+  }
+
+  /**
+   * Re-encode an image, scaling it down to a pixel budget, and write a
+   * thumbnail of it
+   * @param {string} inputPath - Image to process
+   * @param {Object} options - Processing options
+   * @param {string} options.outputPath - Where to write the image, written when it differs from inputPath or the image was scaled down (default: inputPath)
+   * @param {string} options.type - MIME type to encode with (default: from the extension of outputPath)
+   * @param {number} options.quality - Quality of JPEG and WebP output, 1-100 (default: 80)
+   * @param {number} options.maxPixels - Scale images with more pixels than this down to it (default: no limit)
+   * @param {string} options.thumbnailPath - Where to write the thumbnail (default: no thumbnail)
+   * @param {number} options.thumbnailWidth - Thumbnail width, never wider than the image (default: 320)
+   * @returns {Promise<Object>} { width, height, originalWidth, originalHeight, written }
+   */
+  async process(inputPath, options = {}) {
+    const {
+      outputPath = inputPath,
+      quality = 80,
+      maxPixels = null,
+      thumbnailPath = null,
+      thumbnailWidth = 320,
+    } = options;
+    const type =
+      options.type ||
+      MIME_TYPES[path.extname(outputPath).toLowerCase()] ||
+      "image/png";
+    const reencode = path.resolve(outputPath) !== path.resolve(inputPath);
+
+    const result = await this.page.evaluate(
+      async ({ source, type, quality, maxPixels, reencode, thumbnailWidth }) => {
+        const img = await new Promise((resolve, reject) => {
+          const image = new Image();
+          image.onload = () => resolve(image);
+          image.onerror = () => reject(new Error("Could not decode image"));
+          image.src = source;
+        });
+
+        const draw = (from, width, height) => {
+          const canvas = document.createElement("canvas");
+          canvas.width = width;
+          canvas.height = height;
+          const ctx = canvas.getContext("2d");
+          ctx.imageSmoothingQuality = "high";
+          // JPEG has no alpha channel, transparent pixels would turn black
+          if (type === "image/jpeg") {
+            ctx.fillStyle = "#ffffff";
+            ctx.fillRect(0, 0, width, height);
+          }
+          ctx.drawImage(from, 0, 0, width, height);
+          return canvas;
+        };
+
+        // Halve in steps, a single large downscale skips most source pixels
+        const resize = (from, width, height) => {
+          let current = from;
+          let currentWidth = from.width;
+          let currentHeight = from.height;
+          while (currentWidth / 2 > width) {
+            currentWidth = Math.round(currentWidth / 2);
+            currentHeight = Math.round(currentHeight / 2);
+            current = draw(current, currentWidth, currentHeight);
+          }
+          return draw(current, width, height);
+        };
+
+        const scale =
+          maxPixels && img.width * img.height > maxPixels
+            ? Math.sqrt(maxPixels / (img.width * img.height))
+            : 1;
+        const width = Math.max(1, Math.floor(img.width * scale));
+        const height = Math.max(1, Math.floor(img.height * scale));
+        const written = reencode || scale < 1;
+        const image = written ? resize(img, width, height) : img;
+
+        let thumbnail = null;
+        if (thumbnailWidth > 0) {
+          const thumbWidth = Math.min(thumbnailWidth, width);
+          const thumbHeight = Math.max(
+            1,
+            Math.round((height * thumbWidth) / width)
+          );
+          thumbnail = resize(image, thumbWidth, thumbHeight).toDataURL(
+            type,
+            quality / 100
+          );
+        }
+
+        return {
+          width,
+          height,
+          originalWidth: img.width,
+          originalHeight: img.height,
+          image: written ? image.toDataURL(type, quality / 100) : null,
+          thumbnail,
+        };
+      },
+      {
+        source: await this._toDataUrl(inputPath),
+        type,
+        quality,
+        maxPixels,
+        reencode,
+        thumbnailWidth: thumbnailPath ? thumbnailWidth : 0,
+      }
+    );
+
+    if (result.image) {
+      await this._writeDataUrl(result.image, outputPath);
+    }
+    if (result.thumbnail) {
+      await this._writeDataUrl(result.thumbnail, thumbnailPath);
+    }
+
+    return {
+      width: result.width,
+      height: result.height,
+      originalWidth: result.originalWidth,
+      originalHeight: result.originalHeight,
+      written: Boolean(result.image),
+    };
+  }
+
+  /**
+   * Compare two images pixel by pixel
+   * @param {string} baselinePath - Approved image
+   * @param {string} currentPath - Newly captured image
+   * @param {Object} options - Diff options
+   * @param {number} options.colorThreshold - Max per-channel difference (0-255) still treated as equal (default: 32)
+   * @param {string} options.diffPath - Where to write the overlay diff image
+   * @param {string} options.sideBySidePath - Where to write the baseline | current | diff composite
+   * @returns {Promise<Object>} { width, height, diffPixels, totalPixels, mismatchRatio }
+   */
+  async diff(baselinePath, currentPath, options = {}) {
+    const { colorThreshold = 32, diffPath = null, sideBySidePath = null } =
+      options;
+
+    const result = await this.page.evaluate(
+      async ({ baseline, current, colorThreshold }) => {
+        const load = (src) =>
+          new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("Could not decode image"));
+            img.src = src;
+          });
+
+        const [before, after] = await Promise.all([
+          load(baseline),
+          load(current),
+        ]);
+
+        // Compare on a canvas big enough for both; pixels outside the smaller
+        // image stay transparent and therefore count as different
+        const width = Math.max(before.width, after.width);
+        const height = Math.max(before.height, after.height);
+
+        const readPixels = (img) => {
+          const canvas = document.createElement("canvas");
+          canvas.width = width;
+          canvas.height = height;
+          const ctx = canvas.getContext("2d");
+          ctx.drawImage(img, 0, 0);
+          return ctx.getImageData(0, 0, width, height).data;
+        };
+
+        const a = readPixels(before);
+        const b = readPixels(after);
+
+        const overlay = document.createElement("canvas");
+        overlay.width = width;
+        overlay.height = height;
+        const overlayCtx = overlay.getContext("2d");
+        const out = overlayCtx.createImageData(width, height);
+
+        let diffPixels = 0;
+        for (let i = 0; i < a.length; i += 4) {
+          const distance = Math.max(
+            Math.abs(a[i] - b[i]),
+            Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]),
+            Math.abs(a[i + 3] - b[i + 3])
+          );
+
+          if (distance > colorThreshold) {
+            // Changed pixels in solid red
+            diffPixels++;
+            out.data[i] = 255;
+            out.data[i + 1] = 0;
+            out.data[i + 2] = 0;
+            out.data[i + 3] = 255;
+          } else {
+            // Unchanged pixels as a faded grayscale of the current image
+            const gray = 0.3 * b[i] + 0.59 * b[i + 1] + 0.11 * b[i + 2];
+            const faded = 255 - (255 - gray) * 0.25;
+            out.data[i] = faded;
+            out.data[i + 1] = faded;
+            out.data[i + 2] = faded;
+            out.data[i + 3] = 255;
+          }
+        }
+        overlayCtx.putImageData(out, 0, 0);
+
+        // Baseline | current | diff composite with a small gutter between them
+        const gutter = 10;
+        const sideBySide = document.createElement("canvas");
+        sideBySide.width = before.width + after.width + width + gutter * 2;
+        sideBySide.height = height;
+        const sideCtx = sideBySide.getContext("2d");
+        sideCtx.fillStyle = "#ffffff";
+        sideCtx.fillRect(0, 0, sideBySide.width, sideBySide.height);
+        sideCtx.drawImage(before, 0, 0);
+        sideCtx.drawImage(after, before.width + gutter, 0);
+        sideCtx.drawImage(overlay, before.width + after.width + gutter * 2, 0);
+
+        return {
+          width,
+          height,
+          diffPixels,
+          totalPixels: width * height,
+          diffImage: diffPixels > 0 ? overlay.toDataURL("image/png") : null,
+          sideBySideImage:
+            diffPixels > 0 ? sideBySide.toDataURL("image/png") : null,
+        };
+      },
+      {
+        baseline: await this._toDataUrl(baselinePath),
+        current: await this._toDataUrl(currentPath),
+        colorThreshold,
+      }
+    );
+
+    if (result.diffImage && diffPath) {
+      await this._writeDataUrl(result.diffImage, diffPath);
+    }
+    if (result.sideBySideImage && sideBySidePath) {
+      await this._writeDataUrl(result.sideBySideImage, sideBySidePath);
+    }
+
+    return {
+      width: result.width,
+      height: result.height,
+      diffPixels: result.diffPixels,
+      totalPixels: result.totalPixels,
+      mismatchRatio:
+        result.totalPixels > 0 ? result.diffPixels / result.totalPixels : 0,
+    };
+  }
+}
+
+module.exports = ImageTools;
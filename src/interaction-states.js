@@ -0,0 +1,37 @@
+/**
+ * Interaction states a variation can be captured in besides its resting state
+ */
+
+// States in capture order
+const INTERACTION_STATES = ["hover", "focus", "active"];
+
+// Descendants put in each state after the element itself
+const INTERACTIVE_SELECTOR = [
+  "a[href]",
+  "button",
+  "[role='button']",
+  "input:not([type='hidden'])",
+  "select",
+  "textarea",
+  "summary",
+  "[tabindex]:not([tabindex='-1'])",
+].join(", ");
+
+// Interactive descendants captured per variation, to keep crawls fast
+const MAX_STATE_TARGETS = 3;
+
+/**
+ * Check a list of states against INTERACTION_STATES
+ * @param {Array<string>} states - Requested states
+ * @returns {Array<string>} States that aren't supported
+ */
+function findUnknownStates(states) {
+  return states.filter((state) => !INTERACTION_STATES.includes(state));
+}
+
+module.exports = {
+  INTERACTION_STATES,
+  INTERACTIVE_SELECTOR,
+  MAX_STATE_TARGETS,
+  findUnknownStates,
+};
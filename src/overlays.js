@@ -0,0 +1,174 @@
+/**
+ * Overlay removal profiles: which floating elements are hidden and which
+ * close buttons are clicked before elements are captured
+ */
+
+// Floating/overlay elements hidden before capture. They are only hidden when
+// fixed or sticky, so matching in-content elements are left alone.
+const DEFAULT_HIDE_SELECTORS = [
+  // Site headers (add these first for priority)
+  "header",
+  ".site-header",
+  "#site-header",
+  "header.header",
+  'header[class*="header"]',
+  '[class*="header"]',
+  '[class*="site-header"]',
+  '[id*="site-header"]',
+
+  // Cookie banners
+  '[class*="cookie"]',
+  '[id*="cookie"]',
+  '[class*="gdpr"]',
+  '[id*="gdpr"]',
+
+  // Chat widgets
+  '[class*="chat"]',
+  '[id*="chat"]',
+  '[class*="intercom"]',
+  '[id*="intercom"]',
+  '[class*="zendesk"]',
+  '[id*="zendesk"]',
+
+  // Popups and modals
+  '[class*="popup"]',
+  '[id*="popup"]',
+  '[class*="modal"]',
+  '[id*="modal"]',
+  '[class*="overlay"]',
+  '[id*="overlay"]',
+
+  // Newsletter/subscription popups
+  '[class*="newsletter"]',
+  '[id*="newsletter"]',
+  '[class*="subscribe"]',
+  '[id*="subscribe"]',
+  '[class*="signup"]',
+  '[id*="signup"]',
+
+  // Notification bars
+  '[class*="notification"]',
+  '[id*="notification"]',
+  '[class*="banner"]',
+  '[id*="banner"]',
+  '[class*="alert"]',
+  '[id*="alert"]',
+
+  // Fixed positioned elements
+  '[style*="position: fixed"]',
+  '[style*="position:fixed"]',
+
+  // Common WordPress popup plugins
+  ".pum-overlay",
+  ".elementor-popup-modal",
+  ".mfp-bg",
+  ".fancybox-overlay",
+
+  // Sticky headers that might interfere
+  '[class*="sticky"]',
+  '[class*="fixed"]',
+];
+
+// Buttons clicked to dismiss popups that are still visible
+const DEFAULT_CLOSE_SELECTORS = [
+  '[aria-label*="close" i]',
+  '[title*="close" i]',
+  ".close",
+  ".modal-close",
+  ".popup-close",
+  '[class*="close"]',
+  'button:has-text("×")',
+  'button:has-text("Close")',
+  'button:has-text("Dismiss")',
+];
+
+/**
+ * Combine a config's overlay profile with the defaults
+ * @param {Object} profile - Config `overlays` profile
+ * @param {Array<string>} profile.hide - Selectors hidden in addition to the defaults
+ * @param {boolean} profile.replaceHide - Use only `hide`, not the default hide list
+ * @param {Array<string>} profile.closeButtons - Close buttons clicked in addition to the defaults
+ * @param {boolean} profile.replaceCloseButtons - Use only `closeButtons`, not the default list
+ * @param {string} profile.css - Stylesheet injected into every page before capture
+ * @param {string} profile.script - Script run in every page before capture
+ * @returns {Object} { hideSelectors, closeSelectors, css, script }
+ */
+function resolveOverlayProfile(profile = {}) {
+  const hide = profile.hide || [];
+  const closeButtons = profile.closeButtons || [];
+
+  return {
+    hideSelectors: profile.replaceHide
+      ? hide
+      : [...DEFAULT_HIDE_SELECTORS, ...hide],
+    closeSelectors: profile.replaceCloseButtons
+      ? closeButtons
+      : [...DEFAULT_CLOSE_SELECTORS, ...closeButtons],
+    css: profile.css || null,
+    script: profile.script || null,
+  };
+}
+
+/**
+ * Hide the floating elements matching any of the selectors. Runs inside the
+ * page (pass it to page.evaluate), so it must stay self-contained.
+ * @param {Array<string>} selectors - Hide list
+ * @returns {Array<Object>} Newly hidden elements ({ selector, element, action: "hidden" })
+ */
+function hideFloatingElements(selectors) {
+  const hidden = [];
+
+  const describe = (el) => {
+    const id = el.id ? `#${el.id}` : "";
+    const classes = [...el.classList]
+      .slice(0, 3)
+      .map((cls) => `.${cls}`)
+      .join("");
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  selectors.forEach((sel) => {
+    let elements;
+    try {
+      elements = document.querySelectorAll(sel);
+    } catch (error) {
+      return; // Ignore selectors the browser can't parse
+    }
+
+    elements.forEach((el) => {
+      if (el.hasAttribute("data-scraper-hidden")) return;
+
+      // Check if element is actually floating/fixed and not part of main content
+      const style = window.getComputedStyle(el);
+      const isFloating =
+        style.position === "fixed" || style.position === "sticky";
+
+      // Be more aggressive with headers
+      if (sel.toLowerCase().includes("header") && isFloating) {
+        el.style.visibility = "hidden";
+      } else if (
+        // Only remove if it's clearly a floating element (high z-index)
+        // and not in the main content area
+        isFloating &&
+        parseInt(style.zIndex) > 999 &&
+        !el.closest(".entry-content, .main-content, .content, main")
+      ) {
+        el.style.display = "none"; // Hide instead of remove to be safer
+      } else {
+        return;
+      }
+
+      el.setAttribute("data-scraper-hidden", "");
+      hidden.push({ selector: sel, element: describe(el), action: "hidden" });
+    });
+  });
+
+  return hidden;
+}
+
+module.exports = {
+  DEFAULT_HIDE_SELECTORS,
+  DEFAULT_CLOSE_SELECTORS,
+  resolveOverlayProfile,
+  hideFloatingElements,
+};
@@ -0,0 +1,241 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Bump whenever the cache layout changes; older caches are discarded
+const CACHE_VERSION = 5;
+
+/**
+ * Per-URL cache of the last scrape of each page, keyed by the page's sitemap
+ * lastmod, so incremental crawls only re-render pages that changed
+ */
+class PageCache {
+  /**
+   * @param {string} cacheDir - Directory holding pages.json and cached screenshots and snippets
+   * @param {Object} settings - Scrape settings the cached captures depend on (selector, prefix, viewports...)
+   */
+  constructor(cacheDir, settings = {}) {
+    this.cacheDir = cacheDir;
+    this.screenshotsDir = path.join(cacheDir, "screenshots");
+    this.snippetsDir = path.join(cacheDir, "snippets");
+    this.indexPath = path.join(cacheDir, "pages.json");
+    this.fingerprint = JSON.stringify(settings);
+    this.pages = {};
+  }
+
+  /**
+   * Rewrite every screenshot and thumbnail file name a variation refers to
+   * @param {Object} variation - Variation from captureVariations()
+   * @param {Function} rename - (fileName) => new file name
+   * @returns {Object} Copy of the variation with renamed files
+   */
+  static mapScreenshotPaths(variation, rename) {
+    const renameCapture = (capture) => ({
+      ...capture,
+      screenshotPath: capture.screenshotPath
+        ? rename(capture.screenshotPath)
+        : null,
+      thumbnailPath: capture.thumbnailPath
+        ? rename(capture.thumbnailPath)
+        : null,
+    });
+
+    const viewports = {};
+    Object.entries(variation.viewports || {}).forEach(([name, capture]) => {
+      viewports[name] = renameCapture(capture);
+    });
+
+    return {
+      ...renameCapture(variation),
+      viewports,
+      states: (variation.states || []).map(renameCapture),
+    };
+  }
+
+  /**
+   * Every screenshot file a list of variations refers to
+   * @private
+   */
+  static _getScreenshotFiles(variations) {
+    const files = new Set();
+    variations.forEach((variation) =>
+      PageCache.mapScreenshotPaths(variation, (file) => {
+        files.add(file);
+        return file;
+      })
+    );
+    return [...files];
+  }
+
+  /**
+   * Every snippet and stylesheet file a list of variations refers to
+   * @private
+   */
+  static _getSnippetFiles(variations) {
+    const files = new Set();
+    variations.forEach(({ snippetPath, stylesPath }) => {
+      if (snippetPath) files.add(snippetPath);
+      if (stylesPath) files.add(stylesPath);
+    });
+    return [...files];
+  }
+
+  /**
+   * Load the cache index. Entries written with different scrape settings are discarded.
+   */
+  async load() {
+    if (!(await fs.pathExists(this.indexPath))) {
+      return;
+    }
+
+    const index = await fs.readJson(this.indexPath);
+    if (
+      index.version === CACHE_VERSION &&
+      index.fingerprint === this.fingerprint
+    ) {
+      this.pages = index.pages || {};
+    } else {
+      console.log(`ℹ️  Scrape settings changed, ignoring cached pages`);
+    }
+  }
+
+  /**
+   * Get the cached scrape of a page if its lastmod hasn't changed
+   * @param {string} url - Page URL
+   * @param {string|null} lastmod - The page's current sitemap lastmod
+   * @returns {Object|null} Cached entry, or null when the page must be scraped
+   */
+  get(url, lastmod) {
+    const entry = this.pages[url];
+    if (!lastmod || !entry || entry.lastmod !== lastmod) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Copy a cached page's screenshots and snippets into a run and return its
+   * variations
+   * @param {Object} entry - Entry from get()
+   * @param {string} screenshotsDir - The run's screenshots directory
+   * @param {string} prefix - Prefix for the copied file names (e.g. "page3_element")
+   * @param {string} snippetsDir - The run's snippets directory
+   * @returns {Promise<Array<Object>|null>} Variations, or null if cached files are missing
+   */
+  async restore(entry, screenshotsDir, prefix, snippetsDir) {
+    const files = PageCache._getScreenshotFiles(entry.variations);
+    const snippetFiles = PageCache._getSnippetFiles(entry.variations);
+    for (const file of files) {
+      if (!(await fs.pathExists(path.join(this.screenshotsDir, file)))) {
+        return null;
+      }
+    }
+    for (const file of snippetFiles) {
+      if (!(await fs.pathExists(path.join(this.snippetsDir, file)))) {
+        return null;
+      }
+    }
+
+    // Give restored files this run's page prefix so they sort and clean up with the rest.
+    // Stylesheets are named by their content and shared between pages, so they keep their name.
+    const rename = (file) => file.replace(/^.*?_element(?=_)/, prefix);
+
+    await fs.ensureDir(screenshotsDir);
+    for (const file of files) {
+      await fs.copy(
+        path.join(this.screenshotsDir, file),
+        path.join(screenshotsDir, rename(file))
+      );
+    }
+    await fs.ensureDir(snippetsDir);
+    for (const file of snippetFiles) {
+      await fs.copy(
+        path.join(this.snippetsDir, file),
+        path.join(snippetsDir, rename(file))
+      );
+    }
+
+    return entry.variations.map((variation) => ({
+      ...PageCache.mapScreenshotPaths(variation, rename),
+      snippetPath: variation.snippetPath ? rename(variation.snippetPath) : null,
+    }));
+  }
+
+  /**
+   * Store a freshly scraped page, replacing its previous entry
+   * @param {string} url - Page URL
+   * @param {string} lastmod - The page's sitemap lastmod
+   * @param {Object} scrape - { variations, links, overlays } from the scrape
+   * @param {string} screenshotsDir - Where the scrape's screenshots live
+   * @param {string} snippetsDir - Where the scrape's snippets live
+   */
+  async store(
+    url,
+    lastmod,
+    { variations, links, overlays },
+    screenshotsDir,
+    snippetsDir
+  ) {
+    const previous = this.pages[url];
+    if (previous) {
+      for (const file of PageCache._getScreenshotFiles(previous.variations)) {
+        await fs.remove(path.join(this.screenshotsDir, file));
+      }
+
+      // Keep stylesheets other cached pages or the new scrape still use
+      const inUse = new Set(
+        PageCache._getSnippetFiles([
+          ...variations,
+          ...Object.entries(this.pages)
+            .filter(([cachedUrl]) => cachedUrl !== url)
+            .flatMap(([, entry]) => entry.variations),
+        ])
+      );
+      for (const file of PageCache._getSnippetFiles(previous.variations)) {
+        if (!inUse.has(file)) {
+          await fs.remove(path.join(this.snippetsDir, file));
+        }
+      }
+    }
+
+    await fs.ensureDir(this.screenshotsDir);
+    for (const file of PageCache._getScreenshotFiles(variations)) {
+      const source = path.join(screenshotsDir, file);
+      if (await fs.pathExists(source)) {
+        await fs.copy(source, path.join(this.screenshotsDir, file));
+      }
+    }
+    await fs.ensureDir(this.snippetsDir);
+    for (const file of PageCache._getSnippetFiles(variations)) {
+      const source = path.join(snippetsDir, file);
+      if (await fs.pathExists(source)) {
+        await fs.copy(source, path.join(this.snippetsDir, file));
+      }
+    }
+
+    this.pages[url] = {
+      lastmod,
+      scrapedAt: new Date().toISOString(),
+      variations,
+      links,
+      overlays,
+    };
+  }
+
+  /**
+   * Write the cache index to disk
+   */
+  async save() {
+    await fs.ensureDir(this.cacheDir);
+    await fs.writeJson(
+      this.indexPath,
+      {
+        version: CACHE_VERSION,
+        fingerprint: this.fingerprint,
+        pages: this.pages,
+      },
+      { spaces: 2 }
+    );
+  }
+}
+
+module.exports = PageCache;
@@ -0,0 +1,339 @@
+const {
+  escapeHtml,
+  getBlockType,
+  getBlockDisplayName,
+  getModifierFacets,
+} = require("./report-helpers");
+
+/**
+ * Client-side search, filters, collapsible groups and screenshot lightbox
+ * for the variation reports. Filter state lives in the URL hash (e.g.
+ * #q=deck&block=wp-block-cover) so filtered views can be shared.
+ */
+
+/**
+ * Data attributes a variation card is filtered on
+ * @param {Object} variation - Variation to describe
+ * @param {string} pageUrl - Page the variation was found on
+ * @returns {string} Attributes to put on the card element
+ */
+function renderFilterAttributes(variation, pageUrl) {
+  const facets = getModifierFacets(variation.modifiers).map(
+    ({ label, value }) => `${label}: ${value}`
+  );
+  const search = [
+    variation.selector,
+    ...variation.classNames,
+    variation.textContent,
+  ]
+    .join(" ")
+    .toLowerCase();
+
+  return `data-block-type="${escapeHtml(
+    getBlockType(variation.classNames)
+  )}" data-page="${escapeHtml(pageUrl || "")}" data-facets="${escapeHtml(
+    facets.join("\n")
+  )}" data-search="${escapeHtml(search)}"`;
+}
+
+/**
+ * Render the search and filter bar placed above the variation groups
+ * @param {Array<Object>} variations - Variations in the report
+ * @param {Array<string>} pages - Page URLs to filter by, in report order (omit for single page reports)
+ * @returns {string} HTML
+ */
+function renderReportFilters(variations, pages = []) {
+  const blockTypes = [
+    ...new Set(variations.map(({ classNames }) => getBlockType(classNames))),
+  ].sort();
+  const facets = [
+    ...new Set(
+      variations.flatMap(({ modifiers }) =>
+        getModifierFacets(modifiers).map(
+          ({ label, value }) => `${label}: ${value}`
+        )
+      )
+    ),
+  ].sort();
+
+  const options = (values, allLabel, labelOf = (value) => value) =>
+    [`<option value="">${allLabel}</option>`]
+      .concat(
+        values.map(
+          (value) =>
+            `<option value="${escapeHtml(value)}">${escapeHtml(
+              labelOf(value)
+            )}</option>`
+        )
+      )
+      .join("");
+
+  return `
+        <div class="report-filters">
+            <input type="search" name="q" placeholder="Search selectors, classes and text" aria-label="Search variations">
+            <select name="block" aria-label="Block type">${options(
+              blockTypes,
+              "All block types",
+              getBlockDisplayName
+            )}</select>${
+    pages.length > 1
+      ? `
+            <select name="page" aria-label="Page">${options(
+              pages,
+              "All pages",
+              (url) => url.replace(/^https?:\/\//, "")
+            )}</select>`
+      : ""
+  }${
+    facets.length > 0
+      ? `
+            <select name="facet" aria-label="Class facet">${options(
+              facets,
+              "All class facets"
+            )}</select>`
+      : ""
+  }
+            <button type="button" data-action="reset">Clear</button>
+            <button type="button" data-action="collapse">Collapse all</button>
+            <button type="button" data-action="expand">Expand all</button>
+            <span class="filter-count"></span>
+        </div>
+        <div class="lightbox" hidden>
+            <img alt="">
+            <div class="lightbox-caption"></div>
+        </div>`;
+}
+
+// Styles for renderReportFilters(), collapsible groups and the lightbox.
+// Printed reports (and PDF exports) leave out the controls and show every group.
+const REPORT_FILTERS_CSS = `
+        [hidden] {
+            display: none !important;
+        }
+        .report-filters {
+            position: sticky;
+            top: 0;
+            z-index: 10;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            background-color: #f8f9fa;
+            border: 1px solid #dee2e6;
+            border-radius: 6px;
+            padding: 10px;
+            margin: 20px 0;
+        }
+        .report-filters input[type="search"] {
+            flex: 1 1 240px;
+            padding: 6px 8px;
+        }
+        .report-filters select {
+            max-width: 260px;
+            padding: 5px;
+        }
+        .report-filters button {
+            padding: 5px 10px;
+            cursor: pointer;
+        }
+        .filter-count {
+            font-size: 13px;
+            color: #6c757d;
+        }
+        .filter-empty {
+            color: #6c757d;
+            font-style: italic;
+        }
+        .group-toggle {
+            cursor: pointer;
+            user-select: none;
+        }
+        .group-toggle::before {
+            content: "▾ ";
+            color: #6c757d;
+        }
+        .collapsed > .group-toggle::before {
+            content: "▸ ";
+        }
+        @media screen {
+            .collapsed > :not(.group-toggle) {
+                display: none;
+            }
+        }
+        img.screenshot {
+            cursor: zoom-in;
+        }
+        .lightbox {
+            position: fixed;
+            inset: 0;
+            z-index: 100;
+            background-color: rgba(0, 0, 0, 0.85);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+            cursor: zoom-out;
+        }
+        .lightbox img {
+            max-width: 100%;
+            max-height: calc(100% - 40px);
+            background-color: white;
+        }
+        .lightbox-caption {
+            color: white;
+            font-size: 13px;
+            margin-top: 10px;
+        }
+        @media print {
+            .report-filters,
+            .lightbox {
+                display: none !important;
+            }
+            .group-toggle::before {
+                content: none;
+            }
+            .variation {
+                break-inside: avoid;
+            }
+        }`;
+
+// Script wiring up renderReportFilters(). Groups are the elements matched by
+// GROUP_SELECTOR, their first child is the title that toggles them.
+const REPORT_FILTERS_SCRIPT = `
+    <script>
+        (() => {
+            const bar = document.querySelector(".report-filters");
+            if (!bar) return;
+
+            const GROUP_SELECTOR = ".page-group, .block-type-group, .block-group";
+            const controls = Array.from(bar.querySelectorAll("input, select"));
+            const cards = Array.from(document.querySelectorAll(".variation[data-block-type]"));
+            const groups = Array.from(document.querySelectorAll(GROUP_SELECTOR));
+            const count = bar.querySelector(".filter-count");
+
+            const readHash = () => {
+                // Plain anchors like #variation-3 aren't filter state
+                const hash = location.hash.slice(1);
+                if (!hash.includes("=")) return;
+                const params = new URLSearchParams(hash);
+                controls.forEach((control) => {
+                    control.value = params.get(control.name) || "";
+                });
+            };
+
+            const writeHash = (state) => {
+                const params = new URLSearchParams();
+                Object.entries(state).forEach(([name, value]) => {
+                    if (value) params.set(name, value);
+                });
+                const hash = params.toString();
+                history.replaceState(
+                    null,
+                    "",
+                    hash ? "#" + hash : location.pathname + location.search
+                );
+            };
+
+            const apply = (updateHash) => {
+                const state = {};
+                controls.forEach((control) => {
+                    state[control.name] = control.value.trim();
+                });
+                const terms = (state.q || "").toLowerCase().split(/\\s+/).filter(Boolean);
+
+                let shown = 0;
+                cards.forEach((card) => {
+                    const visible =
+                        (!state.block || card.dataset.blockType === state.block) &&
+                        (!state.page || card.dataset.page === state.page) &&
+                        (!state.facet || card.dataset.facets.split("\\n").includes(state.facet)) &&
+                        terms.every((term) => card.dataset.search.includes(term));
+                    card.hidden = !visible;
+                    if (visible) shown++;
+                });
+
+                // Hide groups and style titles left without a visible variation
+                groups.forEach((group) => {
+                    group.hidden = !group.querySelector(".variation[data-block-type]:not([hidden])");
+                });
+                document.querySelectorAll(".style-variation-title").forEach((title) => {
+                    let next = title.nextElementSibling;
+                    let visible = false;
+                    while (next && !next.classList.contains("style-variation-title")) {
+                        if (!next.hidden) visible = true;
+                        next = next.nextElementSibling;
+                    }
+                    title.hidden = !visible;
+                });
+
+                count.textContent = shown === cards.length
+                    ? cards.length + " variations"
+                    : "Showing " + shown + " of " + cards.length + " variations";
+                if (updateHash) writeHash(state);
+            };
+
+            controls.forEach((control) => {
+                control.addEventListener("input", () => apply(true));
+            });
+            bar.querySelector("[data-action=reset]").addEventListener("click", () => {
+                controls.forEach((control) => {
+                    control.value = "";
+                });
+                apply(true);
+            });
+            bar.querySelector("[data-action=collapse]").addEventListener("click", () => {
+                groups.forEach((group) => group.classList.add("collapsed"));
+            });
+            bar.querySelector("[data-action=expand]").addEventListener("click", () => {
+                groups.forEach((group) => group.classList.remove("collapsed"));
+            });
+            window.addEventListener("hashchange", () => {
+                readHash();
+                apply(false);
+            });
+
+            // Clicking a group's title collapses it, links inside titles still work
+            groups.forEach((group) => {
+                const title = group.firstElementChild;
+                title.classList.add("group-toggle");
+                title.addEventListener("click", (event) => {
+                    if (event.target.closest("a")) return;
+                    group.classList.toggle("collapsed");
+                });
+            });
+
+            // Screenshots open full size in a lightbox, thumbnails show the
+            // image they link to
+            const lightbox = document.querySelector(".lightbox");
+            const lightboxImage = lightbox.querySelector("img");
+            const closeLightbox = () => {
+                lightbox.hidden = true;
+                lightboxImage.removeAttribute("src");
+            };
+            document.addEventListener("click", (event) => {
+                const screenshot = event.target.closest("img.screenshot");
+                if (!screenshot) return;
+                const link = screenshot.closest("a.screenshot-link");
+                if (link) event.preventDefault();
+                lightboxImage.src = link ? link.href : screenshot.src;
+                lightboxImage.alt = screenshot.alt;
+                lightbox.querySelector(".lightbox-caption").textContent = screenshot.alt;
+                lightbox.hidden = false;
+            });
+            lightbox.addEventListener("click", closeLightbox);
+            document.addEventListener("keydown", (event) => {
+                if (event.key === "Escape" && !lightbox.hidden) closeLightbox();
+            });
+
+            readHash();
+            apply(false);
+        })();
+    </script>`;
+
+module.exports = {
+  renderFilterAttributes,
+  renderReportFilters,
+  REPORT_FILTERS_CSS,
+  REPORT_FILTERS_SCRIPT,
+};
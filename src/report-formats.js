@@ -0,0 +1,423 @@
+const { pathToFileURL } = require("url");
+const path = require("path");
+const { ACCESSIBILITY_RULES } = require("./accessibility");
+const {
+  getBlockType,
+  getBlockDisplayName,
+  getSourceUrl,
+  groupVariationsByPage,
+  getModifierFacets,
+  groupByStyleVariation,
+  findStyleVariantClasses,
+} = require("./report-helpers");
+
+/**
+ * Report formats written next to the HTML report: Markdown for pasting into
+ * tickets and design reviews, PDF for sharing a printable copy
+ */
+
+// Formats that can be requested with --format or `reportFormats`
+const REPORT_FORMATS = ["markdown", "pdf"];
+
+/**
+ * Check a list of formats against REPORT_FORMATS
+ * @param {Array<string>} formats - Requested formats
+ * @returns {Array<string>} Formats that aren't supported
+ */
+function findUnknownFormats(formats) {
+  return formats.filter((format) => !REPORT_FORMATS.includes(format));
+}
+
+/**
+ * Escape text so Markdown renders it literally, on a single line
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  if (!text) return "";
+  return String(text)
+    .replace(/\s+/g, " ")
+    .replace(/([\\`*_[\]<>|#])/g, "\\$1");
+}
+
+/**
+ * Wrap text in an inline code span, whatever backticks it contains
+ * @param {string} text - Text to wrap
+ * @returns {string}
+ */
+function inlineCode(text) {
+  const value = String(text).replace(/\s+/g, " ");
+  const fence = "`".repeat(
+    Math.max(0, ...(value.match(/`+/g) || []).map((run) => run.length)) + 1
+  );
+  return fence.length > 1 ? `${fence} ${value} ${fence}` : `\`${value}\``;
+}
+
+/**
+ * Relative link target, with the characters Markdown link syntax can't hold
+ * percent-encoded
+ * @param {string} dir - Directory relative to the report, e.g. "screenshots"
+ * @param {string} file - File name in that directory
+ * @returns {string}
+ */
+function fileUrl(dir, file) {
+  return encodeURI(`${dir}/${file}`)
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29");
+}
+
+/**
+ * Screenshot image, as its thumbnail linking to the full image when it has one
+ * @param {Object} capture - Capture with `screenshotPath` and `thumbnailPath`
+ * @param {string} alt - Alternative text
+ * @param {string} dir - Screenshots directory relative to the report
+ * @returns {string}
+ */
+function screenshotImage(capture, alt, dir) {
+  const full = fileUrl(dir, capture.screenshotPath);
+  return capture.thumbnailPath
+    ? `[![${alt}](${fileUrl(dir, capture.thumbnailPath)})](${full})`
+    : `![${alt}](${full})`;
+}
+
+/**
+ * Render one variation as Markdown
+ * @private
+ */
+function renderVariation(variation, context) {
+  const { heading, position, total, pageUrl, dirs, styleVariantClasses } =
+    context;
+  const blockType = getBlockType(variation.classNames);
+  const lines = [
+    `${heading} Variation ${position + 1} of ${total}${
+      styleVariantClasses.has(variation.classNames.join(" "))
+        ? " (renders differently)"
+        : ""
+    }`,
+    "",
+  ];
+
+  const captures = Object.entries(variation.viewports || {});
+  if (captures.length > 1) {
+    captures.forEach(([name, capture]) => {
+      const label = `**${escapeMarkdown(name)} · ${capture.width}px:**`;
+      if (capture.status === "missing") {
+        lines.push(`${label} not present at this size`, "");
+      } else if (capture.status === "hidden") {
+        lines.push(`${label} hidden at this size`, "");
+      } else if (capture.screenshotPath) {
+        lines.push(
+          label,
+          "",
+          screenshotImage(
+            capture,
+            `Screenshot at ${escapeMarkdown(name)}`,
+            dirs.screenshots
+          ),
+          ""
+        );
+      } else {
+        lines.push(`${label} no screenshot available`, "");
+      }
+    });
+  } else if (variation.screenshotPath) {
+    lines.push(
+      screenshotImage(
+        variation,
+        `Screenshot of ${blockType} variation ${position + 1}`,
+        dirs.screenshots
+      ),
+      ""
+    );
+  } else {
+    lines.push("_No screenshot available_", "");
+  }
+
+  const details = [
+    `- **Selector:** ${inlineCode(variation.selector)}`,
+    `- **Tag Name:** ${escapeMarkdown(variation.tagName)}`,
+    `- **Classes:** ${variation.classNames.map(inlineCode).join(" ")}`,
+  ];
+  const facets = getModifierFacets(variation.modifiers);
+  if (facets.length > 0) {
+    details.push(
+      `- **Modifiers:** ${facets
+        .map(({ label, value }) => `${label}: ${escapeMarkdown(value)}`)
+        .join(" · ")}`
+    );
+  }
+  const sourceUrl = getSourceUrl(variation, pageUrl);
+  if (sourceUrl) {
+    details.push(`- **Source:** [View on page](<${sourceUrl}>)`);
+  }
+  if (variation.snippetPath) {
+    details.push(
+      `- **Snippet:** [${escapeMarkdown(variation.snippetPath)}](${fileUrl(
+        dirs.snippets,
+        variation.snippetPath
+      )})${
+        variation.stylesPath
+          ? ` · [Stylesheets](${fileUrl(dirs.snippets, variation.stylesPath)})`
+          : ""
+      }`
+    );
+  }
+  if (variation.states && variation.states.length > 0) {
+    details.push(
+      `- **Interaction states:** ${variation.states
+        .map(({ state, target, screenshotPath }) => {
+          const label = target === "element" ? state : `${state} · ${target}`;
+          return screenshotPath
+            ? `[${escapeMarkdown(label)}](${fileUrl(
+                dirs.screenshots,
+                screenshotPath
+              )})`
+            : escapeMarkdown(label);
+        })
+        .join(", ")}`
+    );
+  }
+  if (variation.accessibility) {
+    const counts = {};
+    variation.accessibility.forEach(({ rule }) => {
+      counts[rule] = (counts[rule] || 0) + 1;
+    });
+    details.push(
+      variation.accessibility.length === 0
+        ? "- **Accessibility:** ✓ No issues found"
+        : `- **Accessibility:** ${Object.keys(ACCESSIBILITY_RULES)
+            .filter((rule) => counts[rule])
+            .map(
+              (rule) =>
+                `${ACCESSIBILITY_RULES[rule].label}${
+                  counts[rule] > 1 ? ` ×${counts[rule]}` : ""
+                }`
+            )
+            .join(", ")}`
+    );
+  }
+
+  return [...lines, ...details, ""].join("\n");
+}
+
+/**
+ * Render a block type's variations grouped by style variation, like the
+ * HTML reports do
+ * @private
+ */
+function renderBlockType(blockType, variations, context) {
+  const lines = [
+    `${context.heading} ${escapeMarkdown(getBlockDisplayName(blockType))} (${
+      variations.length
+    } variation${variations.length !== 1 ? "s" : ""})`,
+    "",
+  ];
+
+  const groups = groupByStyleVariation(variations);
+  let position = 0;
+  groups.forEach(({ style, variations: members }) => {
+    if (groups.length > 1) {
+      lines.push(`**Style: ${escapeMarkdown(style)} (${members.length})**`, "");
+    }
+    members.forEach((variation) => {
+      lines.push(
+        renderVariation(variation, {
+          ...context,
+          heading: `${context.heading}#`,
+          position: position++,
+          total: variations.length,
+          pageUrl: context.pageUrl || variation.pageUrl,
+        })
+      );
+    });
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Render the variation report as Markdown, grouped by block type, or by page
+ * then block type for crawls. Images and snippets are linked relative to the
+ * output directory, so the file keeps working next to the screenshots.
+ * @param {Array<Object>} variations - Variations in report order
+ * @param {Object} runInfo - Details about the run
+ * @param {string} runInfo.mode - "single" or "sitemap"
+ * @param {string} runInfo.url - Scraped URL, for single page reports
+ * @param {Array<string>} runInfo.scrapedUrls - URLs scheduled for scraping
+ * @param {Array<string>} runInfo.crawledUrls - Every page the crawl processed, including discovered links (default: scrapedUrls)
+ * @param {Array<Object>} runInfo.failedUrls - URLs that failed ({ url, error })
+ * @param {Array<Object>} runInfo.blockedUrls - URLs skipped because of robots.txt ({ url, reason })
+ * @param {Object} runInfo.dirs - { screenshots, snippets } relative to the report
+ * @returns {string} Markdown
+ */
+function renderMarkdownReport(variations, runInfo) {
+  const {
+    mode,
+    url,
+    scrapedUrls = [],
+    crawledUrls = scrapedUrls,
+    failedUrls = [],
+    blockedUrls = [],
+    dirs = { screenshots: "screenshots", snippets: "snippets" },
+  } = runInfo;
+  const context = {
+    dirs,
+    styleVariantClasses: findStyleVariantClasses(variations),
+  };
+  const byBlockType = (items) => {
+    const groups = {};
+    items.forEach((variation) => {
+      const blockType = getBlockType(variation.classNames);
+      if (!groups[blockType]) groups[blockType] = [];
+      groups[blockType].push(variation);
+    });
+    return groups;
+  };
+  const blockTypes = byBlockType(variations);
+
+  const lines = [];
+  if (mode === "sitemap") {
+    lines.push(
+      "# Sitemap Element Variations Report",
+      "",
+      `- **Pages scraped:** ${crawledUrls.length - failedUrls.length}/${
+        crawledUrls.length
+      }`,
+      `- **Total variations found:** ${variations.length}`,
+      `- **Block types:** ${Object.keys(blockTypes).length}`
+    );
+    if (blockedUrls.length > 0) {
+      lines.push(`- **Blocked by robots.txt:** ${blockedUrls.length}`);
+    }
+  } else {
+    lines.push(
+      "# Element Variations Report",
+      "",
+      ...(url ? [`- **URL:** <${url}>`] : []),
+      `- **Total variations found:** ${variations.length}`,
+      `- **Block types:** ${Object.keys(blockTypes).length}`
+    );
+  }
+  lines.push(`- **Generated:** ${new Date().toLocaleString()}`, "");
+
+  // Overview of the block types, most used first
+  const overview = Object.entries(blockTypes).sort(
+    ([a, x], [b, y]) => y.length - x.length || a.localeCompare(b)
+  );
+  if (overview.length > 0) {
+    lines.push(
+      "## Block Types",
+      "",
+      `| Block | Variations |${mode === "sitemap" ? " Pages |" : ""} Styles |`,
+      `| --- | --- |${mode === "sitemap" ? " --- |" : ""} --- |`,
+      ...overview.map(([blockType, items]) => {
+        const pages = new Set(items.map(({ pageUrl }) => pageUrl)).size;
+        const styles = groupByStyleVariation(items)
+          .map(({ style }) => escapeMarkdown(style))
+          .join(", ");
+        return `| ${escapeMarkdown(getBlockDisplayName(blockType))} | ${
+          items.length
+        } |${mode === "sitemap" ? ` ${pages} |` : ""} ${styles} |`;
+      }),
+      ""
+    );
+  }
+
+  if (mode === "sitemap") {
+    Object.entries(groupVariationsByPage(variations)).forEach(
+      ([pageUrl, pageBlockTypes]) => {
+        const total = Object.values(pageBlockTypes).reduce(
+          (sum, items) => sum + items.length,
+          0
+        );
+        lines.push(
+          `## [${escapeMarkdown(
+            pageUrl.replace(/^https?:\/\//, "").replace(/\/$/, "")
+          )}](<${pageUrl}>) (${total} variation${total !== 1 ? "s" : ""})`,
+          ""
+        );
+        Object.entries(pageBlockTypes)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .forEach(([blockType, items]) => {
+            lines.push(
+              renderBlockType(blockType, items, {
+                ...context,
+                heading: "###",
+                pageUrl,
+              })
+            );
+          });
+      }
+    );
+
+    if (failedUrls.length > 0) {
+      lines.push(
+        "## Failed URLs",
+        "",
+        ...failedUrls.map(
+          ({ url: failedUrl, error }) =>
+            `- <${failedUrl}>: ${escapeMarkdown(error)}`
+        ),
+        ""
+      );
+    }
+    if (blockedUrls.length > 0) {
+      lines.push(
+        "## Blocked by robots.txt",
+        "",
+        ...blockedUrls.map(
+          ({ url: blockedUrl, reason }) =>
+            `- <${blockedUrl}>: ${escapeMarkdown(reason)}`
+        ),
+        ""
+      );
+    }
+  } else {
+    Object.entries(blockTypes)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([blockType, items]) => {
+        lines.push(
+          renderBlockType(blockType, items, {
+            ...context,
+            heading: "##",
+            pageUrl: url,
+          })
+        );
+      });
+  }
+
+  return `${lines.join("\n").trim()}\n`;
+}
+
+/**
+ * Print an HTML report to PDF with a Playwright browser. The report's print
+ * styles hide the filter bar and expand every group.
+ * @param {Object} browser - Headless Chromium browser (PDF printing needs headless)
+ * @param {string} htmlPath - HTML report to print
+ * @param {string} pdfPath - Where to write the PDF
+ * @returns {Promise<string>} pdfPath
+ */
+async function writePdfReport(browser, htmlPath, pdfPath) {
+  const page = await browser.newPage();
+  try {
+    await page.goto(pathToFileURL(path.resolve(htmlPath)).href, {
+      waitUntil: "load",
+    });
+    await page.pdf({
+      path: pdfPath,
+      format: "A4",
+      printBackground: true,
+      margin: { top: "12mm", right: "10mm", bottom: "12mm", left: "10mm" },
+    });
+  } finally {
+    await page.close();
+  }
+  return pdfPath;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  findUnknownFormats,
+  renderMarkdownReport,
+  writePdfReport,
+};
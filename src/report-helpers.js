@@ -0,0 +1,871 @@
+/**
+ * Small helpers shared by the HTML report generators
+ */
+
+const { ACCESSIBILITY_RULES } = require("./accessibility");
+const { MODIFIER_FACETS } = require("./block-modifiers");
+
+/**
+ * Escape text for safe use inside HTML markup and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return "";
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Get the primary block type from a variation's classes
+ * @param {Array<string>} classNames - Classes of the variation
+ * @returns {string} Main wp-block- class (not ones with __), or "other"
+ */
+function getBlockType(classNames) {
+  const blockClass = classNames.find(
+    (cls) => cls.startsWith("wp-block-") && !cls.includes("__")
+  );
+  return blockClass || "other";
+}
+
+/**
+ * Group a crawl's variations by page, then by block type. Pages and the
+ * variations within each group keep their crawl order.
+ * @param {Array<Object>} variations - Variations with a `pageUrl`
+ * @returns {Object} { [pageUrl]: { [blockType]: Array<Object> } }
+ */
+function groupVariationsByPage(variations) {
+  const pageGroups = {};
+  variations.forEach((variation) => {
+    const pageUrl = variation.pageUrl || "unknown";
+    if (!pageGroups[pageUrl]) {
+      pageGroups[pageUrl] = {};
+    }
+
+    const blockType = getBlockType(variation.classNames);
+    if (!pageGroups[pageUrl][blockType]) {
+      pageGroups[pageUrl][blockType] = [];
+    }
+
+    pageGroups[pageUrl][blockType].push(variation);
+  });
+  return pageGroups;
+}
+
+/**
+ * Turn a block type like "wp-block-media-text" into "Media Text"
+ * @param {string} blockType - Block type from getBlockType()
+ * @returns {string} Human readable block name
+ */
+function getBlockDisplayName(blockType) {
+  return blockType
+    .replace("wp-block-", "")
+    .replace(/-/g, " ")
+    .replace(/\b\w/g, (l) => l.toUpperCase());
+}
+
+/**
+ * Link to a variation on its page, with the closest anchor when it has one
+ * @param {Object} variation - Variation with `anchorInfo`
+ * @param {string} pageUrl - Page the variation was found on
+ * @returns {string|null} URL, or null without a page URL
+ */
+function getSourceUrl(variation, pageUrl) {
+  if (!pageUrl) return null;
+  const { anchorInfo } = variation;
+  if (!anchorInfo) return pageUrl;
+
+  // Priority order: element ID > heading IDs > other IDs
+  const anchorId =
+    anchorInfo.elementId ||
+    (anchorInfo.headingIds && anchorInfo.headingIds[0]) ||
+    (anchorInfo.otherIds && anchorInfo.otherIds[0]);
+  return anchorId ? `${pageUrl}#${anchorId}` : pageUrl;
+}
+
+/**
+ * Render a screenshot, as its thumbnail linking to the full image when it
+ * has one
+ * @param {Object} capture - Variation, viewport or state capture with `screenshotPath` and `thumbnailPath`
+ * @param {string} alt - Alternative text
+ * @param {string} screenshotsUrl - Screenshots directory relative to the page
+ * @returns {string} HTML
+ */
+function renderScreenshot(capture, alt, screenshotsUrl = "screenshots") {
+  const src = `${screenshotsUrl}/${escapeHtml(capture.screenshotPath)}`;
+  if (!capture.thumbnailPath) {
+    return `<img src="${src}" alt="${escapeHtml(alt)}" class="screenshot">`;
+  }
+  const thumbnail = `${screenshotsUrl}/${escapeHtml(capture.thumbnailPath)}`;
+  return `<a href="${src}" class="screenshot-link" target="_blank"><img src="${thumbnail}" alt="${escapeHtml(
+    alt
+  )}" class="screenshot" loading="lazy"></a>`;
+}
+
+/**
+ * Render a variation's captures side by side, one column per breakpoint
+ * @param {Object} variation - Variation with a `viewports` map from captureVariations()
+ * @param {string} screenshotsUrl - Screenshots directory relative to the report
+ * @returns {string} HTML, or "" when the variation was captured at a single viewport
+ */
+function renderViewportCaptures(variation, screenshotsUrl = "screenshots") {
+  const captures = Object.entries(variation.viewports || {});
+  if (captures.length < 2) return "";
+
+  const columnsHtml = captures
+    .map(([name, capture]) => {
+      let bodyHtml;
+      if (capture.status === "missing") {
+        bodyHtml = '<p class="viewport-note">Not present at this size</p>';
+      } else if (capture.status === "hidden") {
+        bodyHtml = '<p class="viewport-note">Hidden at this size</p>';
+      } else if (capture.screenshotPath) {
+        bodyHtml = renderScreenshot(
+          capture,
+          `Screenshot at ${name}`,
+          screenshotsUrl
+        );
+      } else {
+        bodyHtml = '<p class="viewport-note">No screenshot available</p>';
+      }
+
+      return `
+          <div class="viewport-capture viewport-${escapeHtml(capture.status)}">
+              <div class="viewport-label">${escapeHtml(name)} · ${
+        capture.width
+      }px</div>
+              ${bodyHtml}
+          </div>`;
+    })
+    .join("");
+
+  return `<div class="viewport-strip">${columnsHtml}</div>`;
+}
+
+/**
+ * Render a variation's interaction state captures next to its resting state
+ * @param {Object} variation - Variation with `states` from captureInteractionStates()
+ * @param {string} screenshotsUrl - Screenshots directory relative to the report
+ * @returns {string} HTML, or "" when no state looked different from resting
+ */
+function renderStateCaptures(variation, screenshotsUrl = "screenshots") {
+  const states = variation.states || [];
+  if (states.length === 0) return "";
+
+  const captures = [
+    { ...variation, label: "resting" },
+    ...states.map((capture) => ({
+      ...capture,
+      label:
+        capture.target === "element"
+          ? capture.state
+          : `${capture.state} · ${capture.target}`,
+    })),
+  ];
+  const columnsHtml = captures
+    .map(
+      (capture) => `
+          <div class="state-capture">
+              <div class="state-label">${escapeHtml(capture.label)}</div>
+              ${
+                capture.screenshotPath
+                  ? renderScreenshot(
+                      capture,
+                      `${capture.label} state`,
+                      screenshotsUrl
+                    )
+                  : '<p class="viewport-note">No screenshot available</p>'
+              }
+          </div>`
+    )
+    .join("");
+
+  return `
+      <div class="state-strip-title">Interaction states</div>
+      <div class="state-strip">${columnsHtml}</div>`;
+}
+
+// Styles for renderStateCaptures()
+const STATE_STRIP_CSS = `
+        .state-strip-title {
+            font-size: 11px;
+            font-weight: bold;
+            color: #495057;
+            margin: 10px 0 4px 0;
+        }
+        .state-strip {
+            display: flex;
+            gap: 8px;
+            align-items: flex-start;
+            overflow-x: auto;
+            margin-bottom: 10px;
+        }
+        .state-capture {
+            flex: 0 0 auto;
+            max-width: 45%;
+        }
+        .state-label {
+            font-size: 11px;
+            color: #6c757d;
+            margin-bottom: 4px;
+        }`;
+
+// Styles for renderViewportCaptures(), included by every report that uses it
+const VIEWPORT_STRIP_CSS = `
+        .viewport-strip {
+            display: flex;
+            gap: 8px;
+            align-items: flex-start;
+            overflow-x: auto;
+            margin-bottom: 10px;
+        }
+        .viewport-capture {
+            flex: 1 1 0;
+            min-width: 0;
+        }
+        .viewport-label {
+            font-size: 11px;
+            font-weight: bold;
+            color: #495057;
+            margin-bottom: 4px;
+            text-transform: capitalize;
+        }
+        .viewport-note {
+            font-size: 11px;
+            color: #856404;
+            background-color: #fff3cd;
+            border-radius: 4px;
+            padding: 6px;
+            margin: 0;
+        }
+        .viewport-missing .viewport-note {
+            color: #721c24;
+            background-color: #f8d7da;
+        }`;
+
+/**
+ * Render the overlays removed from a page before capture
+ * @param {Array<Object>} overlays - Removed overlays ({ selector, element, action })
+ * @returns {string} HTML, or "" when nothing was removed
+ */
+function renderRemovedOverlays(overlays = []) {
+  if (overlays.length === 0) return "";
+
+  const itemsHtml = overlays
+    .map(({ selector, element, action }) =>
+      action === "clicked"
+        ? `<li>Clicked close button <code>${escapeHtml(selector)}</code></li>`
+        : `<li>Hid <code>${escapeHtml(element)}</code> (matched <code>${escapeHtml(
+            selector
+          )}</code>)</li>`
+    )
+    .join("");
+
+  return `
+      <details class="removed-overlays">
+          <summary>${overlays.length} overlay${
+    overlays.length !== 1 ? "s" : ""
+  } removed before capture</summary>
+          <ul>${itemsHtml}</ul>
+      </details>`;
+}
+
+// Styles for renderRemovedOverlays()
+const REMOVED_OVERLAYS_CSS = `
+        .removed-overlays {
+            margin: 0 0 15px 0;
+            font-size: 12px;
+            color: #555;
+        }
+        .removed-overlays summary {
+            cursor: pointer;
+        }
+        .removed-overlays ul {
+            margin: 6px 0 0 0;
+            padding-left: 20px;
+        }
+        .removed-overlays code {
+            background-color: #f1f3f5;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }`;
+
+/**
+ * Render a variation's computed styles as a table, one column for the
+ * element and one per captured descendant
+ * @param {Object} computedStyles - { element, descendants } from readComputedStyles()
+ * @returns {string} HTML, or "" when no styles were captured
+ */
+function renderComputedStyles(computedStyles) {
+  if (!computedStyles) return "";
+
+  const columns = [
+    { label: "element", styles: computedStyles.element },
+    ...computedStyles.descendants.map(({ element, styles }) => ({
+      label: element,
+      styles,
+    })),
+  ];
+  const properties = [
+    ...new Set(columns.flatMap(({ styles }) => Object.keys(styles))),
+  ];
+
+  const headerHtml = columns
+    .map(({ label }) => `<th>${escapeHtml(label)}</th>`)
+    .join("");
+  const rowsHtml = properties
+    .map((property) => {
+      const cellsHtml = columns
+        .map(({ styles }) => {
+          const value = styles[property];
+          if (value === undefined) return "<td></td>";
+          const swatchHtml = property.endsWith("color")
+            ? `<span class="style-swatch" style="background-color: ${escapeHtml(
+                value
+              )}"></span>`
+            : "";
+          return `<td>${swatchHtml}${escapeHtml(value)}</td>`;
+        })
+        .join("");
+      return `<tr><th>${escapeHtml(property)}</th>${cellsHtml}</tr>`;
+    })
+    .join("");
+
+  return `
+      <details class="computed-styles">
+          <summary>Computed styles</summary>
+          <div class="computed-styles-table">
+              <table>
+                  <thead><tr><th></th>${headerHtml}</tr></thead>
+                  <tbody>${rowsHtml}</tbody>
+              </table>
+          </div>
+      </details>`;
+}
+
+/**
+ * Find class lists shared by variations that render differently, i.e. whose
+ * computed styles don't match
+ * @param {Array<Object>} variations - Variations with `computedStyles`
+ * @returns {Set<string>} Class lists (joined with spaces) with more than one distinct style
+ */
+function findStyleVariantClasses(variations) {
+  const stylesByClasses = new Map();
+  variations.forEach(({ classNames, computedStyles }) => {
+    if (!computedStyles) return;
+    const key = classNames.join(" ");
+    if (!stylesByClasses.has(key)) {
+      stylesByClasses.set(key, new Set());
+    }
+    stylesByClasses.get(key).add(JSON.stringify(computedStyles));
+  });
+
+  return new Set(
+    [...stylesByClasses.entries()]
+      .filter(([, styles]) => styles.size > 1)
+      .map(([key]) => key)
+  );
+}
+
+// Styles for renderComputedStyles() and the style variant badge
+const COMPUTED_STYLES_CSS = `
+        .computed-styles {
+            margin-top: 10px;
+            font-size: 12px;
+        }
+        .computed-styles summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #495057;
+        }
+        .computed-styles-table {
+            overflow-x: auto;
+            margin-top: 6px;
+        }
+        .computed-styles table {
+            border-collapse: collapse;
+            font-size: 11px;
+        }
+        .computed-styles th,
+        .computed-styles td {
+            border: 1px solid #e9ecef;
+            padding: 3px 6px;
+            text-align: left;
+            vertical-align: top;
+            white-space: nowrap;
+            max-width: 220px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        .computed-styles thead th,
+        .computed-styles tbody th {
+            background-color: #f8f9fa;
+            font-weight: normal;
+            color: #6c757d;
+        }
+        .style-swatch {
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            margin-right: 4px;
+            border: 1px solid #ced4da;
+            vertical-align: middle;
+        }
+        .style-variant-badge {
+            display: inline-block;
+            background-color: #fff3cd;
+            color: #856404;
+            border-radius: 4px;
+            padding: 2px 6px;
+            font-size: 11px;
+            font-weight: normal;
+        }`;
+
+/**
+ * Render a variation's accessibility findings as one badge per rule, with
+ * the individual findings listed below
+ * @param {Array<Object>} findings - Findings from auditAccessibility()
+ * @returns {string} HTML, or "" when the variation wasn't audited
+ */
+function renderAccessibilityBadges(findings) {
+  if (!findings) return "";
+  if (findings.length === 0) {
+    return '<div class="a11y-badges"><span class="a11y-badge a11y-pass">✓ No accessibility issues found</span></div>';
+  }
+
+  const counts = {};
+  findings.forEach(({ rule }) => {
+    counts[rule] = (counts[rule] || 0) + 1;
+  });
+  const badgesHtml = Object.keys(ACCESSIBILITY_RULES)
+    .filter((rule) => counts[rule])
+    .map((rule) => {
+      const { label, impact } = ACCESSIBILITY_RULES[rule];
+      return `<span class="a11y-badge a11y-${impact}">${escapeHtml(label)}${
+        counts[rule] > 1 ? ` ×${counts[rule]}` : ""
+      }</span>`;
+    })
+    .join("");
+  const itemsHtml = findings
+    .map(
+      ({ message, element }) =>
+        `<li>${escapeHtml(message)} <code>${escapeHtml(element)}</code></li>`
+    )
+    .join("");
+
+  return `
+      <div class="a11y-badges">${badgesHtml}</div>
+      <details class="a11y-findings">
+          <summary>${findings.length} accessibility issue${
+    findings.length !== 1 ? "s" : ""
+  }</summary>
+          <ul>${itemsHtml}</ul>
+      </details>`;
+}
+
+/**
+ * Render a table of accessibility findings per block type
+ * @param {Array<Object>} variations - Variations with `accessibility` findings
+ * @returns {string} HTML, or "" when no variation was audited
+ */
+function renderAccessibilitySummary(variations) {
+  const audited = variations.filter((variation) => variation.accessibility);
+  if (audited.length === 0) return "";
+
+  const blockTypes = {};
+  audited.forEach((variation) => {
+    const blockType = getBlockType(variation.classNames);
+    if (!blockTypes[blockType]) {
+      blockTypes[blockType] = { variations: 0, failing: 0, rules: {} };
+    }
+    const summary = blockTypes[blockType];
+    summary.variations++;
+    if (variation.accessibility.length > 0) summary.failing++;
+    variation.accessibility.forEach(({ rule }) => {
+      summary.rules[rule] = (summary.rules[rule] || 0) + 1;
+    });
+  });
+
+  const rules = Object.keys(ACCESSIBILITY_RULES);
+  const rowsHtml = Object.entries(blockTypes)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(
+      ([blockType, summary]) => `
+                <tr>
+                    <td>${escapeHtml(getBlockDisplayName(blockType))}</td>
+                    <td>${summary.failing}/${summary.variations}</td>
+                    ${rules
+                      .map(
+                        (rule) =>
+                          `<td class="${
+                            summary.rules[rule] ? "a11y-count" : "a11y-zero"
+                          }">${summary.rules[rule] || 0}</td>`
+                      )
+                      .join("")}
+                </tr>`
+    )
+    .join("");
+
+  return `
+        <div class="a11y-summary">
+            <h2>Accessibility by Block Type</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Block</th>
+                        <th>Variations With Issues</th>
+                        ${rules
+                          .map(
+                            (rule) =>
+                              `<th>${escapeHtml(ACCESSIBILITY_RULES[rule].label)}</th>`
+                          )
+                          .join("")}
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+// Styles for renderAccessibilityBadges() and renderAccessibilitySummary()
+const ACCESSIBILITY_CSS = `
+        .a11y-badges {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin: 8px 0 4px 0;
+        }
+        .a11y-badge {
+            display: inline-block;
+            border-radius: 10px;
+            padding: 2px 8px;
+            font-size: 11px;
+            font-weight: bold;
+        }
+        .a11y-pass {
+            background-color: #d4edda;
+            color: #155724;
+        }
+        .a11y-serious {
+            background-color: #f8d7da;
+            color: #721c24;
+        }
+        .a11y-moderate {
+            background-color: #fff3cd;
+            color: #856404;
+        }
+        .a11y-findings {
+            font-size: 12px;
+            color: #555;
+        }
+        .a11y-findings summary {
+            cursor: pointer;
+        }
+        .a11y-findings ul {
+            margin: 6px 0 0 0;
+            padding-left: 20px;
+        }
+        .a11y-summary {
+            margin: 20px 0;
+            overflow-x: auto;
+        }
+        .a11y-summary table {
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        .a11y-summary th,
+        .a11y-summary td {
+            border: 1px solid #dee2e6;
+            padding: 6px 10px;
+            text-align: left;
+        }
+        .a11y-summary th {
+            background-color: #f1f5f9;
+        }
+        .a11y-summary .a11y-count {
+            color: #721c24;
+            font-weight: bold;
+        }
+        .a11y-summary .a11y-zero {
+            color: #adb5bd;
+        }`;
+
+/**
+ * Style variation of a block, "default" when it has no is-style-* class
+ * @param {Object|null} modifiers - Facets from parseBlockClasses()
+ * @returns {string}
+ */
+function getStyleVariation(modifiers) {
+  return (modifiers && modifiers.styleVariation) || "default";
+}
+
+/**
+ * List a variation's block modifiers as labelled facets, in display order
+ * @param {Object|null} modifiers - Facets from parseBlockClasses()
+ * @returns {Array<Object>} Facets ({ label, value }), empty for elements that aren't wp-blocks
+ */
+function getModifierFacets(modifiers) {
+  if (!modifiers) return [];
+
+  const facets = Object.entries(MODIFIER_FACETS)
+    .filter(([key]) => key === "styleVariation" || modifiers[key])
+    .map(([key, label]) => ({
+      label,
+      value:
+        key === "styleVariation"
+          ? getStyleVariation(modifiers)
+          : modifiers[key],
+    }));
+  modifiers.flags.forEach((value) => facets.push({ label: "Flag", value }));
+  modifiers.custom.forEach((value) => facets.push({ label: "Custom", value }));
+  return facets;
+}
+
+/**
+ * Render a variation's block modifiers as labelled facets
+ * @param {Object|null} modifiers - Facets from parseBlockClasses()
+ * @returns {string} HTML, or "" for elements that aren't wp-blocks
+ */
+function renderModifierFacets(modifiers) {
+  const facets = getModifierFacets(modifiers);
+  if (facets.length === 0) return "";
+
+  return `
+              <div class="modifier-facets">${facets
+                .map(
+                  ({ label, value }) =>
+                    `<span class="modifier-facet"><span class="modifier-facet-label">${label}</span> ${escapeHtml(
+                      value
+                    )}</span>`
+                )
+                .join("")}</div>`;
+}
+
+/**
+ * Group a block type's variations by style variation, the default style
+ * first and the others alphabetically
+ * @param {Array<Object>} variations - Variations of one block type
+ * @returns {Array<Object>} Groups ({ style, variations }), variations keep their order
+ */
+function groupByStyleVariation(variations) {
+  const groups = new Map();
+  variations.forEach((variation) => {
+    const style = getStyleVariation(variation.modifiers);
+    if (!groups.has(style)) groups.set(style, []);
+    groups.get(style).push(variation);
+  });
+
+  return [...groups.keys()]
+    .sort((a, b) =>
+      a === "default" ? -1 : b === "default" ? 1 : a.localeCompare(b)
+    )
+    .map((style) => ({ style, variations: groups.get(style) }));
+}
+
+/**
+ * Render a block type's variations grouped by style variation, with a title
+ * per style when more than one is in use
+ * @param {Array<Object>} variations - Variations of one block type
+ * @param {Function} renderVariation - (variation, index, total) => HTML
+ * @returns {string} HTML
+ */
+function renderByStyleVariation(variations, renderVariation) {
+  const groups = groupByStyleVariation(variations);
+  let position = 0;
+  return groups
+    .map(({ style, variations: members }) => {
+      const titleHtml =
+        groups.length > 1
+          ? `
+                <div class="style-variation-title">Style: ${escapeHtml(
+                  style
+                )} (${members.length})</div>`
+          : "";
+      return (
+        titleHtml +
+        members
+          .map((variation) =>
+            renderVariation(variation, position++, variations.length)
+          )
+          .join("")
+      );
+    })
+    .join("");
+}
+
+/**
+ * Render a table of the style variations, colors, alignments and layouts
+ * each block type is used with
+ * @param {Array<Object>} variations - Variations with `modifiers`
+ * @returns {string} HTML, or "" when no variation is a wp-block
+ */
+function renderModifierSummary(variations) {
+  const rows = new Map();
+  variations.forEach((variation, position) => {
+    const { modifiers } = variation;
+    if (!modifiers) return;
+
+    const style = getStyleVariation(modifiers);
+    const key = `${modifiers.block}|${style}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        block: modifiers.block,
+        style,
+        anchors: [],
+        pages: new Set(),
+        colors: new Set(),
+        alignments: new Set(),
+        layouts: new Set(),
+      });
+    }
+    const row = rows.get(key);
+    row.anchors.push(variation.globalIndex ?? position);
+    if (variation.pageUrl) row.pages.add(variation.pageUrl);
+    ["textColor", "backgroundColor", "gradient", "borderColor"].forEach(
+      (facet) => {
+        if (modifiers[facet]) {
+          row.colors.add(`${MODIFIER_FACETS[facet]}: ${modifiers[facet]}`);
+        }
+      }
+    );
+    if (modifiers.alignment) row.alignments.add(modifiers.alignment);
+    if (modifiers.layout) row.layouts.add(modifiers.layout);
+  });
+  if (rows.size === 0) return "";
+
+  const maxLinks = 10;
+  const list = (values) =>
+    values.size > 0
+      ? escapeHtml([...values].sort().join(", "))
+      : '<span class="modifier-none">—</span>';
+  const rowsHtml = [...rows.values()]
+    .sort(
+      (a, b) =>
+        a.block.localeCompare(b.block) ||
+        (a.style === "default" ? -1 : b.style === "default" ? 1 : 0) ||
+        a.style.localeCompare(b.style)
+    )
+    .map(
+      (row) => `
+                <tr>
+                    <td>${escapeHtml(getBlockDisplayName(row.block))}</td>
+                    <td>${escapeHtml(row.style)}</td>
+                    <td>${row.anchors.length}: ${row.anchors
+        .slice(0, maxLinks)
+        .map((anchor) => `<a href="#variation-${anchor}">#${anchor}</a>`)
+        .join(" ")}${
+        row.anchors.length > maxLinks
+          ? ` +${row.anchors.length - maxLinks} more`
+          : ""
+      }</td>
+                    <td>${row.pages.size || 1}</td>
+                    <td>${list(row.colors)}</td>
+                    <td>${list(row.alignments)}</td>
+                    <td>${list(row.layouts)}</td>
+                </tr>`
+    )
+    .join("");
+
+  return `
+        <div class="modifier-summary">
+            <h2>Block Style Variations</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Block</th>
+                        <th>Style</th>
+                        <th>Variations</th>
+                        <th>Pages</th>
+                        <th>Colors</th>
+                        <th>Alignment</th>
+                        <th>Layout</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+// Styles for renderModifierFacets(), renderByStyleVariation() and renderModifierSummary()
+const MODIFIERS_CSS = `
+        .modifier-facets {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin: 6px 0;
+        }
+        .modifier-facet {
+            display: inline-block;
+            background-color: #e0f2fe;
+            color: #075985;
+            border-radius: 3px;
+            padding: 2px 6px;
+            font-size: 11px;
+            font-family: monospace;
+        }
+        .modifier-facet-label {
+            font-family: Arial, sans-serif;
+            font-weight: bold;
+        }
+        .style-variation-title {
+            grid-column: 1 / -1;
+            font-size: 13px;
+            font-weight: bold;
+            color: #075985;
+            border-bottom: 1px solid #bae6fd;
+            padding-bottom: 4px;
+        }
+        .modifier-summary {
+            margin: 20px 0;
+            overflow-x: auto;
+        }
+        .modifier-summary table {
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        .modifier-summary th,
+        .modifier-summary td {
+            border: 1px solid #dee2e6;
+            padding: 6px 10px;
+            text-align: left;
+            vertical-align: top;
+        }
+        .modifier-summary th {
+            background-color: #f1f5f9;
+        }
+        .modifier-none {
+            color: #adb5bd;
+        }`;
+
+module.exports = {
+  escapeHtml,
+  getBlockType,
+  groupVariationsByPage,
+  getBlockDisplayName,
+  getSourceUrl,
+  renderScreenshot,
+  renderViewportCaptures,
+  VIEWPORT_STRIP_CSS,
+  renderStateCaptures,
+  STATE_STRIP_CSS,
+  renderRemovedOverlays,
+  REMOVED_OVERLAYS_CSS,
+  renderComputedStyles,
+  findStyleVariantClasses,
+  COMPUTED_STYLES_CSS,
+  renderAccessibilityBadges,
+  renderAccessibilitySummary,
+  ACCESSIBILITY_CSS,
+  getModifierFacets,
+  renderModifierFacets,
+  groupByStyleVariation,
+  renderByStyleVariation,
+  renderModifierSummary,
+  MODIFIERS_CSS,
+};
@@ -0,0 +1,203 @@
+/**
+ * robots.txt parsing and matching (RFC 9309), including the widely used
+ * Crawl-delay and Sitemap extensions
+ */
+class RobotsTxt {
+  /**
+   * @param {string} content - Raw robots.txt content ("" allows everything)
+   * @param {string} userAgent - User agent we crawl as, e.g. "ElementScraper/1.0"
+   */
+  constructor(content, userAgent) {
+    const { groups, sitemaps } = RobotsTxt.parse(content || "");
+    this.userAgent = userAgent;
+    this.sitemaps = sitemaps;
+    this.group = RobotsTxt.selectGroup(groups, userAgent);
+    this.unreachable = null; // Why robots.txt couldn't be read, see disallowAll()
+  }
+
+  /**
+   * Rules for a host whose robots.txt is unreachable: nothing may be crawled
+   * @param {string} userAgent - User agent we crawl as
+   * @param {string} reason - Why robots.txt couldn't be read
+   * @returns {RobotsTxt}
+   */
+  static disallowAll(userAgent, reason) {
+    const robots = new RobotsTxt("User-agent: *\nDisallow: /", userAgent);
+    robots.unreachable = reason;
+    return robots;
+  }
+
+  /**
+   * Fetch and parse robots.txt for the host of a URL, following redirects.
+   * As RFC 9309 asks, a robots.txt that doesn't exist (any 4xx response)
+   * places no restrictions on the crawl, while a server error or an
+   * unreachable host disallows the whole host.
+   * @param {string} url - Any URL on the host
+   * @param {string} userAgent - User agent we crawl as
+   * @returns {Promise<RobotsTxt>}
+   */
+  static async fetch(url, userAgent) {
+    const ScraperUtils = require("../utils.js");
+    const { origin, host } = new URL(url);
+    const robotsUrl = `${origin}/robots.txt`;
+
+    try {
+      const content = await ScraperUtils._fetchUrl(robotsUrl, { userAgent });
+      console.log(`🤖 Loaded ${robotsUrl}`);
+      return new RobotsTxt(content, userAgent);
+    } catch (error) {
+      if (error.statusCode >= 400 && error.statusCode < 500) {
+        console.log(
+          `🤖 No robots.txt at ${robotsUrl} (${error.message}), crawling without restrictions`
+        );
+        return new RobotsTxt("", userAgent);
+      }
+
+      console.log(
+        `🤖 Could not read ${robotsUrl} (${error.message}), skipping every page of ${host}`
+      );
+      return RobotsTxt.disallowAll(
+        userAgent,
+        `robots.txt unreachable (${error.message})`
+      );
+    }
+  }
+
+  /**
+   * Split robots.txt into user-agent groups and Sitemap: directives
+   * @param {string} content - Raw robots.txt content
+   * @returns {Object} { groups: [{ agents, rules, crawlDelay }], sitemaps }
+   */
+  static parse(content) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    content.split(/\r\n|\r|\n/).forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const separator = line.indexOf(":");
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === "sitemap") {
+        if (value) sitemaps.push(value);
+        return;
+      }
+
+      if (field === "user-agent") {
+        // Consecutive user-agent lines share one group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!current) return;
+
+      if (field === "allow" || field === "disallow") {
+        current.rules.push({ type: field, path: value });
+      } else if (field === "crawl-delay") {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    });
+
+    return { groups, sitemaps };
+  }
+
+  /**
+   * Merge the groups that apply to our user agent: groups naming our product
+   * token win, otherwise the "*" groups apply
+   * @returns {Object} { agent, rules, crawlDelay }
+   */
+  static selectGroup(groups, userAgent) {
+    const token = (userAgent || "").split("/")[0].trim().toLowerCase();
+
+    let matching = groups.filter((group) =>
+      group.agents.some((agent) => agent !== "*" && agent === token)
+    );
+    let agent = token;
+
+    if (matching.length === 0) {
+      matching = groups.filter((group) => group.agents.includes("*"));
+      agent = "*";
+    }
+
+    const delays = matching
+      .map((group) => group.crawlDelay)
+      .filter((delay) => delay !== null);
+
+    return {
+      agent,
+      rules: matching.flatMap((group) => group.rules),
+      crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    };
+  }
+
+  /**
+   * Convert a robots.txt path pattern (with * and $) to a RegExp
+   * @private
+   */
+  static _patternToRegExp(pattern) {
+    const anchored = pattern.endsWith("$");
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${body}${anchored ? "$" : ""}`);
+  }
+
+  /**
+   * Check a URL against the rules. The longest matching rule wins and Allow
+   * wins ties; an empty Disallow matches nothing.
+   * @param {string} url - URL to check
+   * @returns {Object} { allowed, reason } - reason names the deciding rule when blocked
+   */
+  check(url) {
+    const { pathname, search } = new URL(url);
+    const target = `${pathname}${search}`;
+    let best = null;
+
+    for (const rule of this.group.rules) {
+      if (!rule.path) continue;
+      if (!RobotsTxt._patternToRegExp(rule.path).test(target)) continue;
+
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === "allow")
+      ) {
+        best = rule;
+      }
+    }
+
+    if (best && best.type === "disallow") {
+      return {
+        allowed: false,
+        reason:
+          this.unreachable ||
+          `robots.txt Disallow: ${best.path} (user-agent: ${this.group.agent})`,
+      };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Crawl-delay for our user agent, in seconds (null when not set)
+   */
+  getCrawlDelay() {
+    return this.group.crawlDelay;
+  }
+}
+
+module.exports = RobotsTxt;
@@ -0,0 +1,412 @@
+const fs = require("fs-extra");
+const path = require("path");
+const CrawlCheckpoint = require("./crawl-checkpoint");
+const { escapeHtml } = require("./report-helpers");
+
+// Written into every archived run directory
+const MANIFEST_FILE = "manifest.json";
+
+// Left in a run directory by a crawl that hasn't finished
+const CHECKPOINT_FILE = "crawl-checkpoint.json";
+
+/**
+ * Archive of runs under an output directory: each run writes into its own
+ * timestamped directory with a manifest, `latest` points to the newest
+ * completed run and `index.html` / `runs.json` list every run.
+ *
+ *   output/
+ *   ├── runs/2026-10-19T19-10-01Z/   # One directory per run
+ *   ├── latest -> runs/2026-10-19T19-10-01Z
+ *   ├── cache/                      # Shared by incremental crawls
+ *   ├── index.html
+ *   └── runs.json
+ */
+class RunArchive {
+  /**
+   * @param {string} rootDir - Output directory holding the archive (default: 'output')
+   */
+  constructor(rootDir = "output") {
+    this.rootDir = rootDir;
+    this.runsDir = path.join(rootDir, "runs");
+    this.latestPath = path.join(rootDir, "latest");
+    this.indexPath = path.join(rootDir, "index.html");
+    this.runsJsonPath = path.join(rootDir, "runs.json");
+  }
+
+  /**
+   * Directory of the run a command reads: the directory itself when it holds
+   * a run (a run directory, or an output directory from before the archive),
+   * else the latest run of its archive
+   * @param {string} dir - Output or run directory
+   * @returns {Promise<string>}
+   */
+  static async resolveRunDir(dir) {
+    if (await fs.pathExists(path.join(dir, "variations.json"))) return dir;
+
+    const archive = new RunArchive(dir);
+    const latestId = await archive.getLatestId();
+    return latestId ? path.join(archive.runsDir, latestId) : dir;
+  }
+
+  /**
+   * Run ID for a start time, sortable and safe in file names
+   * @param {Date} date - When the run started
+   * @returns {string} e.g. "2026-10-19T19-10-01Z"
+   */
+  static createRunId(date) {
+    return date
+      .toISOString()
+      .replace(/\.\d+Z$/, "Z")
+      .replace(/:/g, "-");
+  }
+
+  /**
+   * Create the directory of a new run
+   * @param {Date} startedAt - When the run started
+   * @returns {Promise<Object>} { id, dir }
+   */
+  async createRun(startedAt = new Date()) {
+    const baseId = RunArchive.createRunId(startedAt);
+    let id = baseId;
+    // Runs started within the same second get a suffix
+    for (let n = 2; await fs.pathExists(path.join(this.runsDir, id)); n++) {
+      id = `${baseId}-${n}`;
+    }
+
+    const dir = path.join(this.runsDir, id);
+    await fs.ensureDir(dir);
+    return { id, dir };
+  }
+
+  /**
+   * Newest run a crawl was interrupted in, i.e. one whose checkpoint it can
+   * resume from. Completed crawls remove their checkpoint.
+   * @param {Object} crawl - { url, selector, variationClassPrefix }
+   * @returns {Promise<Object|null>} { id, dir }, or null when there is none
+   */
+  async findInterruptedRun(crawl) {
+    const ids = await this._listRunIds();
+    for (const id of ids.reverse()) {
+      const dir = path.join(this.runsDir, id);
+      const checkpoint = new CrawlCheckpoint(path.join(dir, CHECKPOINT_FILE));
+      if (await checkpoint.matches(crawl)) {
+        return { id, dir };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write a finished run's manifest, point `latest` at it when it completed
+   * and rewrite the runs index
+   * @param {string} id - Run ID from createRun()
+   * @param {Object} manifest - { status, mode, startedAt, finishedAt, config, stats, files, error }
+   * @returns {Promise<Object>} { manifestPath, indexPath }
+   */
+  async finishRun(id, manifest) {
+    const dir = path.join(this.runsDir, id);
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    await fs.writeJson(manifestPath, { id, ...manifest }, { spaces: 2 });
+
+    let latest = await this.getLatestId();
+    if (manifest.status === "completed") {
+      await this._pointLatestAt(id);
+      latest = id;
+    }
+    await this.writeIndex(latest);
+    return { manifestPath, indexPath: this.indexPath };
+  }
+
+  /**
+   * ID of the run `latest` points to
+   * @returns {Promise<string|null>}
+   */
+  async getLatestId() {
+    try {
+      const target = await fs.readlink(this.latestPath);
+      return path.basename(target);
+    } catch (error) {
+      // No symlink (or one the file system couldn't create), use the index
+      if (await fs.pathExists(this.runsJsonPath)) {
+        const { latest } = await fs.readJson(this.runsJsonPath);
+        return latest || null;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * ID of an archived run
+   * @param {string} ref - Run ID, or "latest"
+   * @returns {Promise<string>}
+   */
+  async resolveRunId(ref) {
+    const id = ref === "latest" ? await this.getLatestId() : ref;
+    if (!id || !(await fs.pathExists(path.join(this.runsDir, id)))) {
+      throw new Error(
+        ref === "latest"
+          ? `No completed run found in ${this.runsDir}`
+          : `Run ${ref} not found in ${this.runsDir}`
+      );
+    }
+    return id;
+  }
+
+  /**
+   * Newest completed run started before another one
+   * @param {string} id - Run ID
+   * @returns {Promise<string|null>}
+   */
+  async getPreviousRunId(id) {
+    const previous = (await this.listRuns()).find(
+      (run) => run.id < id && run.status === "completed"
+    );
+    return previous ? previous.id : null;
+  }
+
+  /**
+   * Every run, newest first. Runs without a manifest are reported as
+   * "interrupted" when they have a checkpoint, else "running".
+   * @returns {Promise<Array<Object>>} Manifests, each with the run's `path` relative to the root
+   */
+  async listRuns() {
+    const runs = [];
+    for (const id of (await this._listRunIds()).reverse()) {
+      const dir = path.join(this.runsDir, id);
+      const manifestPath = path.join(dir, MANIFEST_FILE);
+      let manifest;
+      if (await fs.pathExists(manifestPath)) {
+        manifest = await fs.readJson(manifestPath);
+      } else {
+        manifest = {
+          id,
+          status: (await fs.pathExists(path.join(dir, CHECKPOINT_FILE)))
+            ? "interrupted"
+            : "running",
+        };
+      }
+      runs.push({ ...manifest, path: `runs/${id}` });
+    }
+    return runs;
+  }
+
+  /**
+   * Write runs.json and the index.html listing every run
+   * @param {string|null} latest - ID of the latest run (default: the one `latest` points to)
+   * @returns {Promise<string>} Path to index.html
+   */
+  async writeIndex(latest) {
+    const runs = await this.listRuns();
+    if (latest === undefined) latest = await this.getLatestId();
+
+    await fs.writeJson(this.runsJsonPath, { latest, runs }, { spaces: 2 });
+    await fs.writeFile(this.indexPath, this.renderIndex(runs, latest));
+    console.log(`Runs index generated: ${this.indexPath}`);
+    return this.indexPath;
+  }
+
+  /**
+   * Render the runs index
+   * @param {Array<Object>} runs - Runs from listRuns()
+   * @param {string|null} latest - ID of the latest run
+   * @returns {string} HTML
+   */
+  renderIndex(runs, latest) {
+    const formatDuration = (ms) => {
+      if (ms === undefined) return "";
+      const seconds = Math.round(ms / 1000);
+      return seconds >= 60
+        ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+        : `${seconds}s`;
+    };
+    const fileLinks = (run) =>
+      Object.entries({
+        Report: run.files && run.files.report,
+        JSON: run.files && run.files.json,
+        Markdown: run.files && run.files.markdown,
+        PDF: run.files && run.files.pdf,
+        Sandbox: run.files && run.files.sandbox,
+      })
+        .filter(([, file]) => file)
+        .map(
+          ([label, file]) =>
+            `<a href="${escapeHtml(`${run.path}/${file}`)}">${label}</a>`
+        )
+        .join(" · ");
+
+    const rowsHtml = runs
+      .map((run) => {
+        const config = run.config || {};
+        const stats = run.stats || {};
+        return `
+                <tr class="run-${escapeHtml(run.status)}">
+                    <td><a href="${escapeHtml(
+                      run.files && run.files.report
+                        ? `${run.path}/${run.files.report}`
+                        : `${run.path}/`
+                    )}">${escapeHtml(run.id)}</a>${
+          run.id === latest ? ' <span class="latest-badge">latest</span>' : ""
+        }</td>
+                    <td>${escapeHtml(run.status)}${
+          run.error
+            ? `<div class="run-error">${escapeHtml(run.error)}</div>`
+            : ""
+        }</td>
+                    <td>${escapeHtml(run.mode || "")}</td>
+                    <td>${
+                      config.name
+                        ? `<strong>${escapeHtml(config.name)}</strong><br>`
+                        : ""
+                    }${escapeHtml(config.url || "")}${
+          config.selector
+            ? `<br><code>${escapeHtml(config.selector)}</code>`
+            : ""
+        }</td>
+                    <td>${
+                      stats.totalPages !== undefined
+                        ? `${stats.successfulPages}/${stats.totalPages}`
+                        : ""
+                    }</td>
+                    <td>${stats.totalVariations ?? ""}</td>
+                    <td>${stats.blockTypes ?? ""}</td>
+                    <td>${formatDuration(run.durationMs)}</td>
+                    <td>${fileLinks(run)}</td>
+                </tr>`;
+      })
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Scraper Runs</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+        }
+        table {
+            border-collapse: collapse;
+            width: 100%;
+            font-size: 13px;
+        }
+        th,
+        td {
+            border: 1px solid #dee2e6;
+            padding: 6px 10px;
+            text-align: left;
+            vertical-align: top;
+        }
+        th {
+            background-color: #f1f5f9;
+        }
+        .run-failed td,
+        .run-interrupted td {
+            background-color: #fff5f5;
+        }
+        .run-error {
+            color: #b91c1c;
+            font-size: 12px;
+        }
+        .latest-badge {
+            display: inline-block;
+            background-color: #dcfce7;
+            color: #166534;
+            border-radius: 3px;
+            padding: 1px 6px;
+            font-size: 11px;
+        }
+        code {
+            background-color: #f1f3f5;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }
+        a {
+            color: #1e40af;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🗂️ Scraper Runs</h1>
+        <p>${runs.length} run${runs.length !== 1 ? "s" : ""}${
+      latest
+        ? ` · <a href="latest/">latest</a> is <a href="runs/${escapeHtml(
+            latest
+          )}/">${escapeHtml(latest)}</a>`
+        : ""
+    } · <a href="runs.json">runs.json</a></p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Run</th>
+                    <th>Status</th>
+                    <th>Mode</th>
+                    <th>Config</th>
+                    <th>Pages</th>
+                    <th>Variations</th>
+                    <th>Block Types</th>
+                    <th>Duration</th>
+                    <th>Files</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}
+            </tbody>
+        </table>
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Run IDs, oldest first
+   * @private
+   */
+  async _listRunIds() {
+    if (!(await fs.pathExists(this.runsDir))) return [];
+    const entries = await fs.readdir(this.runsDir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * Point the `latest` symlink at a run. Where symlinks can't be created
+   * (e.g. Windows without developer mode) runs.json still records it.
+   * @private
+   */
+  async _pointLatestAt(id) {
+    try {
+      await fs.remove(this.latestPath);
+      if (process.platform === "win32") {
+        await fs.symlink(
+          path.resolve(this.runsDir, id),
+          this.latestPath,
+          "junction"
+        );
+      } else {
+        await fs.symlink(path.join("runs", id), this.latestPath, "dir");
+      }
+    } catch (error) {
+      console.log(
+        `⚠️  Couldn't link ${this.latestPath} to run ${id}: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = RunArchive;
@@ -0,0 +1,766 @@
+const fs = require("fs-extra");
+const path = require("path");
+const RunArchive = require("./run-archive");
+const VisualRegression = require("./visual-regression");
+const {
+  escapeHtml,
+  getBlockType,
+  getBlockDisplayName,
+} = require("./report-helpers");
+
+/**
+ * Structural diff between two archived runs: block types that appeared or
+ * disappeared, pages that gained or lost blocks, class list changes of
+ * matching variations and pages that newly failed
+ */
+class RunDiff {
+  /**
+   * @param {Object} options - Diff options
+   * @param {string} options.outputDir - Output directory holding the run archive (default: 'output')
+   * @param {string} options.from - ID of the older run (default: the completed run before `to`)
+   * @param {string} options.to - ID of the newer run, or "latest" (default: 'latest')
+   */
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || "output";
+    this.archive = new RunArchive(this.outputDir);
+    this.from = options.from || null;
+    this.to = options.to || "latest";
+  }
+
+  /**
+   * Pair variations that share a key, in the order they were found
+   * @param {Array<Object>} before - Variations of the older run
+   * @param {Array<Object>} after - Variations of the newer run
+   * @param {Function} getKey - Key of a variation
+   * @returns {Object} { pairs, added, removed }
+   */
+  static pairBy(before, after, getKey) {
+    const beforeByKey = new Map();
+    before.forEach((variation) => {
+      const key = getKey(variation);
+      if (!beforeByKey.has(key)) beforeByKey.set(key, []);
+      beforeByKey.get(key).push(variation);
+    });
+
+    const pairs = [];
+    const added = [];
+    after.forEach((variation) => {
+      const candidates = beforeByKey.get(getKey(variation));
+      if (candidates && candidates.length > 0) {
+        pairs.push({ before: candidates.shift(), after: variation });
+      } else {
+        added.push(variation);
+      }
+    });
+
+    return { pairs, added, removed: [...beforeByKey.values()].flat() };
+  }
+
+  /**
+   * Pages a run processed, including those found by following links. Runs
+   * from before crawledUrls was recorded only list their starting URLs.
+   * @param {Object} run - `run` of variations.json
+   * @returns {Array<string>}
+   */
+  static getCrawledUrls(run) {
+    return run.crawledUrls || run.scrapedUrls || [];
+  }
+
+  /**
+   * Pages a run scraped without an error
+   * @param {Object} run - `run` of variations.json
+   * @returns {Set<string>}
+   */
+  static getScrapedPages(run) {
+    const failed = new Set((run.failedUrls || []).map(({ url }) => url));
+    return new Set(
+      RunDiff.getCrawledUrls(run).filter((url) => !failed.has(url))
+    );
+  }
+
+  /**
+   * Variations of both runs on the pages both runs scraped without an error,
+   * so pages that failed or were only crawled once don't count as changes
+   * @param {Object} before - Older run from _loadRun()
+   * @param {Object} after - Newer run from _loadRun()
+   * @returns {Object} { before, after } - Variations of each run
+   */
+  static getCommonVariations(before, after) {
+    const beforePages = RunDiff.getScrapedPages(before.data.run);
+    const afterPages = RunDiff.getScrapedPages(after.data.run);
+    const onBothRuns = ({ pageUrl }) =>
+      beforePages.has(pageUrl) && afterPages.has(pageUrl);
+
+    return {
+      before: before.data.variations.filter(onBothRuns),
+      after: after.data.variations.filter(onBothRuns),
+    };
+  }
+
+  /**
+   * Number of variations per block type
+   * @param {Array<Object>} variations - Variations
+   * @returns {Map<string, number>}
+   */
+  static countBlockTypes(variations) {
+    const counts = new Map();
+    variations.forEach(({ classNames }) => {
+      const blockType = getBlockType(classNames);
+      counts.set(blockType, (counts.get(blockType) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * Load the variations.json of an archived run
+   * @private
+   */
+  async _loadRun(id) {
+    const dir = path.join(this.archive.runsDir, id);
+    const jsonPath = path.join(dir, "variations.json");
+    if (!(await fs.pathExists(jsonPath))) {
+      throw new Error(
+        `Run ${id} has no variations.json, it didn't complete.`
+      );
+    }
+
+    const data = await fs.readJson(jsonPath);
+    const manifestPath = path.join(dir, "manifest.json");
+    const manifest = (await fs.pathExists(manifestPath))
+      ? await fs.readJson(manifestPath)
+      : {};
+    return {
+      id,
+      dir,
+      data,
+      report: (manifest.files && manifest.files.report) || null,
+      screenshotsDir: data.run.screenshotsDir || "screenshots",
+    };
+  }
+
+  /**
+   * Block types that appeared, disappeared or changed in count on the pages
+   * both runs scraped
+   * @param {Object} beforeRun - Older run from _loadRun()
+   * @param {Object} afterRun - Newer run from _loadRun()
+   * @returns {Object} { added, removed, changed }
+   */
+  diffBlockTypes(beforeRun, afterRun) {
+    const { before, after } = RunDiff.getCommonVariations(beforeRun, afterRun);
+    const beforeCounts = RunDiff.countBlockTypes(before);
+    const afterCounts = RunDiff.countBlockTypes(after);
+    const pagesOf = (variations, blockType) => [
+      ...new Set(
+        variations
+          .filter(({ classNames }) => getBlockType(classNames) === blockType)
+          .map(({ pageUrl }) => pageUrl)
+      ),
+    ];
+    const entry = (blockType) => ({
+      blockType,
+      name: getBlockDisplayName(blockType),
+      before: beforeCounts.get(blockType) || 0,
+      after: afterCounts.get(blockType) || 0,
+    });
+
+    const blockTypes = [
+      ...new Set([...beforeCounts.keys(), ...afterCounts.keys()]),
+    ].sort();
+    return {
+      added: blockTypes
+        .filter((blockType) => !beforeCounts.has(blockType))
+        .map((blockType) => ({
+          ...entry(blockType),
+          pages: pagesOf(after, blockType),
+        })),
+      removed: blockTypes
+        .filter((blockType) => !afterCounts.has(blockType))
+        .map((blockType) => ({
+          ...entry(blockType),
+          pages: pagesOf(before, blockType),
+        })),
+      changed: blockTypes
+        .map(entry)
+        .filter(
+          ({ before: count, after: newCount }) =>
+            count > 0 && newCount > 0 && count !== newCount
+        ),
+    };
+  }
+
+  /**
+   * Block counts of pages both runs scraped, and pages only one of them did
+   * @param {Object} before - Older run from _loadRun()
+   * @param {Object} after - Newer run from _loadRun()
+   * @returns {Object} { changed, added, removed }
+   */
+  diffPages(before, after) {
+    const beforePages = RunDiff.getScrapedPages(before.data.run);
+    const afterPages = RunDiff.getScrapedPages(after.data.run);
+    const countsByPage = (variations) => {
+      const byPage = new Map();
+      variations.forEach((variation) => {
+        if (!byPage.has(variation.pageUrl)) byPage.set(variation.pageUrl, []);
+        byPage.get(variation.pageUrl).push(variation);
+      });
+      return (url) => RunDiff.countBlockTypes(byPage.get(url) || []);
+    };
+    const beforeCounts = countsByPage(before.data.variations);
+    const afterCounts = countsByPage(after.data.variations);
+
+    const changed = [];
+    [...afterPages]
+      .filter((url) => beforePages.has(url))
+      .forEach((url) => {
+        const oldCounts = beforeCounts(url);
+        const newCounts = afterCounts(url);
+        const gained = [];
+        const lost = [];
+        [...new Set([...oldCounts.keys(), ...newCounts.keys()])]
+          .sort()
+          .forEach((blockType) => {
+            const entry = {
+              blockType,
+              before: oldCounts.get(blockType) || 0,
+              after: newCounts.get(blockType) || 0,
+            };
+            if (entry.after > entry.before) gained.push(entry);
+            if (entry.after < entry.before) lost.push(entry);
+          });
+        if (gained.length > 0 || lost.length > 0) {
+          changed.push({ url, gained, lost });
+        }
+      });
+
+    const summarize = (url, counts) => ({
+      url,
+      blocks: [...counts(url).values()].reduce((sum, n) => sum + n, 0),
+    });
+    // Pages that failed in one of the runs are listed by diffFailures()
+    const beforeAttempted = new Set(RunDiff.getCrawledUrls(before.data.run));
+    const afterAttempted = new Set(RunDiff.getCrawledUrls(after.data.run));
+    return {
+      changed,
+      added: [...afterPages]
+        .filter((url) => !beforeAttempted.has(url))
+        .map((url) => summarize(url, afterCounts)),
+      removed: [...beforePages]
+        .filter((url) => !afterAttempted.has(url))
+        .map((url) => summarize(url, beforeCounts)),
+    };
+  }
+
+  /**
+   * Variations of pages both runs scraped whose class list changed. Variations
+   * with identical classes match first, then the rest of a block type on a
+   * page pair up by selector and finally in the order they were found.
+   * @param {Object} before - Older run from _loadRun()
+   * @param {Object} after - Newer run from _loadRun()
+   * @returns {Array<Object>} Class changes
+   */
+  diffClasses(before, after) {
+    const common = RunDiff.getCommonVariations(before, after);
+    const getBlockKey = (variation) =>
+      `${variation.pageUrl}|${variation.tagName}|${getBlockType(
+        variation.classNames
+      )}`;
+
+    const unchanged = RunDiff.pairBy(
+      common.before,
+      common.after,
+      VisualRegression.getVariationKey
+    );
+    const sameSelector = RunDiff.pairBy(
+      unchanged.removed,
+      unchanged.added,
+      (variation) => `${getBlockKey(variation)}|${variation.selector}`
+    );
+    const sameBlock = RunDiff.pairBy(
+      sameSelector.removed,
+      sameSelector.added,
+      getBlockKey
+    );
+
+    const describe = (variation, screenshotsDir) => ({
+      selector: variation.selector,
+      classNames: variation.classNames,
+      globalIndex: variation.globalIndex,
+      screenshotPath: variation.screenshotPath
+        ? `${screenshotsDir}/${variation.screenshotPath}`
+        : null,
+      thumbnailPath: variation.thumbnailPath
+        ? `${screenshotsDir}/${variation.thumbnailPath}`
+        : null,
+    });
+
+    return [...sameSelector.pairs, ...sameBlock.pairs].map(
+      ({ before: oldVariation, after: newVariation }) => ({
+        pageUrl: newVariation.pageUrl,
+        blockType: getBlockType(newVariation.classNames),
+        addedClasses: newVariation.classNames.filter(
+          (name) => !oldVariation.classNames.includes(name)
+        ),
+        removedClasses: oldVariation.classNames.filter(
+          (name) => !newVariation.classNames.includes(name)
+        ),
+        before: describe(oldVariation, before.screenshotsDir),
+        after: describe(newVariation, after.screenshotsDir),
+      })
+    );
+  }
+
+  /**
+   * Pages that failed in the newer run but not the older one, and the other
+   * way round
+   * @param {Object} before - Older run from _loadRun()
+   * @param {Object} after - Newer run from _loadRun()
+   * @returns {Object} { newlyFailed, recovered }
+   */
+  diffFailures(before, after) {
+    const beforeFailed = before.data.run.failedUrls || [];
+    const afterFailed = after.data.run.failedUrls || [];
+    const beforeUrls = new Set(beforeFailed.map(({ url }) => url));
+    const afterUrls = new Set(afterFailed.map(({ url }) => url));
+    const afterPages = RunDiff.getScrapedPages(after.data.run);
+
+    return {
+      newlyFailed: afterFailed.filter(({ url }) => !beforeUrls.has(url)),
+      recovered: beforeFailed.filter(
+        ({ url }) => !afterUrls.has(url) && afterPages.has(url)
+      ),
+    };
+  }
+
+  /**
+   * Diff the two runs and write the changelog report and JSON
+   * @returns {Promise<Object>} Summary including report paths
+   */
+  async compare() {
+    const toId = await this.archive.resolveRunId(this.to);
+    const fromId = this.from
+      ? await this.archive.resolveRunId(this.from)
+      : await this.archive.getPreviousRunId(toId);
+    if (!fromId) {
+      throw new Error(
+        `No completed run before ${toId} to compare it with. Pass both run IDs.`
+      );
+    }
+    if (fromId === toId) {
+      throw new Error(`Can't compare run ${toId} with itself.`);
+    }
+
+    const before = await this._loadRun(fromId);
+    const after = await this._loadRun(toId);
+    console.log(
+      `🔍 Comparing run ${toId} (${after.data.variations.length} variations) with ${fromId} (${before.data.variations.length} variations)...`
+    );
+
+    const blockTypes = this.diffBlockTypes(before, after);
+    const pages = this.diffPages(before, after);
+    const classChanges = this.diffClasses(before, after);
+    const failures = this.diffFailures(before, after);
+
+    const summary = {
+      from: fromId,
+      to: toId,
+      blockTypesAdded: blockTypes.added.length,
+      blockTypesRemoved: blockTypes.removed.length,
+      pagesChanged: pages.changed.length,
+      pagesAdded: pages.added.length,
+      pagesRemoved: pages.removed.length,
+      classChanges: classChanges.length,
+      newlyFailed: failures.newlyFailed.length,
+      recovered: failures.recovered.length,
+    };
+    summary.hasChanges = Object.values(summary).some(
+      (value) => typeof value === "number" && value > 0
+    );
+
+    const runInfo = ({ id, data, report }) => ({
+      id,
+      report,
+      url: data.run.config.url,
+      startedAt: data.run.startedAt,
+      variations: data.variations.length,
+      pages: RunDiff.getScrapedPages(data.run).size,
+    });
+    const diffDir = path.join(this.outputDir, "diffs", `${fromId}_${toId}`);
+    await fs.ensureDir(diffDir);
+
+    const result = {
+      summary,
+      from: runInfo(before),
+      to: runInfo(after),
+      blockTypes,
+      pages,
+      classChanges,
+      failures,
+    };
+    const jsonPath = path.join(diffDir, "run-diff.json");
+    await fs.writeJson(jsonPath, result, { spaces: 2 });
+
+    const reportPath = path.join(diffDir, "run_diff_report.html");
+    await fs.writeFile(reportPath, this.renderReport(result, diffDir));
+
+    console.log(
+      `📊 ${summary.blockTypesAdded} block types appeared, ${summary.blockTypesRemoved} disappeared, ${summary.pagesChanged} pages changed, ${summary.classChanges} class changes, ${summary.newlyFailed} newly failed pages`
+    );
+    return { ...summary, reportPath, jsonPath };
+  }
+
+  /**
+   * Render the changelog report
+   * @param {Object} result - Diff written to run-diff.json
+   * @param {string} diffDir - Directory the report is written to
+   * @returns {string} HTML
+   */
+  renderReport(result, diffDir) {
+    const { summary, from, to, blockTypes, pages, classChanges, failures } =
+      result;
+    const runHref = (id, file) =>
+      path
+        .relative(diffDir, path.join(this.archive.runsDir, id, file))
+        .split(path.sep)
+        .join("/");
+    // The run's report, or its directory when it has none
+    const reportHref = (run, globalIndex) =>
+      run.report
+        ? `${runHref(run.id, run.report)}${
+            globalIndex !== undefined ? `#variation-${globalIndex}` : ""
+          }`
+        : runHref(run.id, "");
+    const pageLink = (url) =>
+      `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a>`;
+    const blockName = (blockType) =>
+      `${escapeHtml(getBlockDisplayName(blockType))} <code>${escapeHtml(
+        blockType
+      )}</code>`;
+    const section = (title, count, body) => `
+        <h2>${title} (${count})</h2>
+        ${count > 0 ? body : '<p class="empty">No changes</p>'}`;
+    const classList = (names, highlighted, className) =>
+      names
+        .map(
+          (name) =>
+            `<code${
+              highlighted.includes(name) ? ` class="${className}"` : ""
+            }>${escapeHtml(name)}</code>`
+        )
+        .join(" ");
+    const screenshot = (id, capture, alt) =>
+      capture.screenshotPath
+        ? `<a href="${escapeHtml(
+            runHref(id, capture.screenshotPath)
+          )}" target="_blank"><img src="${escapeHtml(
+            runHref(id, capture.thumbnailPath || capture.screenshotPath)
+          )}" alt="${alt}" class="screenshot" loading="lazy"></a>`
+        : "";
+
+    const blockTypesHtml = [
+      ...blockTypes.added.map(
+        (entry) => `
+                <tr class="added">
+                    <td>Appeared</td>
+                    <td>${blockName(entry.blockType)}</td>
+                    <td>0 → ${entry.after}</td>
+                    <td>${entry.pages.map(pageLink).join("<br>")}</td>
+                </tr>`
+      ),
+      ...blockTypes.removed.map(
+        (entry) => `
+                <tr class="removed">
+                    <td>Disappeared</td>
+                    <td>${blockName(entry.blockType)}</td>
+                    <td>${entry.before} → 0</td>
+                    <td>${entry.pages.map(pageLink).join("<br>")}</td>
+                </tr>`
+      ),
+      ...blockTypes.changed.map(
+        (entry) => `
+                <tr>
+                    <td>${entry.after > entry.before ? "More" : "Fewer"}</td>
+                    <td>${blockName(entry.blockType)}</td>
+                    <td>${entry.before} → ${entry.after}</td>
+                    <td></td>
+                </tr>`
+      ),
+    ].join("");
+
+    const countChanges = (entries, className) =>
+      entries
+        .map(
+          (entry) =>
+            `<span class="${className}">${escapeHtml(
+              getBlockDisplayName(entry.blockType)
+            )} ${entry.before} → ${entry.after}</span>`
+        )
+        .join(", ");
+    const pagesHtml = pages.changed
+      .map(
+        (page) => `
+                <tr>
+                    <td>${pageLink(page.url)}</td>
+                    <td>${countChanges(page.gained, "gained")}</td>
+                    <td>${countChanges(page.lost, "lost")}</td>
+                </tr>`
+      )
+      .join("");
+    const crawledPagesHtml = [
+      ...pages.added.map(
+        (page) =>
+          `<li class="added">${pageLink(page.url)} crawled for the first time (${
+            page.blocks
+          } blocks)</li>`
+      ),
+      ...pages.removed.map(
+        (page) =>
+          `<li class="removed">${pageLink(page.url)} no longer crawled (had ${
+            page.blocks
+          } blocks)</li>`
+      ),
+    ].join("");
+
+    const classChangesHtml = classChanges
+      .map(
+        (change) => `
+        <div class="change-item">
+            <h3>${blockName(change.blockType)}</h3>
+            <p>${pageLink(change.pageUrl)} · <code>${escapeHtml(
+              change.after.selector
+            )}</code></p>
+            <div class="before-after">
+                <div>
+                    <p><strong>Before</strong> <a href="${escapeHtml(
+                      reportHref(from, change.before.globalIndex)
+                    )}">${escapeHtml(from.id)}</a></p>
+                    ${screenshot(from.id, change.before, "Before")}
+                    <p>${classList(
+                      change.before.classNames,
+                      change.removedClasses,
+                      "removed-class"
+                    )}</p>
+                </div>
+                <div>
+                    <p><strong>After</strong> <a href="${escapeHtml(
+                      reportHref(to, change.after.globalIndex)
+                    )}">${escapeHtml(to.id)}</a></p>
+                    ${screenshot(to.id, change.after, "After")}
+                    <p>${classList(
+                      change.after.classNames,
+                      change.addedClasses,
+                      "added-class"
+                    )}</p>
+                </div>
+            </div>
+        </div>`
+      )
+      .join("");
+
+    const failuresHtml = [
+      ...failures.newlyFailed.map(
+        ({ url, error }) =>
+          `<li class="removed">${pageLink(url)}: ${escapeHtml(error)}</li>`
+      ),
+      ...failures.recovered.map(
+        ({ url }) =>
+          `<li class="added">${pageLink(url)} loads again</li>`
+      ),
+    ].join("");
+
+    const runSummary = (run, label) => `
+                <div class="run">
+                    <strong>${label}:</strong>
+                    <a href="${escapeHtml(reportHref(run))}">${escapeHtml(
+      run.id
+    )}</a><br>
+                    ${escapeHtml(run.url)}<br>
+                    ${run.pages} pages · ${run.variations} variations
+                </div>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Run Changelog: ${escapeHtml(from.id)} → ${escapeHtml(to.id)}</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+            text-align: center;
+        }
+        h2 {
+            color: #333;
+            border-bottom: 2px solid #e9ecef;
+            padding-bottom: 6px;
+            margin-top: 30px;
+        }
+        .summary {
+            background-color: #f8f9fa;
+            padding: 15px;
+            border-radius: 5px;
+            margin: 20px 0;
+        }
+        .runs {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 10px;
+            font-size: 13px;
+            margin-bottom: 10px;
+        }
+        table {
+            border-collapse: collapse;
+            width: 100%;
+            font-size: 13px;
+        }
+        th,
+        td {
+            border: 1px solid #dee2e6;
+            padding: 6px 10px;
+            text-align: left;
+            vertical-align: top;
+        }
+        th {
+            background-color: #f1f5f9;
+        }
+        tr.added td:first-child,
+        li.added,
+        .gained {
+            color: #276749;
+        }
+        tr.removed td:first-child,
+        li.removed,
+        .lost {
+            color: #c53030;
+        }
+        li {
+            margin: 4px 0;
+            font-size: 13px;
+        }
+        .empty {
+            color: #718096;
+            font-style: italic;
+        }
+        .scope {
+            color: #718096;
+            font-size: 13px;
+        }
+        .change-item {
+            border: 1px solid #ddd;
+            border-left: 6px solid #d69e2e;
+            border-radius: 6px;
+            padding: 12px;
+            margin: 15px 0;
+            font-size: 13px;
+        }
+        .change-item h3 {
+            margin: 0 0 8px 0;
+            font-size: 1em;
+        }
+        .before-after {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 10px;
+        }
+        .screenshot {
+            max-width: 100%;
+            max-height: 240px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+        code {
+            background-color: #f8f9fa;
+            padding: 2px 4px;
+            border-radius: 3px;
+        }
+        code.added-class {
+            background-color: #c6f6d5;
+        }
+        code.removed-class {
+            background-color: #fed7d7;
+            text-decoration: line-through;
+        }
+        a {
+            color: #1e40af;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📝 Run Changelog</h1>
+        <div class="summary">
+            <div class="runs">${runSummary(from, "Before")}${runSummary(
+      to,
+      "After"
+    )}
+            </div>
+            <p>${
+              summary.hasChanges
+                ? `${summary.blockTypesAdded} block types appeared, ${summary.blockTypesRemoved} disappeared · ${summary.pagesChanged} pages gained or lost blocks · ${summary.classChanges} class changes · ${summary.newlyFailed} newly failed pages`
+                : "✅ No structural changes between the two runs"
+            }</p>
+        </div>
+        ${section(
+          "Block Types",
+          blockTypes.added.length +
+            blockTypes.removed.length +
+            blockTypes.changed.length,
+          `<p class="scope">Counted on the pages both runs scraped without an error</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Change</th>
+                    <th>Block type</th>
+                    <th>Variations</th>
+                    <th>Pages</th>
+                </tr>
+            </thead>
+            <tbody>${blockTypesHtml}
+            </tbody>
+        </table>`
+        )}
+        ${section(
+          "Pages",
+          pages.changed.length + pages.added.length + pages.removed.length,
+          `${
+            pages.changed.length > 0
+              ? `<table>
+            <thead>
+                <tr>
+                    <th>Page</th>
+                    <th>Gained</th>
+                    <th>Lost</th>
+                </tr>
+            </thead>
+            <tbody>${pagesHtml}
+            </tbody>
+        </table>`
+              : ""
+          }
+        ${crawledPagesHtml ? `<ul>${crawledPagesHtml}</ul>` : ""}`
+        )}
+        ${section("Class Changes", classChanges.length, classChangesHtml)}
+        ${section(
+          "Failed Pages",
+          failures.newlyFailed.length + failures.recovered.length,
+          `<ul>${failuresHtml}</ul>`
+        )}
+    </div>
+</body>
+</html>`;
+  }
+}
+
+module.exports = RunDiff;
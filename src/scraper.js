@@ -1,41 +1,293 @@
 const { chromium } = require("playwright");
 const fs = require("fs-extra");
 const path = require("path");
+const crypto = require("crypto");
+const { version: packageVersion } = require("../package.json");
+const CrawlPool = require("./crawl-pool");
+const CrawlCheckpoint = require("./crawl-checkpoint");
+const PageCache = require("./page-cache");
+const RobotsTxt = require("./robots");
+const CrawlGraph = require("./crawl-graph");
+const RunArchive = require("./run-archive");
+const BlockInventory = require("./block-inventory");
+const DesignTokens = require("./design-tokens");
+const StorybookProject = require("./storybook-project");
+const ImageTools = require("./image-tools");
+const {
+  escapeHtml,
+  getBlockType,
+  groupVariationsByPage,
+  getSourceUrl,
+  renderScreenshot,
+  renderViewportCaptures,
+  VIEWPORT_STRIP_CSS,
+  renderStateCaptures,
+  STATE_STRIP_CSS,
+  renderRemovedOverlays,
+  REMOVED_OVERLAYS_CSS,
+  renderComputedStyles,
+  findStyleVariantClasses,
+  COMPUTED_STYLES_CSS,
+  renderAccessibilityBadges,
+  renderAccessibilitySummary,
+  ACCESSIBILITY_CSS,
+  renderModifierFacets,
+  renderByStyleVariation,
+  renderModifierSummary,
+  MODIFIERS_CSS,
+} = require("./report-helpers");
+const {
+  resolveOverlayProfile,
+  hideFloatingElements,
+} = require("./overlays");
+const {
+  resolveStyleProfile,
+  readComputedStyles,
+} = require("./computed-styles");
+const { auditAccessibility } = require("./accessibility");
+const { parseBlockClasses } = require("./block-modifiers");
+const {
+  readSnippetHtml,
+  readStylesheets,
+  renderSnippetLinks,
+  SNIPPET_LINKS_CSS,
+  writeSandbox,
+} = require("./snippets");
+const {
+  renderFilterAttributes,
+  renderReportFilters,
+  REPORT_FILTERS_CSS,
+  REPORT_FILTERS_SCRIPT,
+} = require("./report-filters");
+const { renderMarkdownReport, writePdfReport } = require("./report-formats");
+const {
+  INTERACTION_STATES,
+  INTERACTIVE_SELECTOR,
+  MAX_STATE_TARGETS,
+} = require("./interaction-states");
+const {
+  FILE_EXTENSIONS,
+  resolveScreenshotSettings,
+  getCaptureOptions,
+  needsProcessing,
+  getThumbnailName,
+} = require("./screenshot-settings");
+
+// Bump whenever the shape of variations.json changes (see schema/variations.schema.json)
+const VARIATIONS_SCHEMA_VERSION = 2;
+
+// Narrow desktop viewport used when a config doesn't declare its own
+const DEFAULT_VIEWPORT = { name: "desktop", width: 1024, height: 768 };
+
+// Sent with every page, robots.txt and sitemap request; its product token
+// picks the robots.txt group the crawl follows
+const DEFAULT_USER_AGENT = `ElementScraper/${packageVersion}`;
 
 class ElementScraper {
-  constructor() {
+  /**
+   * @param {Object} options - Scraper options
+   * @param {Array<Object>} options.viewports - Named viewports to capture ({ name, width, height }), first one is the primary viewport
+   * @param {string} options.outputDir - Where reports, screenshots and JSON are written (default: 'output')
+   * @param {boolean} options.archive - Give every scrape() and scrapeSitemap() run its own directory under outputDir (see RunArchive), instead of writing into outputDir itself (default: true)
+   * @param {string} options.configName - Name of the configuration the run uses, recorded in the run manifest
+   * @param {boolean} options.headless - Run the browser headless (default: only in CI)
+   * @param {Object} options.overlays - Overlay removal profile (see resolveOverlayProfile() in overlays.js)
+   * @param {Object|boolean} options.computedStyles - Computed style profile (see resolveStyleProfile() in computed-styles.js), or false to skip style capture
+   * @param {Array<string>} options.interactionStates - Extra states to capture at the primary viewport: "hover", "focus" and/or "active"
+   * @param {Array<string>} options.reportFormats - Extra report formats written next to the HTML report: "markdown" and/or "pdf"
+   * @param {Object} options.screenshots - Screenshot format, quality, pixel limit and thumbnail width (see resolveScreenshotSettings() in screenshot-settings.js)
+   * @param {string} options.userAgent - User agent of the browser and of robots.txt and sitemap requests (default: ElementScraper/<version>)
+   */
+  constructor(options = {}) {
     this.browser = null;
     this.page = null;
-    this.outputDir = "output";
+    this.outputDir = options.outputDir || "output";
+    this.rootDir = this.outputDir; // Holds the run archive and the page cache
+    this.archive =
+      options.archive !== false ? new RunArchive(this.rootDir) : null;
+    this.runId = null; // Archived run being written, see startRun()
+    this.configName = options.configName || null;
     this.screenshotsDir = path.join(this.outputDir, "screenshots");
+    this.snippetsDir = path.join(this.outputDir, "snippets");
     this.variations = [];
     this.currentUrl = null;
+    this.viewports =
+      options.viewports && options.viewports.length > 0
+        ? options.viewports
+        : [DEFAULT_VIEWPORT];
+    this.viewport = this.viewports[0];
+    this.screenshotPrefix = "element";
+    this.headless = options.headless;
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.overlayProfile = options.overlays || {};
+    this.overlays = resolveOverlayProfile(this.overlayProfile);
+    this.removedOverlays = []; // Overlays removed from the current page
+    this.computedStylesProfile =
+      options.computedStyles !== undefined ? options.computedStyles : {};
+    this.computedStyles = resolveStyleProfile(this.computedStylesProfile);
+    const states = options.interactionStates || [];
+    this.interactionStates = INTERACTION_STATES.filter((state) =>
+      states.includes(state)
+    );
+    this.reportFormats = options.reportFormats || [];
+    this.screenshotSettings = resolveScreenshotSettings(options.screenshots);
+    const { extension, ...captureOptions } = getCaptureOptions(
+      this.screenshotSettings
+    );
+    this.captureOptions = captureOptions; // Passed to Playwright's screenshot()
+    this.captureExtension = extension;
+    this.imageTools = null; // Converts screenshots and writes thumbnails, see initialize()
+    this.browserHeadless = false; // Whether the running browser is headless
   }
 
   async initialize() {
     // Create output directories
     await fs.ensureDir(this.outputDir);
     await fs.ensureDir(this.screenshotsDir);
+    await fs.ensureDir(this.snippetsDir);
 
     // Determine if we should run in headless mode (for CI/CD environments)
     const isCI = process.env.CI === 'true' || process.env.PLAYWRIGHT_HEADLESS === 'true';
     
     // Launch browser with optimized viewport for better element capture
+    this.browserHeadless = this.headless !== undefined ? this.headless : isCI;
     this.browser = await chromium.launch({
-      headless: isCI,
+      headless: this.browserHeadless,
       args: ["--start-maximized"],
     });
-    this.page = await this.browser.newPage();
+    this.page = await this.browser.newPage({ userAgent: this.userAgent });
 
     // Set a narrower viewport to ensure consistent element rendering
     await this.page.setViewportSize({
-      width: 1024,
-      height: 768,
+      width: this.viewport.width,
+      height: this.viewport.height,
+    });
+
+    // Screenshots are processed on a canvas, in a headless browser so no
+    // window shows up in headed runs
+    if (needsProcessing(this.screenshotSettings)) {
+      this.imageTools = this.browserHeadless
+        ? new ImageTools(await this.browser.newPage())
+        : await ImageTools.launch();
+    }
+  }
+
+  /**
+   * Close the browser and the one screenshots were processed in
+   */
+  async closeBrowser() {
+    if (this.imageTools) {
+      await this.imageTools.close();
+      this.imageTools = null;
+    }
+    if (this.browser) {
+      await this.browser.close();
+    }
+  }
+
+  /**
+   * Create another scraper sharing this browser but with its own isolated
+   * browser context, used as a worker for concurrent crawling
+   * @returns {Promise<ElementScraper>}
+   */
+  async createWorker() {
+    const worker = new ElementScraper({
+      viewports: this.viewports,
+      headless: this.headless,
+      userAgent: this.userAgent,
+      overlays: this.overlayProfile,
+      computedStyles: this.computedStylesProfile,
+      interactionStates: this.interactionStates,
+      screenshots: this.screenshotSettings,
+    });
+    const context = await this.browser.newContext({
+      viewport: { width: this.viewport.width, height: this.viewport.height },
+      userAgent: this.userAgent,
+    });
+
+    worker.browser = this.browser;
+    worker.page = await context.newPage();
+    worker.outputDir = this.outputDir;
+    worker.screenshotsDir = this.screenshotsDir;
+    worker.snippetsDir = this.snippetsDir;
+    worker.imageTools = this.imageTools;
+    return worker;
+  }
+
+  /**
+   * Point the output at a new run directory of the archive, or at the
+   * interrupted run a resumed crawl continues. Does nothing when archiving
+   * is off.
+   * @param {Object} options - { startedAt, resumeCrawl } - resumeCrawl is the { url, selector, variationClassPrefix } of a crawl to resume
+   */
+  async startRun({ startedAt = new Date(), resumeCrawl = null } = {}) {
+    if (!this.archive) return;
+
+    const interrupted = resumeCrawl
+      ? await this.archive.findInterruptedRun(resumeCrawl)
+      : null;
+    const { id, dir } =
+      interrupted || (await this.archive.createRun(startedAt));
+
+    this.runId = id;
+    this.outputDir = dir;
+    this.screenshotsDir = path.join(dir, "screenshots");
+    this.snippetsDir = path.join(dir, "snippets");
+    console.log(`🗂️  Run ${id}${interrupted ? " (resumed)" : ""}: ${dir}`);
+  }
+
+  /**
+   * Write the manifest of the archived run and update the runs index
+   * @param {Object} runInfo - Details about the run
+   * @param {string} runInfo.status - "completed" or "failed"
+   * @param {string} runInfo.mode - "single" or "sitemap"
+   * @param {Object} runInfo.config - Config the run was started with
+   * @param {Date} runInfo.startedAt - When the run started
+   * @param {Object} runInfo.stats - Page and variation counts
+   * @param {Object} runInfo.files - Paths of the files the run wrote, by kind
+   * @param {string} runInfo.error - Why a failed run failed
+   * @returns {Promise<string|null>} Path to the runs index, or null when archiving is off
+   */
+  async finishRun({
+    status,
+    mode,
+    config,
+    startedAt,
+    stats = null,
+    files = {},
+    error = null,
+  }) {
+    if (!this.runId) return null;
+
+    const finishedAt = new Date();
+    const relativeFiles = {};
+    Object.entries(files).forEach(([kind, file]) => {
+      if (file) {
+        relativeFiles[kind] = path
+          .relative(this.outputDir, file)
+          .split(path.sep)
+          .join("/");
+      }
+    });
+
+    const { indexPath } = await this.archive.finishRun(this.runId, {
+      status,
+      mode,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - startedAt.getTime(),
+      generator: { name: "element-scraper", version: packageVersion },
+      config: { name: this.configName, ...config },
+      stats,
+      files: relativeFiles,
+      ...(error ? { error } : {}),
     });
+    return indexPath;
   }
 
   async navigateToPage(url) {
     console.log(`Navigating to: ${url}`);
+    this.removedOverlays = [];
     await this.page.goto(url, {
       waitUntil: "domcontentloaded",
       timeout: 60000,
@@ -57,124 +309,36 @@ class ElementScraper {
 
   async removeFloatingElements() {
     console.log("Removing floating elements and popups...");
+    const { css, script, closeSelectors } = this.overlays;
 
-    // Common selectors for floating/overlay elements
-    const floatingSelectors = [
-      // Site headers (add these first for priority)
-      ".site-header",
-      "#site-header",
-      "header.header",
-      'header[class*="header"]',
-      '[class*="site-header"]',
-      '[id*="site-header"]',
-
-      // Cookie banners
-      '[class*="cookie"]',
-      '[id*="cookie"]',
-      '[class*="gdpr"]',
-      '[id*="gdpr"]',
-
-      // Chat widgets
-      '[class*="chat"]',
-      '[id*="chat"]',
-      '[class*="intercom"]',
-      '[id*="intercom"]',
-      '[class*="zendesk"]',
-      '[id*="zendesk"]',
-
-      // Popups and modals
-      '[class*="popup"]',
-      '[id*="popup"]',
-      '[class*="modal"]',
-      '[id*="modal"]',
-      '[class*="overlay"]',
-      '[id*="overlay"]',
-
-      // Newsletter/subscription popups
-      '[class*="newsletter"]',
-      '[id*="newsletter"]',
-      '[class*="subscribe"]',
-      '[id*="subscribe"]',
-      '[class*="signup"]',
-      '[id*="signup"]',
-
-      // Notification bars
-      '[class*="notification"]',
-      '[id*="notification"]',
-      '[class*="banner"]',
-      '[id*="banner"]',
-      '[class*="alert"]',
-      '[id*="alert"]',
-
-      // Fixed positioned elements
-      '[style*="position: fixed"]',
-      '[style*="position:fixed"]',
-
-      // Common WordPress popup plugins
-      ".pum-overlay",
-      ".elementor-popup-modal",
-      ".mfp-bg",
-      ".fancybox-overlay",
-
-      // Sticky headers that might interfere
-      '[class*="sticky"]',
-      '[class*="fixed"]',
-    ];
-
-    for (const selector of floatingSelectors) {
-      try {
-        await this.page.evaluate((sel) => {
-          const elements = document.querySelectorAll(sel);
-          elements.forEach((el) => {
-            // Check if element is actually floating/fixed and not part of main content
-            const style = window.getComputedStyle(el);
-            const rect = el.getBoundingClientRect();
-
-            // Be more aggressive with headers
-            if (sel.includes("header") || sel.includes("Header")) {
-              if (style.position === "fixed" || style.position === "sticky") {
-                console.log(`Hiding header element: ${sel}`);
-                el.style.visibility = "hidden";
-                return;
-              }
-            }
+    if (css) {
+      await this.page.addStyleTag({ content: css });
+      console.log("Injected custom CSS");
+    }
 
-            // Only remove if it's clearly a floating element (fixed/sticky position with high z-index)
-            // and not in the main content area
-            if (
-              (style.position === "fixed" || style.position === "sticky") &&
-              parseInt(style.zIndex) > 999 &&
-              !el.closest(".entry-content, .main-content, .content, main")
-            ) {
-              console.log(`Removing floating element: ${sel}`);
-              el.style.display = "none"; // Hide instead of remove to be safer
-            }
-          });
-        }, selector);
+    if (script) {
+      try {
+        await this.page.evaluate(script);
+        console.log("Ran custom overlay script");
       } catch (error) {
-        // Ignore errors for individual selectors
+        console.log(`⚠️  Custom overlay script failed: ${error.message}`);
       }
     }
 
+    await this.hideOverlays();
+
     // Also try to close any visible popups by clicking close buttons
-    const closeButtonSelectors = [
-      '[aria-label*="close" i]',
-      '[title*="close" i]',
-      ".close",
-      ".modal-close",
-      ".popup-close",
-      '[class*="close"]',
-      'button:has-text("×")',
-      'button:has-text("Close")',
-      'button:has-text("Dismiss")',
-    ];
-
-    for (const selector of closeButtonSelectors) {
+    for (const selector of closeSelectors) {
       try {
         const closeButton = this.page.locator(selector).first();
         if (await closeButton.isVisible({ timeout: 1000 })) {
           await closeButton.click({ timeout: 2000 });
           console.log(`Clicked close button: ${selector}`);
+          this.removedOverlays.push({
+            selector,
+            element: null,
+            action: "clicked",
+          });
           await this.page.waitForTimeout(500); // Wait for animation
         }
       } catch (error) {
@@ -182,7 +346,29 @@ class ElementScraper {
       }
     }
 
-    console.log("Floating elements removal completed");
+    console.log(
+      `Floating elements removal completed (${this.removedOverlays.length} removed)`
+    );
+  }
+
+  /**
+   * Hide floating elements matching the overlay profile's hide list,
+   * recording each newly hidden element in this.removedOverlays
+   */
+  async hideOverlays() {
+    try {
+      const hidden = await this.page.evaluate(
+        hideFloatingElements,
+        this.overlays.hideSelectors
+      );
+      hidden.forEach(({ selector, element }) => {
+        console.log(`Hiding floating element: ${element} (${selector})`);
+      });
+      this.removedOverlays.push(...hidden);
+    } catch (error) {
+      // Hiding overlays is best effort, capture the page as it is
+      console.log(`⚠️  Could not hide overlays: ${error.message}`);
+    }
   }
 
   async findElementVariations(selector, variationClassPrefix = "") {
@@ -197,6 +383,9 @@ class ElementScraper {
 
     const variations = [];
     const processedElements = new Set(); // Track processed elements to avoid duplicates
+    // Markup is the same at every size, so snippets are saved once per page
+    const saveSnippets = this.viewport === this.viewports[0];
+    let stylesPath;
 
     for (let i = 0; i < elements.length; i++) {
       const element = elements[i];
@@ -318,6 +507,7 @@ class ElementScraper {
 
         // Create variation info with the correct selector
         const baseSelector = selector.replace(/:\s*nth-child\(\d+\)/, ""); // Remove any existing nth-child
+        const classList = classNames.split(" ").filter((cls) => cls.trim());
         const variation = {
           index: i,
           selector: `${baseSelector.replace(
@@ -326,11 +516,14 @@ class ElementScraper {
           )}:nth-child(${actualPosition})`,
           actualSelector: `${baseSelector}:nth-child(${actualPosition})`, // Keep original for screenshots
           tagName,
-          classNames: classNames.split(" ").filter((cls) => cls.trim()),
+          classNames: classList,
+          modifiers: parseBlockClasses(classList), // Style variation, color slugs, alignment...
           textContent: contentInfo.substring(0, 150), // Use enhanced content info with longer limit for image descriptions
           boundingBox,
           screenshotPath: null,
           anchorInfo: anchorInfo, // Add anchor information
+          computedStyles: null,
+          accessibility: null,
         };
 
         // Filter by variation class prefix if provided
@@ -351,6 +544,25 @@ class ElementScraper {
           }
         }
 
+        // How the element and its key descendants actually render
+        if (this.computedStyles) {
+          variation.computedStyles = await element.evaluate(
+            readComputedStyles,
+            this.computedStyles
+          );
+        }
+
+        // Accessibility problems inside the element, checked in the page
+        variation.accessibility = await element.evaluate(auditAccessibility);
+
+        if (saveSnippets) {
+          if (stylesPath === undefined) {
+            stylesPath = await this.saveStylesheets();
+          }
+          variation.snippetPath = await this.saveSnippet(element, i);
+          variation.stylesPath = variation.snippetPath ? stylesPath : null;
+        }
+
         // Mark this element as processed and add to variations
         processedElements.add(elementId);
         variations.push(variation);
@@ -366,6 +578,49 @@ class ElementScraper {
     return variations;
   }
 
+  /**
+   * Save an element's markup to the snippets directory
+   * @param {Locator} element - Variation element
+   * @param {number} index - Element index on the page
+   * @returns {Promise<string|null>} Snippet file name, or null when the markup couldn't be read
+   */
+  async saveSnippet(element, index) {
+    try {
+      const html = await element.evaluate(readSnippetHtml);
+      const snippetName = `${this.screenshotPrefix}_${index}_${Date.now()}.html`;
+      await fs.writeFile(path.join(this.snippetsDir, snippetName), html);
+      return snippetName;
+    } catch (error) {
+      console.log(`⚠️  Could not save snippet ${index}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save the stylesheets the current page uses. Files are named by a hash of
+   * their content, so pages sharing a theme share one file.
+   * @returns {Promise<string|null>} Stylesheet file name, or null when the styles couldn't be read
+   */
+  async saveStylesheets() {
+    try {
+      const css = await this.page.evaluate(readStylesheets);
+      const hash = crypto
+        .createHash("sha1")
+        .update(css)
+        .digest("hex")
+        .slice(0, 12);
+      const stylesName = `styles_${hash}.css`;
+      const stylesFile = path.join(this.snippetsDir, stylesName);
+      if (!(await fs.pathExists(stylesFile))) {
+        await fs.writeFile(stylesFile, css);
+      }
+      return stylesName;
+    } catch (error) {
+      console.log(`⚠️  Could not save stylesheets: ${error.message}`);
+      return null;
+    }
+  }
+
   async takeScreenshots() {
     const maxScreenshots = 50; // Limit to prevent overwhelming
     const screenshotCount = Math.min(this.variations.length, maxScreenshots);
@@ -379,7 +634,7 @@ class ElementScraper {
 
       try {
         const timestamp = Date.now();
-        const screenshotName = `element_${i}_${timestamp}.png`;
+        const screenshotName = `${this.screenshotPrefix}_${i}_${this.viewport.name}_${timestamp}${this.captureExtension}`;
         const screenshotPath = path.join(this.screenshotsDir, screenshotName);
 
         // Find the element again and take screenshot with improved handling
@@ -393,6 +648,7 @@ class ElementScraper {
         const isVisible = await element
           .isVisible({ timeout: 5000 })
           .catch(() => false);
+        variation.visible = isVisible;
 
         if (isVisible) {
           // Get element dimensions first to check if we need special handling
@@ -418,34 +674,7 @@ class ElementScraper {
           }
 
           // Quick cleanup of any new floating elements that might have appeared
-          await this.page.evaluate(() => {
-            // Specifically hide site headers that might be sticky/fixed
-            const headers = document.querySelectorAll(
-              'header, .site-header, #site-header, [class*="site-header"], [class*="header"]'
-            );
-            headers.forEach((header) => {
-              const style = window.getComputedStyle(header);
-              if (style.position === "fixed" || style.position === "sticky") {
-                console.log("Hiding header element for screenshot");
-                header.style.visibility = "hidden";
-              }
-            });
-
-            // Also hide other high z-index fixed elements
-            const floatingElements = document.querySelectorAll(
-              '[style*="position: fixed"]'
-            );
-            floatingElements.forEach((el) => {
-              const style = window.getComputedStyle(el);
-              if (
-                style.position === "fixed" &&
-                parseInt(style.zIndex) > 1000 &&
-                !el.closest(".entry-content, .main-content, .content, main")
-              ) {
-                el.style.visibility = "hidden";
-              }
-            });
-          });
+          await this.hideOverlays();
 
           // Wait a moment for any animations or layout changes
           await this.page.waitForTimeout(500);
@@ -501,7 +730,7 @@ class ElementScraper {
                   path: screenshotPath,
                   timeout: 15000,
                   clip: clipRegion,
-                  type: "png",
+                  ...this.captureOptions,
                   animations: "disabled",
                 });
               } catch (clipError) {
@@ -534,7 +763,7 @@ class ElementScraper {
                       path: screenshotPath,
                       timeout: 15000,
                       clip: conservativeClip,
-                      type: "png",
+                      ...this.captureOptions,
                       animations: "disabled",
                     });
                     console.log(
@@ -638,7 +867,7 @@ class ElementScraper {
                         if (
                           scrolledBounds &&
                           scrolledBounds.y >= 0 &&
-                          scrolledBounds.y < 768
+                          scrolledBounds.y < this.viewport.height
                         ) {
                           await this.page.screenshot({
                             path: screenshotPath,
@@ -649,7 +878,7 @@ class ElementScraper {
                               width: Math.ceil(scrolledBounds.width),
                               height: Math.ceil(scrolledBounds.height),
                             },
-                            type: "png",
+                            ...this.captureOptions,
                             animations: "disabled",
                           });
                           console.log(
@@ -661,7 +890,7 @@ class ElementScraper {
                             path: screenshotPath,
                             timeout: 15000,
                             animations: "disabled",
-                            type: "png",
+                            ...this.captureOptions,
                           });
                         }
                       } else {
@@ -670,7 +899,7 @@ class ElementScraper {
                           path: screenshotPath,
                           timeout: 15000,
                           animations: "disabled",
-                          type: "png",
+                          ...this.captureOptions,
                         });
                       }
                     } catch (contentError) {
@@ -682,7 +911,7 @@ class ElementScraper {
                         path: screenshotPath,
                         timeout: 15000,
                         animations: "disabled",
-                        type: "png",
+                        ...this.captureOptions,
                       });
                     }
                   }
@@ -693,7 +922,7 @@ class ElementScraper {
                       path: screenshotPath,
                       timeout: 15000,
                       animations: "disabled",
-                      type: "png",
+                      ...this.captureOptions,
                     });
                   } catch (elementError) {
                     console.log(
@@ -712,7 +941,7 @@ class ElementScraper {
                 path: screenshotPath,
                 timeout: 15000,
                 animations: "disabled",
-                type: "png",
+                ...this.captureOptions,
               });
             }
           } else {
@@ -724,12 +953,22 @@ class ElementScraper {
               path: screenshotPath,
               timeout: 15000,
               animations: "disabled",
-              type: "png",
+              ...this.captureOptions,
             });
           }
 
           variation.screenshotPath = screenshotName;
           console.log(`Screenshot saved: ${screenshotName}`);
+
+          if (
+            this.interactionStates.length > 0 &&
+            this.viewport === this.viewports[0]
+          ) {
+            variation.states = await this.captureInteractionStates(
+              i,
+              element
+            );
+          }
         } else {
           console.log(
             `Skipping screenshot for variation ${i}: element not visible`
@@ -745,86 +984,358 @@ class ElementScraper {
   }
 
   /**
-   * Generate HTML report for sitemap scraping with page grouping
+   * Screenshot a variation in each configured interaction state, first on
+   * the element itself, then on its first visible interactive descendants.
+   * States that look the same as the resting element are not kept.
+   * @param {number} i - Index of the variation, used in file names
+   * @param {Locator} element - The variation's element
+   * @returns {Promise<Array<Object>>} Captures ({ state, target, screenshotPath })
    */
-  async generateSitemapReport(scrapedUrls, failedUrls) {
-    const reportPath = path.join(
-      this.outputDir,
-      "sitemap_variations_report.html"
+  async captureInteractionStates(i, element) {
+    const captures = [];
+    const box = await element.boundingBox();
+    const pageViewport = this.page.viewportSize();
+    if (!box) return captures;
+
+    // Same framing as the resting screenshot, limited to what's on screen
+    const padding = 10;
+    const x = Math.max(0, Math.floor(box.x - padding));
+    const y = Math.max(0, Math.floor(box.y - padding));
+    const clip = {
+      x,
+      y,
+      width: Math.min(
+        Math.ceil(box.width + padding * 2),
+        pageViewport.width - x
+      ),
+      height: Math.min(
+        Math.ceil(box.height + padding * 2),
+        pageViewport.height - y
+      ),
+    };
+    if (clip.width <= 10 || clip.height <= 10) return captures;
+
+    const resting = await this.page.screenshot({
+      clip,
+      animations: "disabled",
+      ...this.captureOptions,
+    });
+
+    const targets = [{ locator: element, name: "element" }];
+    const descendants = element.locator(INTERACTIVE_SELECTOR);
+    const descendantCount = await descendants.count();
+    for (
+      let d = 0;
+      d < descendantCount && targets.length <= MAX_STATE_TARGETS;
+      d++
+    ) {
+      const locator = descendants.nth(d);
+      const targetBox = await locator.boundingBox();
+      // Skip descendants outside the captured area, putting them in a
+      // state would scroll the page
+      if (
+        !targetBox ||
+        targetBox.x < clip.x ||
+        targetBox.y < clip.y ||
+        targetBox.y + targetBox.height > clip.y + clip.height
+      ) {
+        continue;
+      }
+      const name = await locator.evaluate((el) => {
+        const classes = [...el.classList]
+          .slice(0, 2)
+          .map((cls) => `.${cls}`)
+          .join("");
+        return `${el.tagName.toLowerCase()}${classes}`;
+      });
+      targets.push({ locator, name });
+    }
+
+    for (const [targetIndex, target] of targets.entries()) {
+      for (const state of this.interactionStates) {
+        try {
+          if (state === "hover") {
+            await target.locator.hover({ timeout: 5000 });
+          } else if (state === "focus") {
+            // After a key press Chrome treats focus as keyboard focus, so
+            // :focus-visible styles apply
+            await this.page.keyboard.press("Shift");
+            await target.locator.focus({ timeout: 5000 });
+          } else if (state === "active") {
+            const targetBox = await target.locator.boundingBox();
+            await this.page.mouse.move(
+              targetBox.x + targetBox.width / 2,
+              targetBox.y + targetBox.height / 2
+            );
+            await this.page.mouse.down();
+          }
+
+          const screenshot = await this.page.screenshot({
+            clip,
+            animations: "disabled",
+            ...this.captureOptions,
+          });
+          if (!screenshot.equals(resting)) {
+            const screenshotName = `${this.screenshotPrefix}_${i}_${
+              this.viewport.name
+            }_${state}${targetIndex}_${Date.now()}${this.captureExtension}`;
+            await fs.writeFile(
+              path.join(this.screenshotsDir, screenshotName),
+              screenshot
+            );
+            captures.push({
+              state,
+              target: target.name,
+              screenshotPath: screenshotName,
+            });
+          }
+        } catch (error) {
+          console.log(
+            `⚠️  Could not capture ${state} state of element ${i}: ${error.message}`
+          );
+        } finally {
+          // Release the mouse where it was pressed, so the click it fires
+          // lands on the element (and is cancelled) rather than on a common
+          // ancestor, then move it away
+          if (state === "active") {
+            await this.page.evaluate(() => {
+              window.__elementScraperCancelClick = (event) => {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+              };
+              window.addEventListener(
+                "click",
+                window.__elementScraperCancelClick,
+                true
+              );
+            });
+            await this.page.mouse.up();
+            await this.page.evaluate(() => {
+              window.removeEventListener(
+                "click",
+                window.__elementScraperCancelClick,
+                true
+              );
+              delete window.__elementScraperCancelClick;
+            });
+          }
+          await this.page.mouse.move(0, 0);
+          await this.page.evaluate(() => document.activeElement?.blur());
+        }
+      }
+    }
+
+    console.log(
+      `Captured ${captures.length} interaction state${
+        captures.length !== 1 ? "s" : ""
+      } for element ${i}`
     );
+    return captures;
+  }
 
-    // Helper function to escape HTML
-    const escapeHtml = (text) => {
-      if (!text) return "";
-      return text
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#39;");
-    };
+  /**
+   * Find and screenshot variations at every configured viewport. Results are
+   * merged so each variation lists its capture per breakpoint in
+   * `viewports`, with a status of "visible", "hidden" or "missing".
+   * Top-level fields come from the first viewport the element was found at.
+   * @param {string} selector - CSS selector for elements to scrape
+   * @param {string} variationClassPrefix - Class prefix to filter variations
+   * @returns {Promise<Array<Object>>} Merged variations (also stored in this.variations)
+   */
+  async captureVariations(selector, variationClassPrefix = "") {
+    const merged = new Map();
+    const isMultiViewport = this.viewports.length > 1;
 
-    // Helper function to get the primary block type from classes
-    const getBlockType = (classNames) => {
-      const blockClass = classNames.find(
-        (cls) => cls.startsWith("wp-block-") && !cls.includes("__")
-      );
-      return blockClass || "other";
+    for (const viewport of this.viewports) {
+      this.viewport = viewport;
+
+      if (isMultiViewport) {
+        console.log(
+          `📱 Capturing at ${viewport.name} (${viewport.width}x${viewport.height})`
+        );
+      }
+
+      await this.page.setViewportSize({
+        width: viewport.width,
+        height: viewport.height,
+      });
+
+      if (isMultiViewport) {
+        // Give responsive layouts a moment to settle after the resize
+        await this.page.waitForTimeout(1000);
+      }
+
+      await this.findElementVariations(selector, variationClassPrefix);
+      await this.takeScreenshots();
+
+      for (const variation of this.variations) {
+        // Element indexes are stable across sizes since resizing doesn't
+        // change the DOM. With a single viewport there is nothing to merge.
+        const key = isMultiViewport ? variation.index : merged.size;
+        const { visible, ...record } = variation;
+
+        if (!merged.has(key)) {
+          merged.set(key, { ...record, viewports: {} });
+        }
+
+        merged.get(key).viewports[viewport.name] = {
+          width: viewport.width,
+          height: viewport.height,
+          status: visible === false ? "hidden" : "visible",
+          screenshotPath: variation.screenshotPath,
+          boundingBox: variation.boundingBox,
+        };
+      }
+    }
+
+    // Note breakpoints where the element wasn't found at all
+    for (const variation of merged.values()) {
+      for (const viewport of this.viewports) {
+        if (!variation.viewports[viewport.name]) {
+          variation.viewports[viewport.name] = {
+            width: viewport.width,
+            height: viewport.height,
+            status: "missing",
+            screenshotPath: null,
+            boundingBox: null,
+          };
+        }
+      }
+    }
+
+    // Leave the page at the primary viewport for whatever runs next
+    if (isMultiViewport) {
+      this.viewport = this.viewports[0];
+      await this.page.setViewportSize({
+        width: this.viewport.width,
+        height: this.viewport.height,
+      });
+    }
+
+    this.variations = [...merged.values()];
+    await this.processScreenshots(this.variations);
+    return this.variations;
+  }
+
+  /**
+   * Convert the screenshots of variations to the configured format, scale
+   * down those above the pixel limit and write their thumbnails. Updates
+   * `screenshotPath` and sets `thumbnailPath` on every capture.
+   * @param {Array<Object>} variations - Variations from captureVariations()
+   */
+  async processScreenshots(variations) {
+    if (!this.imageTools) return;
+
+    const { format, quality, maxPixels, thumbnailWidth } =
+      this.screenshotSettings;
+    const extension = FILE_EXTENSIONS[format];
+    const processed = new Map(); // Captured file name → processed capture fields
+
+    const processFile = async (fileName) => {
+      const screenshotPath = fileName.replace(/\.[^.]+$/, extension);
+      const thumbnailPath =
+        thumbnailWidth > 0 ? getThumbnailName(screenshotPath) : null;
+      const inputPath = path.join(this.screenshotsDir, fileName);
+
+      try {
+        const result = await this.imageTools.process(inputPath, {
+          outputPath: path.join(this.screenshotsDir, screenshotPath),
+          quality,
+          maxPixels,
+          thumbnailPath:
+            thumbnailPath && path.join(this.screenshotsDir, thumbnailPath),
+          thumbnailWidth,
+        });
+        if (screenshotPath !== fileName) await fs.remove(inputPath);
+        if (result.width < result.originalWidth) {
+          console.log(
+            `Scaled ${screenshotPath} down from ${result.originalWidth}x${result.originalHeight} to ${result.width}x${result.height}`
+          );
+        }
+        return { screenshotPath, thumbnailPath };
+      } catch (error) {
+        console.log(
+          `⚠️  Could not process screenshot ${fileName}: ${error.message}`
+        );
+        return { screenshotPath: fileName, thumbnailPath: null };
+      }
     };
 
-    // Group variations by page URL first, then by block type
-    const pageGroups = {};
-    this.variations.forEach((variation) => {
-      const pageUrl = variation.pageUrl || "unknown";
-      if (!pageGroups[pageUrl]) {
-        pageGroups[pageUrl] = {};
+    // The top-level capture is also one of the viewport captures
+    const update = async (capture) => {
+      if (!capture.screenshotPath) return;
+      if (!processed.has(capture.screenshotPath)) {
+        processed.set(
+          capture.screenshotPath,
+          await processFile(capture.screenshotPath)
+        );
       }
+      Object.assign(capture, processed.get(capture.screenshotPath));
+    };
 
-      const blockType = getBlockType(variation.classNames);
-      if (!pageGroups[pageUrl][blockType]) {
-        pageGroups[pageUrl][blockType] = [];
+    for (const variation of variations) {
+      await update(variation);
+      for (const capture of Object.values(variation.viewports || {})) {
+        await update(capture);
       }
+      for (const capture of variation.states || []) {
+        await update(capture);
+      }
+    }
+  }
 
-      pageGroups[pageUrl][blockType].push(variation);
-    });
+  /**
+   * Generate HTML report for sitemap scraping with page grouping
+   * @param {Array<string>} crawledUrls - Every page the crawl processed, including those found by following links
+   * @param {Array<Object>} failedUrls - URLs that failed ({ url, error })
+   * @param {Object} crawlInfo - Extra crawl details
+   * @param {Array<string>} crawlInfo.cachedUrls - Pages reused from the incremental cache
+   * @param {Array<Object>} crawlInfo.blockedUrls - URLs skipped because of robots.txt ({ url, reason })
+   * @param {Object} crawlInfo.removedOverlays - Overlays removed before capture, by page URL
+   * @param {Object} crawlInfo.crawlGraph - Crawl graph from CrawlGraph.toJSON(), for page depths and referrers
+   */
+  async generateSitemapReport(crawledUrls, failedUrls, crawlInfo = {}) {
+    const {
+      cachedUrls = [],
+      blockedUrls = [],
+      removedOverlays = {},
+      crawlGraph = { nodes: [] },
+    } = crawlInfo;
+    const crawlNodes = new Map(
+      crawlGraph.nodes.map((node) => [node.url, node])
+    );
+    const reportPath = path.join(
+      this.outputDir,
+      "sitemap_variations_report.html"
+    );
+
+    // Group variations by page URL first, then by block type
+    const pageGroups = groupVariationsByPage(this.variations);
+    const styleVariantClasses = findStyleVariantClasses(this.variations);
 
     // Generate variation HTML
     const generateVariationHtml = (variation, groupIndex, totalInGroup) => {
-      const screenshotHtml = variation.screenshotPath
-        ? `<img src="screenshots/${escapeHtml(variation.screenshotPath)}" 
-                 alt="Screenshot of ${getBlockType(
-                   variation.classNames
-                 )} variation ${groupIndex + 1}" 
-                 class="screenshot">`
-        : "<p>No screenshot available</p>";
+      const screenshotHtml =
+        renderViewportCaptures(variation) ||
+        (variation.screenshotPath
+          ? renderScreenshot(
+              variation,
+              `Screenshot of ${getBlockType(variation.classNames)} variation ${
+                groupIndex + 1
+              }`
+            )
+          : "<p>No screenshot available</p>");
+      const statesHtml = renderStateCaptures(variation);
+      const snippetHtml = renderSnippetLinks(
+        variation,
+        variation.globalIndex ?? variation.originalIndex
+      );
 
       const classTagsHtml = variation.classNames
         .map((cls) => `<span class="class-tag">${escapeHtml(cls)}</span>`)
         .join("");
 
-      // Create URL with anchor if available
-      let sourceUrl = variation.pageUrl;
-      if (sourceUrl && variation.anchorInfo) {
-        let anchorId = null;
-
-        if (variation.anchorInfo.elementId) {
-          anchorId = variation.anchorInfo.elementId;
-        } else if (
-          variation.anchorInfo.headingIds &&
-          variation.anchorInfo.headingIds.length > 0
-        ) {
-          anchorId = variation.anchorInfo.headingIds[0];
-        } else if (
-          variation.anchorInfo.otherIds &&
-          variation.anchorInfo.otherIds.length > 0
-        ) {
-          anchorId = variation.anchorInfo.otherIds[0];
-        }
-
-        if (anchorId) {
-          sourceUrl += `#${anchorId}`;
-        }
-      }
+      const sourceUrl = getSourceUrl(variation, variation.pageUrl);
 
       const urlLinkHtml = sourceUrl
         ? `<p><strong>Source:</strong> <a href="${escapeHtml(
@@ -833,19 +1344,30 @@ class ElementScraper {
         : "";
 
       return `
-      <div class="variation">
-          <h5>Variation ${groupIndex + 1} of ${totalInGroup}</h5>
+      <div class="variation" id="variation-${
+        variation.globalIndex
+      }" ${renderFilterAttributes(variation, variation.pageUrl)}>
+          <h5>Variation ${groupIndex + 1} of ${totalInGroup}${
+            styleVariantClasses.has(variation.classNames.join(" "))
+              ? ' <span class="style-variant-badge" title="Another variation with the same classes has different computed styles">Renders differently</span>'
+              : ""
+          }</h5>
           ${screenshotHtml}
+          ${snippetHtml}
+          ${statesHtml}
           <div class="metadata">
               <p><strong>Selector:</strong> <code>${escapeHtml(
                 variation.selector
               )}</code></p>
               <p><strong>Tag Name:</strong> ${escapeHtml(variation.tagName)}</p>
               <p><strong>Classes:</strong></p>
+              ${renderModifierFacets(variation.modifiers)}
               <div class="class-list">
                   ${classTagsHtml}
               </div>
               ${urlLinkHtml}
+              ${renderAccessibilityBadges(variation.accessibility)}
+              ${renderComputedStyles(variation.computedStyles)}
           </div>
       </div>`;
     };
@@ -861,6 +1383,21 @@ class ElementScraper {
           0
         );
 
+        // How the crawl reached this page
+        const crawlNode = crawlNodes.get(pageUrl);
+        let crawlPathHtml = "";
+        if (crawlNode) {
+          crawlPathHtml = `<span class="page-depth">Depth ${crawlNode.depth}${
+            crawlNode.parent
+              ? ` · linked from <a href="${escapeHtml(
+                  crawlNode.parent
+                )}" target="_blank">${escapeHtml(
+                  crawlNode.parent.replace(/^https?:\/\/[^/]+/, "") || "/"
+                )}</a>`
+              : ""
+          }</span>`;
+        }
+
         const blockTypesHtml = Object.entries(blockTypes)
           .sort(([a], [b]) => a.localeCompare(b))
           .map(([blockType, variations]) => {
@@ -868,11 +1405,10 @@ class ElementScraper {
               .replace("wp-block-", "")
               .replace(/-/g, " ")
               .replace(/\b\w/g, (l) => l.toUpperCase());
-            const variationsHtml = variations
-              .map((variation, index) =>
-                generateVariationHtml(variation, index, variations.length)
-              )
-              .join("");
+            const variationsHtml = renderByStyleVariation(
+              variations,
+              generateVariationHtml
+            );
 
             return `
             <div class="block-type-group">
@@ -895,7 +1431,9 @@ class ElementScraper {
                 <span class="page-stats">(${totalPageVariations} variation${
           totalPageVariations !== 1 ? "s" : ""
         })</span>
+                ${crawlPathHtml}
             </h3>
+            ${renderRemovedOverlays(removedOverlays[pageUrl])}
             <div class="page-content">
                 ${blockTypesHtml}
             </div>
@@ -927,6 +1465,29 @@ class ElementScraper {
     `
         : "";
 
+    const blockedUrlsHtml =
+      blockedUrls.length > 0
+        ? `
+        <div class="blocked-urls">
+            <h2>Blocked by robots.txt</h2>
+            <div class="failed-list">
+                ${blockedUrls
+                  .map(
+                    ({ url, reason }) => `
+                    <div class="failed-item">
+                        <strong>${escapeHtml(url)}</strong><br>
+                        <span class="blocked-reason">${escapeHtml(
+                          reason
+                        )}</span>
+                    </div>
+                `
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `
+        : "";
+
     const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -983,6 +1544,13 @@ class ElementScraper {
             color: #666;
             font-size: 0.9em;
         }
+        .page-depth {
+            display: block;
+            font-weight: normal;
+            color: #718096;
+            font-size: 0.7em;
+            margin-top: 4px;
+        }
         .block-type-group {
             margin: 20px 0;
             border: 1px solid #e0e0e0;
@@ -1066,6 +1634,29 @@ class ElementScraper {
             color: #e53e3e;
             font-size: 12px;
         }
+        .blocked-urls {
+            margin: 30px 0;
+            padding: 20px;
+            background-color: #fffaf0;
+            border: 1px solid #feebc8;
+            border-radius: 8px;
+        }
+        .blocked-urls h2 {
+            color: #c05621;
+            margin: 0 0 15px 0;
+        }
+        .blocked-reason {
+            color: #718096;
+            font-size: 12px;
+        }
+        ${VIEWPORT_STRIP_CSS}
+        ${STATE_STRIP_CSS}
+        ${SNIPPET_LINKS_CSS}
+        ${MODIFIERS_CSS}
+        ${REPORT_FILTERS_CSS}
+        ${REMOVED_OVERLAYS_CSS}
+        ${COMPUTED_STYLES_CSS}
+        ${ACCESSIBILITY_CSS}
     </style>
 </head>
 <body>
@@ -1078,19 +1669,41 @@ class ElementScraper {
               this.variations.length
             }</p>
             <p><strong>Pages Scraped:</strong> ${
-              scrapedUrls.length - failedUrls.length
-            }/${scrapedUrls.length}</p>
+              crawledUrls.length - failedUrls.length
+            }/${crawledUrls.length}</p>
             <p><strong>Block Types:</strong> ${
               new Set(this.variations.map((v) => getBlockType(v.classNames)))
                 .size
-            }</p>
+            } (<a href="block_inventory.html">inventory</a> · <a href="block_inventory.csv">CSV</a>)</p>
+            <p><strong>Design Tokens:</strong> <a href="design_tokens.html">colors, fonts and spacing used</a></p>
+            ${
+              cachedUrls.length > 0
+                ? `<p><strong>Reused From Cache:</strong> ${cachedUrls.length} unchanged page${
+                    cachedUrls.length !== 1 ? "s" : ""
+                  }</p>`
+                : ""
+            }
+            ${
+              blockedUrls.length > 0
+                ? `<p><strong>Blocked by robots.txt:</strong> ${blockedUrls.length}</p>`
+                : ""
+            }
             <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
         </div>
 
+        ${renderModifierSummary(this.variations)}
+
+        ${renderAccessibilitySummary(this.variations)}
+
+        ${renderReportFilters(this.variations, Object.keys(pageGroups))}
+
         ${pageGroupsHtml}
         
         ${failedUrlsHtml}
+
+        ${blockedUrlsHtml}
     </div>
+    ${REPORT_FILTERS_SCRIPT}
 </body>
 </html>`;
 
@@ -1099,6 +1712,121 @@ class ElementScraper {
     return reportPath;
   }
 
+  /**
+   * Write the block type × page usage matrix of a crawl as CSV and HTML
+   * @returns {Promise<Object>} { csvPath, htmlPath }
+   */
+  async generateBlockInventory() {
+    return new BlockInventory(this.variations).write(this.outputDir);
+  }
+
+  /**
+   * Write the colors, font stacks, font sizes and spacing used by the
+   * computed styles of a crawl as JSON and HTML
+   * @returns {Promise<Object>} { jsonPath, htmlPath }
+   */
+  async generateDesignTokens() {
+    return new DesignTokens(this.variations).write(
+      this.outputDir,
+      "sitemap_variations_report.html"
+    );
+  }
+
+  /**
+   * Write the component sandbox pages rendering each block type's snippets
+   * @returns {Promise<string|null>} Path to the sandbox index, or null when no snippets were saved
+   */
+  async generateSandbox() {
+    return writeSandbox(this.variations, {
+      outputDir: this.outputDir,
+      snippetsDir: this.snippetsDir,
+    });
+  }
+
+  /**
+   * Write a Storybook project with a story per captured variation, rendering
+   * its snippet with its page's stylesheets
+   * @returns {Promise<Object|null>} { storybookDir, storyCount }, or null when no snippets were saved
+   */
+  async generateStorybook() {
+    return new StorybookProject(this.variations, {
+      snippetsDir: this.snippetsDir,
+    }).write(this.outputDir);
+  }
+
+  /**
+   * Write the report as Markdown next to the HTML report, with screenshots
+   * and snippets linked relative to the output directory
+   * @param {Object} runInfo - { mode, scrapedUrls, crawledUrls, failedUrls, blockedUrls }
+   * @returns {Promise<string>} Path to the Markdown report
+   */
+  async generateMarkdownReport(runInfo) {
+    const markdownPath = path.join(
+      this.outputDir,
+      runInfo.mode === "sitemap"
+        ? "sitemap_variations_report.md"
+        : "variations_report.md"
+    );
+    const markdown = renderMarkdownReport(this.variations, {
+      ...runInfo,
+      url: this.currentUrl,
+      dirs: {
+        screenshots: path
+          .relative(this.outputDir, this.screenshotsDir)
+          .split(path.sep)
+          .join("/"),
+        snippets: path
+          .relative(this.outputDir, this.snippetsDir)
+          .split(path.sep)
+          .join("/"),
+      },
+    });
+
+    await fs.writeFile(markdownPath, markdown);
+    console.log(`Markdown report generated: ${markdownPath}`);
+    return markdownPath;
+  }
+
+  /**
+   * Print an HTML report to PDF with the running browser. Chromium only
+   * prints headless, so headed runs and rebuilds from variations.json use a
+   * short-lived headless browser instead.
+   * @param {string} reportPath - HTML report from generateReport() or generateSitemapReport()
+   * @returns {Promise<string>} Path to the PDF report
+   */
+  async generatePdfReport(reportPath) {
+    const pdfPath = reportPath.replace(/\.html$/, ".pdf");
+    const reuseBrowser = this.browser && this.browserHeadless;
+    const browser = reuseBrowser
+      ? this.browser
+      : await chromium.launch({ headless: true });
+
+    try {
+      await writePdfReport(browser, reportPath, pdfPath);
+    } finally {
+      if (!reuseBrowser) await browser.close();
+    }
+    console.log(`PDF report generated: ${pdfPath}`);
+    return pdfPath;
+  }
+
+  /**
+   * Write the extra report formats from the `reportFormats` option
+   * @param {string} reportPath - HTML report the formats are written next to
+   * @param {Object} runInfo - { mode, scrapedUrls, failedUrls, blockedUrls }
+   * @returns {Promise<Object>} { markdownPath, pdfPath }, null for formats that weren't requested
+   */
+  async generateReportFormats(reportPath, runInfo) {
+    return {
+      markdownPath: this.reportFormats.includes("markdown")
+        ? await this.generateMarkdownReport(runInfo)
+        : null,
+      pdfPath: this.reportFormats.includes("pdf")
+        ? await this.generatePdfReport(reportPath)
+        : null,
+    };
+  }
+
   async generateReport() {
     const reportPath = path.join(this.outputDir, "variations_report.html");
 
@@ -1131,45 +1859,31 @@ class ElementScraper {
       }
       groupedVariations[blockType].push({ ...variation, originalIndex: index });
     });
+    const styleVariantClasses = findStyleVariantClasses(this.variations);
 
     // Generate HTML for each group
     const generateVariationHtml = (variation, groupIndex, totalInGroup) => {
-      const screenshotHtml = variation.screenshotPath
-        ? `<img src="screenshots/${escapeHtml(variation.screenshotPath)}" 
-                 alt="Screenshot of ${getBlockType(
-                   variation.classNames
-                 )} variation ${groupIndex + 1}" 
-                 class="screenshot">`
-        : "<p>No screenshot available</p>";
+      const screenshotHtml =
+        renderViewportCaptures(variation) ||
+        (variation.screenshotPath
+          ? renderScreenshot(
+              variation,
+              `Screenshot of ${getBlockType(variation.classNames)} variation ${
+                groupIndex + 1
+              }`
+            )
+          : "<p>No screenshot available</p>");
+      const statesHtml = renderStateCaptures(variation);
+      const snippetHtml = renderSnippetLinks(
+        variation,
+        variation.globalIndex ?? variation.originalIndex
+      );
 
       const classTagsHtml = variation.classNames
         .map((cls) => `<span class="class-tag">${escapeHtml(cls)}</span>`)
         .join("");
 
-      // Create URL with anchor if available
-      let sourceUrl = this.currentUrl;
-      if (sourceUrl && variation.anchorInfo) {
-        // Priority order: element ID > heading IDs > other IDs
-        let anchorId = null;
-
-        if (variation.anchorInfo.elementId) {
-          anchorId = variation.anchorInfo.elementId;
-        } else if (
-          variation.anchorInfo.headingIds &&
-          variation.anchorInfo.headingIds.length > 0
-        ) {
-          anchorId = variation.anchorInfo.headingIds[0]; // Use first heading ID
-        } else if (
-          variation.anchorInfo.otherIds &&
-          variation.anchorInfo.otherIds.length > 0
-        ) {
-          anchorId = variation.anchorInfo.otherIds[0]; // Use first other ID
-        }
-
-        if (anchorId) {
-          sourceUrl += `#${anchorId}`;
-        }
-      }
+      const sourceUrl = getSourceUrl(variation, this.currentUrl);
 
       const urlLinkHtml = sourceUrl
         ? `<p><strong>Source:</strong> <a href="${escapeHtml(
@@ -1178,19 +1892,30 @@ class ElementScraper {
         : "";
 
       return `
-      <div class="variation">
-          <h4>Variation ${groupIndex + 1} of ${totalInGroup}</h4>
+      <div class="variation" id="variation-${
+        variation.globalIndex ?? variation.originalIndex
+      }" ${renderFilterAttributes(variation, this.currentUrl)}>
+          <h4>Variation ${groupIndex + 1} of ${totalInGroup}${
+            styleVariantClasses.has(variation.classNames.join(" "))
+              ? ' <span class="style-variant-badge" title="Another variation with the same classes has different computed styles">Renders differently</span>'
+              : ""
+          }</h4>
           ${screenshotHtml}
+          ${snippetHtml}
+          ${statesHtml}
           <div class="metadata">
               <p><strong>Selector:</strong> <code>${escapeHtml(
                 variation.selector
               )}</code></p>
               <p><strong>Tag Name:</strong> ${escapeHtml(variation.tagName)}</p>
               <p><strong>Classes:</strong></p>
+              ${renderModifierFacets(variation.modifiers)}
               <div class="class-list">
                   ${classTagsHtml}
               </div>
               ${urlLinkHtml}
+              ${renderAccessibilityBadges(variation.accessibility)}
+              ${renderComputedStyles(variation.computedStyles)}
           </div>
       </div>`;
     };
@@ -1203,11 +1928,10 @@ class ElementScraper {
           .replace("wp-block-", "")
           .replace(/-/g, " ")
           .replace(/\b\w/g, (l) => l.toUpperCase());
-        const variationsHtml = variations
-          .map((variation, index) =>
-            generateVariationHtml(variation, index, variations.length)
-          )
-          .join("");
+        const variationsHtml = renderByStyleVariation(
+          variations,
+          generateVariationHtml
+        );
 
         return `
         <div class="block-group">
@@ -1315,6 +2039,14 @@ class ElementScraper {
         .summary h2 {
             margin-top: 0;
         }
+        ${VIEWPORT_STRIP_CSS}
+        ${STATE_STRIP_CSS}
+        ${SNIPPET_LINKS_CSS}
+        ${MODIFIERS_CSS}
+        ${REPORT_FILTERS_CSS}
+        ${REMOVED_OVERLAYS_CSS}
+        ${COMPUTED_STYLES_CSS}
+        ${ACCESSIBILITY_CSS}
     </style>
 </head>
 <body>
@@ -1330,10 +2062,18 @@ class ElementScraper {
               Object.keys(groupedVariations).length
             }</p>
             <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            ${renderRemovedOverlays(this.removedOverlays)}
         </div>
 
+        ${renderModifierSummary(this.variations)}
+
+        ${renderAccessibilitySummary(this.variations)}
+
+        ${renderReportFilters(this.variations)}
+
         ${groupedHtml}
     </div>
+    ${REPORT_FILTERS_SCRIPT}
 </body>
 </html>`;
 
@@ -1342,6 +2082,200 @@ class ElementScraper {
     return reportPath;
   }
 
+  /**
+   * Write the collected variations and run metadata to variations.json
+   * The file layout is described in schema/variations.schema.json
+   * @param {Object} runInfo - Metadata about the run being exported
+   * @param {string} runInfo.mode - "single" or "sitemap"
+   * @param {Object} runInfo.config - Config the run was started with
+   * @param {Date} runInfo.startedAt - When the run started
+   * @param {Array<string>} runInfo.scrapedUrls - URLs that were scheduled for scraping
+   * @param {Array<string>} runInfo.crawledUrls - Every page that was processed, including discovered links, in crawl order (default: scrapedUrls)
+   * @param {Array<Object>} runInfo.failedUrls - URLs that failed ({ url, error })
+   * @param {Array<string>} runInfo.cachedUrls - Pages reused from the incremental cache
+   * @param {Array<Object>} runInfo.blockedUrls - URLs skipped because of robots.txt ({ url, reason })
+   * @param {Object} runInfo.removedOverlays - Overlays removed before capture, by page URL
+   * @returns {Promise<string>} Path to the written JSON file
+   */
+  async generateJsonExport(runInfo) {
+    const {
+      mode,
+      config = {},
+      startedAt = new Date(),
+      scrapedUrls = [],
+      crawledUrls = scrapedUrls,
+      failedUrls = [],
+      cachedUrls = [],
+      blockedUrls = [],
+      removedOverlays = {},
+    } = runInfo;
+    const jsonPath = path.join(this.outputDir, "variations.json");
+    const finishedAt = new Date();
+
+    const blockTypes = new Set(
+      this.variations.map(
+        (variation) =>
+          variation.classNames.find(
+            (cls) => cls.startsWith("wp-block-") && !cls.includes("__")
+          ) || "other"
+      )
+    );
+
+    const data = {
+      schemaVersion: VARIATIONS_SCHEMA_VERSION,
+      generator: {
+        name: "element-scraper",
+        version: packageVersion,
+      },
+      run: {
+        mode,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        config,
+        viewport: this.viewports[0],
+        viewports: this.viewports,
+        screenshotsDir: path.relative(this.outputDir, this.screenshotsDir),
+        snippetsDir: path.relative(this.outputDir, this.snippetsDir),
+        screenshots: this.screenshotSettings,
+        scrapedUrls,
+        crawledUrls,
+        failedUrls,
+        cachedUrls,
+        blockedUrls,
+        removedOverlays,
+      },
+      stats: {
+        totalPages: crawledUrls.length,
+        successfulPages: crawledUrls.length - failedUrls.length,
+        totalVariations: this.variations.length,
+        blockTypes: blockTypes.size,
+      },
+      variations: this.variations.map((variation) => ({
+        index: variation.index,
+        selector: variation.selector,
+        actualSelector: variation.actualSelector,
+        tagName: variation.tagName,
+        classNames: variation.classNames,
+        modifiers: variation.modifiers ?? parseBlockClasses(variation.classNames),
+        textContent: variation.textContent,
+        boundingBox: variation.boundingBox,
+        anchorInfo: variation.anchorInfo,
+        computedStyles: variation.computedStyles || null,
+        accessibility: variation.accessibility || null,
+        states: variation.states || [],
+        pageUrl: variation.pageUrl || this.currentUrl,
+        pageIndex: variation.pageIndex ?? null,
+        globalIndex: variation.globalIndex ?? variation.index,
+        screenshotPath: variation.screenshotPath,
+        thumbnailPath: variation.thumbnailPath || null,
+        snippetPath: variation.snippetPath || null,
+        stylesPath: variation.stylesPath || null,
+        viewports: variation.viewports || {},
+      })),
+    };
+
+    await fs.writeJson(jsonPath, data, { spaces: 2 });
+    console.log(`JSON export generated: ${jsonPath}`);
+    return jsonPath;
+  }
+
+  /**
+   * Bring a variations.json written by an earlier version up to the current
+   * schemaVersion, so reports can be rebuilt from it
+   * @param {Object} data - Parsed variations.json
+   * @returns {Object} { run, variations } in the current layout
+   */
+  static migrateJsonExport(data) {
+    const { schemaVersion = 1 } = data;
+    let { run, variations } = data;
+
+    if (schemaVersion > VARIATIONS_SCHEMA_VERSION) {
+      throw new Error(
+        `variations.json has schemaVersion ${schemaVersion}, this version reads up to ${VARIATIONS_SCHEMA_VERSION}`
+      );
+    }
+
+    // Version 1 captured a single unnamed viewport
+    if (schemaVersion < 2) {
+      const viewport = { ...DEFAULT_VIEWPORT, ...run.viewport };
+      run = { ...run, viewport, viewports: [viewport] };
+      variations = variations.map((variation) => ({
+        ...variation,
+        viewports: {
+          [viewport.name]: {
+            width: viewport.width,
+            height: viewport.height,
+            status: "visible",
+            screenshotPath: variation.screenshotPath,
+            boundingBox: variation.boundingBox,
+          },
+        },
+      }));
+    }
+
+    return { run, variations };
+  }
+
+  /**
+   * Rebuild the HTML report of a previous run from its variations.json,
+   * without opening a browser. outputDir can be a run directory or a run
+   * archive, whose latest run is rebuilt.
+   * @returns {Promise<string>} Path to the regenerated report
+   */
+  async generateReportFromJson() {
+    // Given the archive root, rebuild its latest run
+    this.outputDir = await RunArchive.resolveRunDir(this.outputDir);
+    const jsonPath = path.join(this.outputDir, "variations.json");
+    if (!(await fs.pathExists(jsonPath))) {
+      throw new Error(`No variations.json found in ${this.outputDir}`);
+    }
+
+    const { run, variations } = ElementScraper.migrateJsonExport(
+      await fs.readJson(jsonPath)
+    );
+    // Files written before block modifiers were captured
+    this.variations = variations.map((variation) => ({
+      ...variation,
+      modifiers: variation.modifiers ?? parseBlockClasses(variation.classNames),
+    }));
+    this.viewports = run.viewports;
+    this.viewport = this.viewports[0];
+    this.currentUrl = run.config.url;
+    this.screenshotsDir = path.join(this.outputDir, run.screenshotsDir);
+    this.snippetsDir = path.join(this.outputDir, run.snippetsDir || "snippets");
+    const removedOverlays = run.removedOverlays || {};
+
+    if (run.mode === "sitemap") {
+      const crawlGraphPath = path.join(this.outputDir, "crawl-graph.json");
+      await this.generateBlockInventory();
+      await this.generateDesignTokens();
+      await this.generateSandbox();
+      await this.generateStorybook();
+      // Files written before crawledUrls was recorded list every page here
+      const reportPath = await this.generateSitemapReport(
+        run.crawledUrls || run.scrapedUrls,
+        run.failedUrls,
+        {
+          cachedUrls: run.cachedUrls,
+          blockedUrls: run.blockedUrls,
+          removedOverlays,
+          crawlGraph: (await fs.pathExists(crawlGraphPath))
+            ? await fs.readJson(crawlGraphPath)
+            : undefined,
+        }
+      );
+      await this.generateReportFormats(reportPath, run);
+      return reportPath;
+    }
+    this.removedOverlays = removedOverlays[this.currentUrl] || [];
+    await this.generateSandbox();
+    await this.generateStorybook();
+    const reportPath = await this.generateReport();
+    await this.generateReportFormats(reportPath, run);
+    return reportPath;
+  }
+
   /**
    * Scrape elements from multiple URLs found in a sitemap
    * @param {string} baseUrl - Base URL of the website (e.g., 'https://example.com')
@@ -1365,7 +2299,23 @@ class ElementScraper {
       manualUrls = null, // Optional manual URL list
       followLinks = true, // Whether to follow same-domain links
       maxDepth = 2, // Maximum crawl depth
+      concurrency = 1, // Number of isolated browser contexts crawling at once
+      perHostConcurrency = 2, // Max pages loading at once from the same host
+      checkpoint = true, // Save crawl progress after each page
+      resume = false, // Continue from the last checkpoint if there is one
+      incremental = false, // Reuse cached captures of pages whose sitemap lastmod is unchanged
+      cacheDir = path.join(this.rootDir, "cache"), // Where incremental captures are cached, shared by archived runs
+      respectRobots = true, // Skip URLs disallowed by robots.txt and honor its Crawl-delay
     } = options;
+    const { userAgent } = this;
+
+    let startedAt = new Date();
+    const crawl = { url: baseUrl, selector, variationClassPrefix };
+    const config = { url: baseUrl, selector, variationClassPrefix, options };
+    await this.startRun({ startedAt, resumeCrawl: resume ? crawl : null });
+    const crawlCheckpoint = new CrawlCheckpoint(
+      path.join(this.outputDir, "crawl-checkpoint.json")
+    );
 
     console.log(`🚀 Starting sitemap scraping for: ${baseUrl}`);
     console.log(`🎯 Selector: ${selector}`);
@@ -1375,28 +2325,109 @@ class ElementScraper {
     if (followLinks) {
       console.log(`🔗 Link following enabled (max depth: ${maxDepth})`);
     }
+    if (incremental) {
+      console.log(`♻️  Incremental mode: unchanged pages reuse cached captures`);
+    }
 
     try {
       let urls = [];
+      let lastmodByUrl = new Map(); // Sitemap lastmod of each URL, for incremental crawls
+      const savedState = resume ? await crawlCheckpoint.load(crawl) : null;
+      const blockedUrls = (savedState && savedState.blockedUrls) || []; // URLs skipped because of robots.txt
+
+      // robots.txt of each crawled host; discovered links stay on the base host
+      const robotsByHost = new Map();
+      const loadRobots = async (url) => {
+        const host = new URL(url).host;
+        if (respectRobots && !robotsByHost.has(host)) {
+          robotsByHost.set(host, await RobotsTxt.fetch(url, userAgent));
+        }
+      };
+      const isAllowedByRobots = (url) => {
+        const robots = robotsByHost.get(new URL(url).host);
+        const { allowed, reason } = robots
+          ? robots.check(url)
+          : { allowed: true, reason: null };
+
+        if (!allowed) {
+          console.log(`🚫 Skipping ${url}: ${reason}`);
+          if (!blockedUrls.some((blocked) => blocked.url === url)) {
+            blockedUrls.push({ url, reason });
+          }
+        }
+        return allowed;
+      };
+
+      await loadRobots(baseUrl);
+      const baseRobots = robotsByHost.get(new URL(baseUrl).host);
+
+      if (resume && !savedState) {
+        console.log(`ℹ️  No checkpoint to resume from, starting a new crawl`);
+      }
 
-      // Use manual URLs if provided, otherwise fetch from sitemap
-      if (manualUrls && Array.isArray(manualUrls)) {
+      // Resume with the checkpoint's URLs, else use manual URLs, else fetch from sitemap
+      if (savedState) {
+        console.log(
+          `♻️  Resuming crawl from checkpoint (${savedState.processedCount} pages done)`
+        );
+        urls = savedState.urls;
+        lastmodByUrl = new Map(savedState.lastmodByUrl);
+        startedAt = new Date(savedState.startedAt);
+      } else if (manualUrls && Array.isArray(manualUrls)) {
         console.log(`📋 Using ${manualUrls.length} manual URLs`);
         urls = manualUrls.slice(0, maxUrls);
+
+        // Manual URLs carry no lastmod, so look them up in the sitemap
+        if (incremental) {
+          const ScraperUtils = require("../utils.js");
+          try {
+            const entries = await ScraperUtils.fetchSitemapEntries(baseUrl, {
+              maxUrls: Infinity,
+              additionalSitemaps: baseRobots ? baseRobots.sitemaps : [],
+              userAgent,
+            });
+            lastmodByUrl = new Map(
+              entries.map((entry) => [entry.loc, entry.lastmod])
+            );
+          } catch (error) {
+            console.log(
+              `⚠️  No sitemap lastmod available, every page will be scraped: ${error.message}`
+            );
+          }
+        }
       } else {
         // Import ScraperUtils to use sitemap functionality
         const ScraperUtils = require("../utils.js");
 
-        // Fetch URLs from sitemap
-        urls = await ScraperUtils.fetchSitemapUrls(baseUrl, {
-          maxUrls,
+        // Fetch URLs (and their lastmod) from sitemap. The limit is applied
+        // after robots.txt filtering so blocked pages don't use up slots.
+        const entries = await ScraperUtils.fetchSitemapEntries(baseUrl, {
+          maxUrls: respectRobots ? Infinity : maxUrls,
           includePatterns,
           excludePatterns,
+          additionalSitemaps: baseRobots ? baseRobots.sitemaps : [],
+          userAgent,
         });
+        urls = entries.map((entry) => entry.loc);
+        lastmodByUrl = new Map(
+          entries.map((entry) => [entry.loc, entry.lastmod])
+        );
+      }
+
+      if (respectRobots) {
+        for (const url of urls) {
+          await loadRobots(url);
+        }
+        // Resumed crawls were filtered when they started
+        if (!savedState) {
+          urls = urls.filter((url) => isAllowedByRobots(url)).slice(0, maxUrls);
+        }
       }
 
       if (urls.length === 0) {
-        throw new Error("No URLs found in sitemap or after filtering");
+        throw new Error(
+          "No URLs found in sitemap or after filtering (including robots.txt)"
+        );
       }
 
       console.log(`📄 Will scrape ${urls.length} initial pages from sitemap\n`);
@@ -1405,125 +2436,358 @@ class ElementScraper {
       await this.initialize();
 
       // Store all variations from all pages
-      const allVariations = [];
-      const failedUrls = [];
-      const visitedUrls = new Set(); // Track visited URLs to avoid duplicates
-      const urlsToProcess = [...urls]; // Queue of URLs to process
-      let processedCount = 0;
+      const allVariations = savedState ? savedState.variations : [];
+      const failedUrls = savedState ? savedState.failedUrls : [];
+      const visitedUrls = new Set(savedState ? savedState.visitedUrls : []); // Track visited URLs to avoid duplicates
+      const urlQueue = savedState ? savedState.urlQueue : [...urls]; // Queue of URLs to process (append-only)
+      let queueIndex = savedState ? savedState.queueIndex : 0; // Next queue position to hand out
+      let processedCount = savedState ? savedState.processedCount : 0;
+      const cachedUrls = (savedState && savedState.cachedUrls) || []; // Pages reused from the incremental cache
+      const removedOverlays = (savedState && savedState.removedOverlays) || {}; // Overlays removed from each page
+      const pagesToCache = (savedState && savedState.pagesToCache) || []; // Freshly scraped pages to store in the cache
+      const queuedUrls = new Set(urlQueue); // Everything ever queued, so links are queued once
+
+      // Depth and referrer of every queued URL, plus the links between pages
+      const crawlGraph = savedState
+        ? CrawlGraph.fromJSON(savedState.crawlGraph)
+        : new CrawlGraph();
+      if (!savedState) {
+        urls.forEach((url) => crawlGraph.addNode(url, { depth: 0 }));
+        blockedUrls.forEach(({ url }) =>
+          crawlGraph.addNode(url, { depth: 0, status: "blocked" })
+        );
+      }
+
+      if (savedState) {
+        await this.removeUncommittedCaptures(processedCount);
+      }
+
+      const pageCache = new PageCache(cacheDir, {
+        selector,
+        variationClassPrefix,
+        viewports: this.viewports,
+        overlays: this.overlayProfile,
+        computedStyles: this.computedStylesProfile,
+        interactionStates: this.interactionStates,
+        screenshots: this.screenshotSettings,
+      });
+      if (incremental) {
+        await pageCache.load();
+      }
 
       // Extract domain from base URL for same-domain filtering
       const baseDomain = new URL(baseUrl).hostname;
 
-      while (urlsToProcess.length > 0 && processedCount < maxUrls) {
-        const url = urlsToProcess.shift();
+      // One worker per isolated browser context; the first reuses this.page
+      const workers = [this];
+      for (let i = 1; i < concurrency; i++) {
+        workers.push(await this.createWorker());
+      }
+      if (workers.length > 1) {
+        console.log(
+          `👷 Crawling with ${workers.length} workers (max ${perHostConcurrency} per host)`
+        );
+      }
 
-        // Skip if already visited
-        if (visitedUrls.has(url)) {
-          continue;
-        }
+      // Hand out queued URLs in order, exactly as a serial crawl would visit them
+      const nextJob = () => {
+        while (queueIndex < urlQueue.length && processedCount < maxUrls) {
+          const position = queueIndex++;
+          const url = urlQueue[position];
 
-        visitedUrls.add(url);
+          // Skip if already visited
+          if (visitedUrls.has(url)) {
+            continue;
+          }
 
-        try {
+          visitedUrls.add(url);
           processedCount++;
+          const { depth } = crawlGraph.getNode(url);
           console.log(
             `\n--- Page ${processedCount}/${Math.min(
-              urlsToProcess.length + processedCount,
+              urlQueue.length - queueIndex + processedCount,
               maxUrls
-            )}: ${url} ---`
+            )} (depth ${depth}): ${url} ---`
           );
 
-          this.currentUrl = url;
-          this.variations = []; // Reset variations for this page
-
-          await this.navigateToPage(url);
-          await this.findElementVariations(selector, variationClassPrefix);
-
-          if (this.variations.length > 0) {
-            console.log(
-              `✅ Found ${this.variations.length} variations on this page`
-            );
+          return {
+            url,
+            position,
+            pageIndex: processedCount,
+            depth,
+            // Pages at maxDepth are crawled, but their links aren't followed
+            discoverLinks: followLinks && depth < maxDepth,
+          };
+        }
+        return null;
+      };
 
-            // Take screenshots immediately for this page's variations
-            console.log(
-              `📸 Taking screenshots for page ${processedCount} (${this.variations.length} variations)...`
+      const processJob = async (worker, job) => {
+        try {
+          worker.currentUrl = job.url;
+          worker.variations = []; // Reset variations for this page
+          worker.screenshotPrefix = `page${job.pageIndex}_element`;
+
+          // Reuse the last capture if the page hasn't changed since
+          const cached = incremental
+            ? pageCache.get(job.url, lastmodByUrl.get(job.url))
+            : null;
+          if (cached) {
+            const variations = await pageCache.restore(
+              cached,
+              worker.screenshotsDir,
+              worker.screenshotPrefix,
+              worker.snippetsDir
             );
-            await this.takeScreenshots();
+            if (variations) {
+              console.log(
+                `♻️  Reusing cached capture of ${job.url} (lastmod ${cached.lastmod})`
+              );
+              return {
+                variations,
+                links: cached.links,
+                overlays: cached.overlays || [],
+                fromCache: true,
+              };
+            }
+          }
 
-            // Add page info to each variation after screenshots are taken
-            const pageVariations = this.variations.map((variation, index) => ({
-              ...variation,
-              pageUrl: url,
-              pageIndex: processedCount,
-              globalIndex: allVariations.length + index,
-            }));
+          await worker.navigateToPage(job.url);
 
-            allVariations.push(...pageVariations);
-          } else {
-            console.log(`ℹ️  No variations found on this page`);
-          }
+          // Find variations and take screenshots immediately, at each viewport
+          await worker.captureVariations(selector, variationClassPrefix);
 
-          // Discover and queue new links if link following is enabled
-          if (followLinks && processedCount < maxDepth) {
-            try {
-              const newLinks = await this.discoverSameDomainLinks(
+          // Visited filtering happens at commit time so it matches serial order.
+          // Incremental crawls always collect links so cached pages can still be followed.
+          const links =
+            job.discoverLinks || incremental
+              ? await worker.discoverSameDomainLinks(
                 baseDomain,
-                visitedUrls,
+                new Set(),
                 includePatterns,
                 excludePatterns
-              );
+              )
+            : [];
 
-              if (newLinks.length > 0) {
-                console.log(
-                  `🔍 Discovered ${newLinks.length} new same-domain links`
-                );
+          return {
+            variations: worker.variations,
+            links,
+            overlays: worker.removedOverlays,
+          };
+        } catch (error) {
+          return { error };
+        }
+      };
+
+      // Save the state a serial crawl would have right after this page
+      const saveCheckpoint = (job) => {
+        if (!checkpoint) return;
+
+        crawlCheckpoint.save(crawl, {
+          startedAt: startedAt.toISOString(),
+          urls,
+          urlQueue,
+          queueIndex: job.position + 1,
+          visitedUrls: [...new Set(urlQueue.slice(0, job.position + 1))],
+          processedCount: job.pageIndex,
+          failedUrls,
+          variations: allVariations,
+          cachedUrls,
+          pagesToCache,
+          blockedUrls,
+          removedOverlays,
+          crawlGraph: crawlGraph.toJSON(),
+          lastmodByUrl: [...lastmodByUrl],
+        });
+      };
 
-                // Add new links to the processing queue (up to maxUrls limit)
-                const remainingSlots =
-                  maxUrls - processedCount - urlsToProcess.length;
-                const linksToAdd = newLinks.slice(0, remainingSlots);
-                urlsToProcess.push(...linksToAdd);
+      // Results arrive here in queue order, whichever worker produced them
+      const commitResult = (job, result) => {
+        if (result.error) {
+          console.error(`❌ Error scraping ${job.url}:`, result.error.message);
+          failedUrls.push({ url: job.url, error: result.error.message });
+          crawlGraph.setStatus(job.url, "failed");
 
-                if (linksToAdd.length > 0) {
-                  console.log(
-                    `📝 Added ${linksToAdd.length} links to crawl queue`
-                  );
-                }
-              }
-            } catch (linkError) {
-              console.log(`⚠️  Failed to discover links: ${linkError.message}`);
-            }
+          if (!continueOnError) {
+            throw result.error;
           }
+          saveCheckpoint(job);
+          return;
+        }
+
+        crawlGraph.setStatus(job.url, result.fromCache ? "cached" : "scraped");
+        if (result.overlays.length > 0) {
+          removedOverlays[job.url] = result.overlays;
+        }
+
+        const lastmod = lastmodByUrl.get(job.url);
+        if (result.fromCache) {
+          cachedUrls.push(job.url);
+        } else if (incremental && lastmod) {
+          pagesToCache.push({ url: job.url, lastmod, result });
+        }
+
+        if (result.variations.length > 0) {
+          console.log(
+            `✅ Found ${result.variations.length} variations on ${job.url}`
+          );
+
+          // Add page info to each variation after screenshots are taken
+          const pageVariations = result.variations.map((variation, index) => ({
+            ...variation,
+            pageUrl: job.url,
+            pageIndex: job.pageIndex,
+            globalIndex: allVariations.length + index,
+          }));
+
+          allVariations.push(...pageVariations);
+        } else {
+          console.log(`ℹ️  No variations found on ${job.url}`);
+        }
+
+        // Queue newly discovered links if link following is enabled
+        if (job.discoverLinks && result.links.length > 0) {
+          // Results commit in queue order, so everything queued so far is
+          // exactly what a serial crawl would have queued by this page
+          const newLinks = [];
+          result.links.forEach((url) => {
+            if (queuedUrls.has(url) || crawlGraph.getNode(url)) return;
 
-          // Add delay between pages to be respectful
-          if (processedCount < urls.length && delayBetweenPages > 0) {
+            if (isAllowedByRobots(url)) {
+              newLinks.push(url);
+            } else {
+              crawlGraph.addNode(url, {
+                depth: job.depth + 1,
+                parent: job.url,
+                status: "blocked",
+              });
+            }
+          });
+
+          if (newLinks.length > 0) {
             console.log(
-              `⏳ Waiting ${delayBetweenPages}ms before next page...`
+              `🔍 Discovered ${newLinks.length} new same-domain links`
             );
-            await new Promise((resolve) =>
-              setTimeout(resolve, delayBetweenPages)
+
+            // Add new links to the processing queue (up to maxUrls limit)
+            const pendingCount = urlQueue.length - (job.position + 1);
+            const remainingSlots = Math.max(
+              0,
+              maxUrls - job.pageIndex - pendingCount
             );
-          }
-        } catch (error) {
-          console.error(`❌ Error scraping ${url}:`, error.message);
-          failedUrls.push({ url, error: error.message });
+            const linksToAdd = newLinks.slice(0, remainingSlots);
+            linksToAdd.forEach((url) => {
+              queuedUrls.add(url);
+              crawlGraph.addNode(url, {
+                depth: job.depth + 1,
+                parent: job.url,
+              });
+            });
+            urlQueue.push(...linksToAdd);
 
-          if (!continueOnError) {
-            throw error;
+            if (linksToAdd.length > 0) {
+              console.log(`📝 Added ${linksToAdd.length} links to crawl queue`);
+            }
           }
+
+          // Links to pages the crawl knows about make up the crawl graph
+          result.links
+            .filter((url) => crawlGraph.getNode(url))
+            .forEach((url) => crawlGraph.addEdge(job.url, url));
         }
+
+        saveCheckpoint(job);
+      };
+
+      // A robots.txt Crawl-delay spaces the pages of its host across all
+      // workers and crawls that host one page at a time
+      const hostDelays = new Map();
+      robotsByHost.forEach((robots, host) => {
+        const crawlDelay = robots.getCrawlDelay();
+        if (crawlDelay !== null) {
+          hostDelays.set(host, crawlDelay * 1000);
+          console.log(
+            `🐢 Honoring robots.txt Crawl-delay of ${host}: ${crawlDelay}s between pages`
+          );
+        }
+      });
+
+      const pool = new CrawlPool({
+        perHostConcurrency,
+        delayBetweenPages,
+        hostDelays,
+      });
+      await pool.run(workers, { nextJob, processJob, commitResult });
+      await crawlCheckpoint.flush();
+      // Every page the crawl processed, sitemap or discovered, in queue order
+      const crawledUrls = [...visitedUrls];
+
+      if (incremental) {
+        for (const { url, lastmod, result } of pagesToCache) {
+          await pageCache.store(
+            url,
+            lastmod,
+            result,
+            this.screenshotsDir,
+            this.snippetsDir
+          );
+        }
+        await pageCache.save();
+        console.log(
+          `♻️  ${cachedUrls.length} pages reused from cache, ${pagesToCache.length} pages cached for next time`
+        );
       }
 
       // Set all variations for report generation
       this.variations = allVariations;
 
       console.log(`📄 Generating consolidated report...`);
-      const reportPath = await this.generateSitemapReport(urls, failedUrls);
+      const { jsonPath: crawlGraphPath, dotPath: crawlGraphDotPath } =
+        await crawlGraph.write(this.outputDir);
+      const reportPath = await this.generateSitemapReport(
+        crawledUrls,
+        failedUrls,
+        {
+          cachedUrls,
+          blockedUrls,
+          removedOverlays,
+          crawlGraph: crawlGraph.toJSON(),
+        }
+      );
+      const { csvPath: inventoryCsvPath, htmlPath: inventoryHtmlPath } =
+        await this.generateBlockInventory();
+      const { jsonPath: tokensJsonPath, htmlPath: tokensHtmlPath } =
+        await this.generateDesignTokens();
+      const sandboxPath = await this.generateSandbox();
+      const storybook = await this.generateStorybook();
+      const jsonPath = await this.generateJsonExport({
+        mode: "sitemap",
+        config,
+        startedAt,
+        scrapedUrls: urls,
+        crawledUrls,
+        failedUrls,
+        cachedUrls,
+        blockedUrls,
+        removedOverlays,
+      });
+      const { markdownPath, pdfPath } = await this.generateReportFormats(
+        reportPath,
+        {
+          mode: "sitemap",
+          scrapedUrls: urls,
+          crawledUrls,
+          failedUrls,
+          blockedUrls,
+        }
+      );
 
       console.log(`\n🎉 Sitemap scraping completed!`);
       console.log(`📊 Total variations found: ${this.variations.length}`);
       console.log(
-        `✅ Successful pages: ${urls.length - failedUrls.length}/${urls.length}`
+        `✅ Successful pages: ${crawledUrls.length - failedUrls.length}/${
+          crawledUrls.length
+        }`
       );
       if (failedUrls.length > 0) {
         console.log(`❌ Failed pages: ${failedUrls.length}`);
@@ -1531,27 +2795,126 @@ class ElementScraper {
           console.log(`   - ${url}: ${error}`);
         });
       }
+      if (blockedUrls.length > 0) {
+        console.log(`🤖 Skipped by robots.txt: ${blockedUrls.length}`);
+      }
       console.log(`📄 Report saved to: ${reportPath}`);
+      if (markdownPath) {
+        console.log(`📝 Markdown report saved to: ${markdownPath}`);
+      }
+      if (pdfPath) {
+        console.log(`📑 PDF report saved to: ${pdfPath}`);
+      }
+      console.log(`🧾 JSON data saved to: ${jsonPath}`);
+      console.log(`🕸️  Crawl graph saved to: ${crawlGraphDotPath}`);
+      console.log(`🧱 Block inventory saved to: ${inventoryCsvPath}`);
+      console.log(`🎨 Design tokens saved to: ${tokensHtmlPath}`);
+      if (sandboxPath) {
+        console.log(`🧪 Component sandbox saved to: ${sandboxPath}`);
+      }
+      if (storybook) {
+        console.log(`📚 Storybook project saved to: ${storybook.storybookDir}`);
+      }
+
+      // The crawl is complete, nothing left to resume
+      await crawlCheckpoint.clear();
+
+      const stats = {
+        totalPages: crawledUrls.length,
+        successfulPages: crawledUrls.length - failedUrls.length,
+        totalVariations: this.variations.length,
+        cachedPages: cachedUrls.length,
+        blockedPages: blockedUrls.length,
+      };
+      const runsIndexPath = await this.finishRun({
+        status: "completed",
+        mode: "sitemap",
+        config,
+        startedAt,
+        stats: {
+          ...stats,
+          blockTypes: new Set(
+            this.variations.map(({ classNames }) => getBlockType(classNames))
+          ).size,
+        },
+        files: {
+          report: reportPath,
+          json: jsonPath,
+          markdown: markdownPath,
+          pdf: pdfPath,
+          sandbox: sandboxPath,
+          storybook: storybook && storybook.storybookDir,
+          inventory: inventoryHtmlPath,
+          tokens: tokensHtmlPath,
+          crawlGraph: crawlGraphPath,
+        },
+      });
+      if (runsIndexPath) {
+        console.log(`🗂️  Runs index saved to: ${runsIndexPath}`);
+      }
 
       return {
         variations: this.variations,
+        runDir: this.outputDir,
         reportPath,
+        markdownPath,
+        pdfPath,
+        jsonPath,
+        crawlGraphPath,
+        crawlGraphDotPath,
+        inventoryCsvPath,
+        inventoryHtmlPath,
+        tokensJsonPath,
+        tokensHtmlPath,
+        sandboxPath,
+        storybookDir: storybook ? storybook.storybookDir : null,
         scrapedUrls: urls,
+        crawledUrls,
         failedUrls,
-        stats: {
-          totalPages: urls.length,
-          successfulPages: urls.length - failedUrls.length,
-          totalVariations: this.variations.length,
-        },
+        cachedUrls,
+        blockedUrls,
+        runsIndexPath,
+        stats,
       };
     } catch (error) {
       console.error("❌ Error during sitemap scraping:", error);
+      await this.finishRun({
+        status: "failed",
+        mode: "sitemap",
+        config,
+        startedAt,
+        error: error.message,
+      });
       throw error;
     } finally {
-      if (this.browser) {
-        await this.browser.close();
+      await this.closeBrowser();
+    }
+  }
+
+  /**
+   * Delete screenshots and snippets written by pages that never made it into
+   * a checkpoint, i.e. pages numbered after the last committed one
+   * @param {number} processedCount - Pages recorded in the checkpoint
+   */
+  async removeUncommittedCaptures(processedCount) {
+    let removed = 0;
+
+    for (const dir of [this.screenshotsDir, this.snippetsDir]) {
+      if (!(await fs.pathExists(dir))) continue;
+
+      const files = await fs.readdir(dir);
+      for (const file of files) {
+        const match = file.match(/^page(\d+)_element_/);
+        if (match && parseInt(match[1], 10) > processedCount) {
+          await fs.remove(path.join(dir, file));
+          removed++;
+        }
       }
     }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} captures from unfinished pages`);
+    }
   }
 
   /**
@@ -1632,29 +2995,96 @@ class ElementScraper {
   }
 
   async scrape(url, selector, variationClassPrefix = "") {
+    const startedAt = new Date();
+    const config = { url, selector, variationClassPrefix };
+
     try {
       this.currentUrl = url;
+      await this.startRun({ startedAt });
       await this.initialize();
       await this.navigateToPage(url);
-      await this.findElementVariations(selector, variationClassPrefix);
-      await this.takeScreenshots();
+      await this.captureVariations(selector, variationClassPrefix);
       const reportPath = await this.generateReport();
+      const sandboxPath = await this.generateSandbox();
+      const storybook = await this.generateStorybook();
+      const jsonPath = await this.generateJsonExport({
+        mode: "single",
+        config,
+        startedAt,
+        scrapedUrls: [url],
+        failedUrls: [],
+        removedOverlays: { [url]: this.removedOverlays },
+      });
+      const { markdownPath, pdfPath } = await this.generateReportFormats(
+        reportPath,
+        { mode: "single" }
+      );
+      const runsIndexPath = await this.finishRun({
+        status: "completed",
+        mode: "single",
+        config,
+        startedAt,
+        stats: {
+          totalPages: 1,
+          successfulPages: 1,
+          totalVariations: this.variations.length,
+          blockTypes: new Set(
+            this.variations.map(({ classNames }) => getBlockType(classNames))
+          ).size,
+        },
+        files: {
+          report: reportPath,
+          json: jsonPath,
+          markdown: markdownPath,
+          pdf: pdfPath,
+          sandbox: sandboxPath,
+          storybook: storybook && storybook.storybookDir,
+        },
+      });
 
       console.log(`\nScraping completed successfully!`);
       console.log(`Found ${this.variations.length} variations`);
       console.log(`Report saved to: ${reportPath}`);
+      if (markdownPath) {
+        console.log(`Markdown report saved to: ${markdownPath}`);
+      }
+      if (pdfPath) {
+        console.log(`PDF report saved to: ${pdfPath}`);
+      }
+      console.log(`JSON data saved to: ${jsonPath}`);
+      if (sandboxPath) {
+        console.log(`Component sandbox saved to: ${sandboxPath}`);
+      }
+      if (storybook) {
+        console.log(`Storybook project saved to: ${storybook.storybookDir}`);
+      }
+      if (runsIndexPath) {
+        console.log(`Runs index saved to: ${runsIndexPath}`);
+      }
 
       return {
         variations: this.variations,
+        runDir: this.outputDir,
         reportPath,
+        markdownPath,
+        pdfPath,
+        jsonPath,
+        sandboxPath,
+        storybookDir: storybook ? storybook.storybookDir : null,
+        runsIndexPath,
       };
     } catch (error) {
       console.error("Error during scraping:", error);
+      await this.finishRun({
+        status: "failed",
+        mode: "single",
+        config,
+        startedAt,
+        error: error.message,
+      });
       throw error;
     } finally {
-      if (this.browser) {
-        await this.browser.close();
-      }
+      await this.closeBrowser();
     }
   }
 }
@@ -0,0 +1,100 @@
+const path = require("path");
+
+/**
+ * Screenshot file format, quality, size limit and thumbnail settings
+ */
+
+// Formats screenshots can be saved in
+const SCREENSHOT_FORMATS = ["png", "jpeg", "webp"];
+
+const FILE_EXTENSIONS = {
+  png: ".png",
+  jpeg: ".jpg",
+  webp: ".webp",
+};
+
+// Thumbnails need a second pass over every screenshot, so they are off
+// unless asked for
+const DEFAULT_SCREENSHOT_SETTINGS = {
+  format: "png",
+  quality: 80, // 1-100, JPEG and WebP only
+  maxPixels: null, // No limit
+  thumbnailWidth: 0, // No thumbnails
+};
+
+// Thumbnail width used for `thumbnailWidth: true`
+const DEFAULT_THUMBNAIL_WIDTH = 320;
+
+/**
+ * Combine a config's screenshot settings with the defaults
+ * @param {Object} settings - Config `screenshots` settings
+ * @param {string} settings.format - "png", "jpeg" or "webp"
+ * @param {number} settings.quality - Quality of JPEG and WebP files, 1-100
+ * @param {number} settings.maxPixels - Screenshots with more pixels (width × height) are scaled down to this many
+ * @param {number|boolean} settings.thumbnailWidth - Width of the thumbnails shown in reports, 0 or false for none, true for DEFAULT_THUMBNAIL_WIDTH
+ * @returns {Object} { format, quality, maxPixels, thumbnailWidth }
+ */
+function resolveScreenshotSettings(settings = {}) {
+  const resolved = { ...DEFAULT_SCREENSHOT_SETTINGS };
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value !== undefined) resolved[key] = value;
+  });
+  if (resolved.thumbnailWidth === true) {
+    resolved.thumbnailWidth = DEFAULT_THUMBNAIL_WIDTH;
+  }
+  resolved.thumbnailWidth = resolved.thumbnailWidth || 0;
+  return resolved;
+}
+
+/**
+ * Options for Playwright's screenshot(). Playwright only writes PNG and
+ * JPEG, so WebP screenshots are captured as PNG and converted afterwards.
+ * @param {Object} settings - Settings from resolveScreenshotSettings()
+ * @returns {Object} { type, quality, extension }
+ */
+function getCaptureOptions({ format, quality }) {
+  return format === "jpeg"
+    ? { type: "jpeg", quality, extension: FILE_EXTENSIONS.jpeg }
+    : { type: "png", extension: FILE_EXTENSIONS.png };
+}
+
+/**
+ * Whether captured screenshots need a pass through ImageTools.process()
+ * @param {Object} settings - Settings from resolveScreenshotSettings()
+ * @returns {boolean}
+ */
+function needsProcessing({ format, maxPixels, thumbnailWidth }) {
+  return format === "webp" || Boolean(maxPixels) || thumbnailWidth > 0;
+}
+
+/**
+ * File name of a screenshot's thumbnail, next to the screenshot so
+ * everything that renames or copies screenshots keeps them together
+ * @param {string} fileName - Screenshot file name
+ * @returns {string} e.g. element_0_desktop_1700000000000_thumb.webp
+ */
+function getThumbnailName(fileName) {
+  const extension = path.extname(fileName);
+  return `${fileName.slice(0, -extension.length)}_thumb${extension}`;
+}
+
+/**
+ * Check a format against SCREENSHOT_FORMATS
+ * @param {string} format - Requested format
+ * @returns {boolean}
+ */
+function isScreenshotFormat(format) {
+  return SCREENSHOT_FORMATS.includes(format);
+}
+
+module.exports = {
+  SCREENSHOT_FORMATS,
+  FILE_EXTENSIONS,
+  DEFAULT_SCREENSHOT_SETTINGS,
+  DEFAULT_THUMBNAIL_WIDTH,
+  resolveScreenshotSettings,
+  getCaptureOptions,
+  needsProcessing,
+  getThumbnailName,
+  isScreenshotFormat,
+};
@@ -0,0 +1,781 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const VisualRegression = require("./visual-regression");
+const RunArchive = require("./run-archive");
+const {
+  escapeHtml,
+  getBlockType,
+  getBlockDisplayName,
+  renderViewportCaptures,
+  VIEWPORT_STRIP_CSS,
+  renderStateCaptures,
+  STATE_STRIP_CSS,
+  renderComputedStyles,
+  COMPUTED_STYLES_CSS,
+  renderAccessibilityBadges,
+  ACCESSIBILITY_CSS,
+  getModifierFacets,
+  renderModifierFacets,
+  MODIFIERS_CSS,
+} = require("./report-helpers");
+const {
+  getSandboxFileName,
+  renderSnippetLinks,
+  SNIPPET_LINKS_CSS,
+} = require("./snippets");
+
+// Files of a run copied into the site as they are, when present
+const RUN_ARTIFACTS = [
+  "sitemap_variations_report.html",
+  "variations_report.html",
+  "sitemap_variations_report.md",
+  "variations_report.md",
+  "sitemap_variations_report.pdf",
+  "variations_report.pdf",
+  "variations.json",
+  "block_inventory.html",
+  "block_inventory.csv",
+  "design_tokens.html",
+  "design_tokens.json",
+  "crawl-graph.json",
+];
+
+/**
+ * Static documentation site built from a run's variations.json: an index,
+ * one page per block type, one page per crawled URL and a detail page per
+ * variation, with relative links only so any static file server can host it
+ */
+class SiteBuilder {
+  /**
+   * @param {Object} options - Site options
+   * @param {string} options.outputDir - Directory of the run to publish, or a run archive to publish the latest run of (default: 'output')
+   * @param {string} options.siteDir - Where the site is written, replacing its contents (default: 'pages')
+   * @param {string} options.title - Site title (default: the crawled site's host)
+   */
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || "output";
+    this.siteDir = options.siteDir || "pages";
+    this.title = options.title;
+  }
+
+  /**
+   * Permalink of a variation's detail page. Built from the page, selector and
+   * classes rather than the variation's position in the run, so it survives
+   * re-crawls of an unchanged page. The selector includes the element's
+   * :nth-child() position, so inserting a block before it changes its
+   * permalink. Variations that hash alike are told apart in build().
+   * @param {Object} variation - Variation from variations.json
+   * @returns {string} Slug, e.g. "button-3f2a9c1b7d"
+   */
+  static getPermalink(variation) {
+    const hash = crypto
+      .createHash("sha1")
+      .update(
+        [
+          variation.pageUrl || "",
+          variation.actualSelector || variation.selector,
+          variation.classNames.join(" "),
+        ].join("|")
+      )
+      .digest("hex")
+      .slice(0, 10);
+    const blockName = getBlockType(variation.classNames)
+      .replace(/^wp-block-/, "")
+      .replace(/[^\w-]/g, "_");
+    return `${blockName}-${hash}`;
+  }
+
+  /**
+   * File name slug of a crawled URL's page, e.g. "decking-azek" for
+   * https://example.com/decking/azek/ and "home" for the site root
+   * @param {string} url - Page URL
+   * @returns {string}
+   */
+  static getPageSlug(url) {
+    let pathname = url;
+    try {
+      const parsed = new URL(url);
+      pathname = parsed.pathname + parsed.search;
+    } catch (error) {
+      // Not a URL, slugify it as it is
+    }
+    return (
+      pathname
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "home"
+    );
+  }
+
+  /**
+   * Build the site
+   * @returns {Promise<Object>} { indexPath, pageCount } - site index and number of HTML pages written
+   */
+  async build() {
+    // Guard the archive root as well as the run itself
+    const site = path.resolve(this.siteDir);
+    const outputs = [path.resolve(this.outputDir)];
+    this.outputDir = await RunArchive.resolveRunDir(this.outputDir);
+    outputs.push(path.resolve(this.outputDir));
+    if (
+      outputs.some(
+        (output) => output === site || output.startsWith(site + path.sep)
+      )
+    ) {
+      throw new Error(
+        `Site directory ${this.siteDir} would replace the run in ${this.outputDir}`
+      );
+    }
+
+    const jsonPath = path.join(this.outputDir, "variations.json");
+    if (!(await fs.pathExists(jsonPath))) {
+      throw new Error(`No variations.json found in ${this.outputDir}`);
+    }
+
+    const { run, stats, variations } = await fs.readJson(jsonPath);
+    this.run = run;
+    this.stats = stats;
+    this.title =
+      this.title || (run.config.url ? new URL(run.config.url).host : "Site");
+
+    console.log(`🏗️  Building site in ${this.siteDir}...`);
+    await fs.emptyDir(this.siteDir);
+    await this.copyRunFiles(variations);
+
+    // Index every variation once, with the slugs the pages link with.
+    // Permalinks that collide get a suffix, like page slugs below, so no
+    // detail page overwrites another.
+    const usedPermalinks = new Set();
+    this.entries = variations.map((variation, position) => {
+      let permalink = SiteBuilder.getPermalink(variation);
+      for (let n = 2; usedPermalinks.has(permalink); n++) {
+        permalink = `${SiteBuilder.getPermalink(variation)}-${n}`;
+      }
+      usedPermalinks.add(permalink);
+      return {
+        variation,
+        anchor: variation.globalIndex ?? position,
+        permalink,
+        blockType: getBlockType(variation.classNames),
+        pageUrl: variation.pageUrl || run.config.url,
+      };
+    });
+    this.blockTypes = this.groupEntries((entry) => entry.blockType);
+    this.pages = this.groupEntries((entry) => entry.pageUrl);
+    this.pageSlugs = new Map();
+    const usedSlugs = new Set();
+    for (const pageUrl of this.pages.keys()) {
+      let slug = SiteBuilder.getPageSlug(pageUrl);
+      for (let n = 2; usedSlugs.has(slug); n++) {
+        slug = `${SiteBuilder.getPageSlug(pageUrl)}-${n}`;
+      }
+      usedSlugs.add(slug);
+      this.pageSlugs.set(pageUrl, slug);
+    }
+
+    let pageCount = 0;
+    const write = async (file, html) => {
+      await fs.outputFile(path.join(this.siteDir, file), html);
+      pageCount++;
+    };
+
+    await fs.outputFile(
+      path.join(this.siteDir, "assets", "site.css"),
+      SITE_CSS
+    );
+    await write("index.html", this.renderIndex());
+    for (const [blockType, entries] of this.blockTypes) {
+      await write(
+        `block/${getSandboxFileName(blockType)}`,
+        this.renderBlockPage(blockType, entries)
+      );
+    }
+    for (const [pageUrl, entries] of this.pages) {
+      await write(
+        `page/${this.pageSlugs.get(pageUrl)}.html`,
+        this.renderUrlPage(pageUrl, entries)
+      );
+    }
+    for (const entry of this.entries) {
+      await write(
+        `variation/${entry.permalink}.html`,
+        this.renderVariationPage(entry)
+      );
+    }
+    await write("search.html", this.renderSearchPage());
+    await fs.writeJson(
+      path.join(this.siteDir, "search-index.json"),
+      this.buildSearchIndex()
+    );
+
+    const indexPath = path.join(this.siteDir, "index.html");
+    console.log(`Site generated: ${indexPath} (${pageCount} pages)`);
+    return { indexPath, pageCount };
+  }
+
+  /**
+   * Copy the screenshots and snippets the variations use, the sandbox and the
+   * run's reports into the site. Screenshots of earlier runs are left out.
+   * @private
+   */
+  async copyRunFiles(variations) {
+    const copyFiles = async (dir, files, target) => {
+      for (const file of files) {
+        const source = path.join(this.outputDir, dir, file);
+        if (await fs.pathExists(source)) {
+          await fs.copy(source, path.join(this.siteDir, target, file));
+        }
+      }
+    };
+    await copyFiles(
+      this.run.screenshotsDir || "screenshots",
+      new Set(variations.flatMap(VisualRegression.getScreenshotFiles)),
+      "screenshots"
+    );
+    await copyFiles(
+      this.run.snippetsDir || "snippets",
+      new Set(
+        variations
+          .flatMap(({ snippetPath, stylesPath }) => [snippetPath, stylesPath])
+          .filter(Boolean)
+      ),
+      "snippets"
+    );
+
+    const sandboxDir = path.join(this.outputDir, "sandbox");
+    if (await fs.pathExists(sandboxDir)) {
+      await fs.copy(sandboxDir, path.join(this.siteDir, "sandbox"));
+    }
+
+    this.artifacts = [];
+    for (const file of RUN_ARTIFACTS) {
+      const source = path.join(this.outputDir, file);
+      if (await fs.pathExists(source)) {
+        await fs.copy(source, path.join(this.siteDir, file));
+        this.artifacts.push(file);
+      }
+    }
+  }
+
+  /**
+   * Group entries by a key, keeping crawl order within and between groups
+   * @private
+   */
+  groupEntries(keyOf) {
+    const groups = new Map();
+    this.entries.forEach((entry) => {
+      const key = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+    return groups;
+  }
+
+  /**
+   * Wrap page content in the shared layout and navigation
+   * @private
+   * @param {Object} page - { title, depth, breadcrumbs, body }, depth being the number of directories below the site root
+   */
+  renderLayout({ title, depth, breadcrumbs = [], body }) {
+    const base = "../".repeat(depth);
+    const report = this.artifacts.find((file) => file.endsWith("_report.html"));
+    const pdf = this.artifacts.find((file) => file.endsWith("_report.pdf"));
+    const links = [
+      ["Overview", "index.html"],
+      ["Blocks", "index.html#blocks"],
+      ["Pages", "index.html#pages"],
+      ...(report ? [["Full report", report]] : []),
+      ...(pdf ? [["PDF", pdf]] : []),
+      ...(this.artifacts.includes("block_inventory.html")
+        ? [["Inventory", "block_inventory.html"]]
+        : []),
+      ...(this.artifacts.includes("design_tokens.html")
+        ? [["Design tokens", "design_tokens.html"]]
+        : []),
+    ];
+    const breadcrumbsHtml =
+      breadcrumbs.length > 0
+        ? `
+        <nav class="breadcrumbs"><a href="${base}index.html">Overview</a>${breadcrumbs
+            .map(([label, href]) =>
+              href
+                ? ` › <a href="${base}${href}">${escapeHtml(label)}</a>`
+                : ` › ${escapeHtml(label)}`
+            )
+            .join("")}</nav>`
+        : "";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} · ${escapeHtml(this.title)}</title>
+    <link rel="stylesheet" href="${base}assets/site.css">
+</head>
+<body>
+    <header class="site-header">
+        <a class="site-title" href="${base}index.html">${escapeHtml(
+      this.title
+    )}</a>
+        <nav class="site-nav">
+            ${links
+              .map(
+                ([label, href]) =>
+                  `<a href="${base}${href}">${escapeHtml(label)}</a>`
+              )
+              .join("\n            ")}
+        </nav>
+        <form class="site-search" action="${base}search.html">
+            <input type="search" name="q" placeholder="Search variations" aria-label="Search variations">
+        </form>
+    </header>
+    <main class="container">${breadcrumbsHtml}
+        <h1>${escapeHtml(title)}</h1>
+${body}
+    </main>
+</body>
+</html>`;
+  }
+
+  /**
+   * Card linking to a variation's detail page
+   * @private
+   * @param {Object} entry - Variation entry
+   * @param {string} base - Site root relative to the page
+   * @param {boolean} showPage - Show the page the variation was found on
+   */
+  renderCard(entry, base, showPage = false) {
+    const { variation, permalink, blockType, pageUrl } = entry;
+    return `
+            <a class="card" href="${base}variation/${permalink}.html">
+                ${
+                  variation.screenshotPath
+                    ? `<img src="${base}screenshots/${escapeHtml(
+                        variation.thumbnailPath || variation.screenshotPath
+                      )}" alt="" loading="lazy">`
+                    : '<div class="card-empty">No screenshot</div>'
+                }
+                <span class="card-title">${escapeHtml(
+                  getBlockDisplayName(blockType)
+                )}${
+      variation.modifiers && variation.modifiers.styleVariation
+        ? ` · ${escapeHtml(variation.modifiers.styleVariation)}`
+        : ""
+    }</span>
+                ${
+                  showPage
+                    ? `<span class="card-meta">${escapeHtml(
+                        pageUrl.replace(/^https?:\/\//, "")
+                      )}</span>`
+                    : ""
+                }
+                <span class="card-meta"><code>${escapeHtml(
+                  variation.selector
+                )}</code></span>
+            </a>`;
+  }
+
+  /**
+   * @private
+   */
+  renderIndex() {
+    const blocksHtml = [...this.blockTypes.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(
+        ([blockType, entries]) => `
+                <tr>
+                    <td><a href="block/${getSandboxFileName(
+                      blockType
+                    )}">${escapeHtml(getBlockDisplayName(blockType))}</a></td>
+                    <td>${entries.length}</td>
+                    <td>${new Set(entries.map((entry) => entry.pageUrl)).size}</td>
+                </tr>`
+      )
+      .join("");
+    const pagesHtml = [...this.pages.entries()]
+      .map(
+        ([pageUrl, entries]) => `
+                <tr>
+                    <td><a href="page/${this.pageSlugs.get(
+                      pageUrl
+                    )}.html">${escapeHtml(
+          pageUrl.replace(/^https?:\/\//, "")
+        )}</a></td>
+                    <td>${entries.length}</td>
+                    <td>${new Set(entries.map((entry) => entry.blockType)).size}</td>
+                </tr>`
+      )
+      .join("");
+
+    return this.renderLayout({
+      title: "Overview",
+      depth: 0,
+      body: `
+        <div class="stats">
+            <div><strong>${this.stats.totalVariations}</strong> variations</div>
+            <div><strong>${this.blockTypes.size}</strong> block types</div>
+            <div><strong>${this.pages.size}</strong> pages</div>
+            <div>Crawled ${escapeHtml(
+              new Date(this.run.finishedAt).toUTCString()
+            )}</div>
+        </div>
+
+        <h2 id="blocks">Block Types</h2>
+        <table class="listing">
+            <thead><tr><th>Block</th><th>Variations</th><th>Pages</th></tr></thead>
+            <tbody>${blocksHtml}
+            </tbody>
+        </table>
+
+        <h2 id="pages">Pages</h2>
+        <table class="listing">
+            <thead><tr><th>Page</th><th>Variations</th><th>Block types</th></tr></thead>
+            <tbody>${pagesHtml}
+            </tbody>
+        </table>`,
+    });
+  }
+
+  /**
+   * @private
+   */
+  renderBlockPage(blockType, entries) {
+    return this.renderLayout({
+      title: getBlockDisplayName(blockType),
+      depth: 1,
+      breadcrumbs: [
+        ["Blocks", "index.html#blocks"],
+        [getBlockDisplayName(blockType)],
+      ],
+      body: `
+        <p>${entries.length} variation${
+        entries.length !== 1 ? "s" : ""
+      } of <code>${escapeHtml(blockType)}</code> on ${
+        new Set(entries.map((entry) => entry.pageUrl)).size
+      } page(s).</p>
+        <div class="cards">${entries
+          .map((entry) => this.renderCard(entry, "../", true))
+          .join("")}
+        </div>`,
+    });
+  }
+
+  /**
+   * @private
+   */
+  renderUrlPage(pageUrl, entries) {
+    const title = pageUrl.replace(/^https?:\/\//, "");
+    return this.renderLayout({
+      title,
+      depth: 1,
+      breadcrumbs: [["Pages", "index.html#pages"], [title]],
+      body: `
+        <p><a href="${escapeHtml(pageUrl)}" target="_blank">${escapeHtml(
+        pageUrl
+      )}</a> · ${entries.length} variation${entries.length !== 1 ? "s" : ""}</p>
+        <div class="cards">${entries
+          .map((entry) => this.renderCard(entry, "../"))
+          .join("")}
+        </div>`,
+    });
+  }
+
+  /**
+   * @private
+   */
+  renderVariationPage(entry) {
+    const { variation, permalink, blockType, pageUrl, anchor } = entry;
+    const siblings = this.blockTypes.get(blockType);
+    const position = siblings.indexOf(entry);
+    const previous = siblings[position - 1];
+    const next = siblings[position + 1];
+    const blockName = getBlockDisplayName(blockType);
+
+    const screenshotHtml =
+      renderViewportCaptures(variation, "../screenshots") ||
+      (variation.screenshotPath
+        ? `<img src="../screenshots/${escapeHtml(
+            variation.screenshotPath
+          )}" alt="Screenshot of ${escapeHtml(blockName)}" class="screenshot">`
+        : "<p>No screenshot available</p>");
+    const box = variation.boundingBox;
+
+    return this.renderLayout({
+      title: `${blockName} ${position + 1} of ${siblings.length}`,
+      depth: 1,
+      breadcrumbs: [
+        [blockName, `block/${getSandboxFileName(blockType)}`],
+        [`Variation ${position + 1}`],
+      ],
+      body: `
+        <nav class="pager">${
+          previous
+            ? `<a href="${previous.permalink}.html">← Previous</a>`
+            : "<span></span>"
+        }${next ? `<a href="${next.permalink}.html">Next →</a>` : ""}</nav>
+        ${screenshotHtml}
+        ${renderSnippetLinks(variation, anchor, "../")}
+        ${renderStateCaptures(variation, "../screenshots")}
+        <table class="details">
+            <tr><th>Permalink</th><td><code>variation/${permalink}.html</code></td></tr>
+            <tr><th>Page</th><td><a href="../page/${this.pageSlugs.get(
+              pageUrl
+            )}.html">${escapeHtml(
+        pageUrl.replace(/^https?:\/\//, "")
+      )}</a> (<a href="${escapeHtml(
+        pageUrl
+      )}" target="_blank">live</a>)</td></tr>
+            <tr><th>Selector</th><td><code>${escapeHtml(
+              variation.selector
+            )}</code></td></tr>
+            <tr><th>Tag</th><td>${escapeHtml(variation.tagName)}</td></tr>
+            <tr><th>Classes</th><td>${variation.classNames
+              .map((cls) => `<code>${escapeHtml(cls)}</code>`)
+              .join(" ")}</td></tr>
+            <tr><th>Text</th><td>${escapeHtml(
+              variation.textContent || ""
+            )}</td></tr>${
+        box
+          ? `
+            <tr><th>Size</th><td>${Math.round(box.width)} × ${Math.round(
+              box.height
+            )}px</td></tr>`
+          : ""
+      }
+        </table>
+        ${renderModifierFacets(variation.modifiers)}
+        ${renderAccessibilityBadges(variation.accessibility)}
+        ${renderComputedStyles(variation.computedStyles)}`,
+    });
+  }
+
+  /**
+   * Search entries, one per variation, read by search.html
+   * @private
+   */
+  buildSearchIndex() {
+    return this.entries.map(({ variation, permalink, blockType, pageUrl }) => ({
+      url: `variation/${permalink}.html`,
+      title: getBlockDisplayName(blockType),
+      blockType,
+      pageUrl,
+      selector: variation.selector,
+      classNames: variation.classNames,
+      textContent: variation.textContent || "",
+      facets: getModifierFacets(variation.modifiers).map(
+        ({ label, value }) => `${label}: ${value}`
+      ),
+      screenshotPath: variation.screenshotPath
+        ? `screenshots/${variation.screenshotPath}`
+        : null,
+      thumbnailPath: variation.thumbnailPath
+        ? `screenshots/${variation.thumbnailPath}`
+        : null,
+    }));
+  }
+
+  /**
+   * @private
+   */
+  renderSearchPage() {
+    return this.renderLayout({
+      title: "Search",
+      depth: 0,
+      body: `
+        <p class="search-status">Loading search index...</p>
+        <div class="cards search-results"></div>
+    <script>
+        (() => {
+            const query = new URLSearchParams(location.search).get("q") || "";
+            const status = document.querySelector(".search-status");
+            const results = document.querySelector(".search-results");
+            document.querySelector(".site-search input").value = query;
+
+            const escape = (text) => text.replace(/[&<>"']/g, (char) =>
+                ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+            fetch("search-index.json")
+                .then((response) => response.json())
+                .then((index) => {
+                    const terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+                    const matches = index.filter((entry) => {
+                        const haystack = [
+                            entry.title,
+                            entry.blockType,
+                            entry.pageUrl,
+                            entry.selector,
+                            entry.textContent,
+                            ...entry.classNames,
+                            ...entry.facets,
+                        ].join(" ").toLowerCase();
+                        return terms.every((term) => haystack.includes(term));
+                    });
+
+                    status.textContent = terms.length > 0
+                        ? matches.length + " variation(s) match \\u201c" + query + "\\u201d"
+                        : index.length + " variations";
+                    results.innerHTML = matches.map((entry) =>
+                        '<a class="card" href="' + escape(entry.url) + '">' +
+                        (entry.screenshotPath
+                            ? '<img src="' + escape(entry.thumbnailPath || entry.screenshotPath) + '" alt="" loading="lazy">'
+                            : '<div class="card-empty">No screenshot</div>') +
+                        '<span class="card-title">' + escape(entry.title) + '</span>' +
+                        '<span class="card-meta">' + escape(entry.pageUrl.replace(/^https?:\\/\\//, "")) + '</span>' +
+                        '<span class="card-meta"><code>' + escape(entry.selector) + '</code></span>' +
+                        '</a>').join("");
+                })
+                .catch(() => {
+                    status.textContent = "The search index couldn't be loaded. Serve the site over HTTP, e.g. python3 -m http.server.";
+                });
+        })();
+    </script>`,
+    });
+  }
+}
+
+// Shared stylesheet written to assets/site.css
+const SITE_CSS = `
+        body {
+            font-family: Arial, sans-serif;
+            margin: 0;
+            background-color: #f5f5f5;
+            color: #333;
+        }
+        a {
+            color: #1e40af;
+        }
+        .site-header {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 16px;
+            background-color: #1e293b;
+            padding: 12px 20px;
+        }
+        .site-header a {
+            color: white;
+            text-decoration: none;
+        }
+        .site-title {
+            font-weight: bold;
+            font-size: 18px;
+        }
+        .site-nav {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 14px;
+            font-size: 14px;
+        }
+        .site-search {
+            margin-left: auto;
+        }
+        .site-search input {
+            padding: 5px 8px;
+            width: 220px;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 20px auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .breadcrumbs {
+            font-size: 13px;
+            color: #6c757d;
+        }
+        .stats {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 20px;
+            background-color: #e9ecef;
+            padding: 15px;
+            border-radius: 5px;
+        }
+        .listing,
+        .details {
+            border-collapse: collapse;
+            font-size: 14px;
+            margin: 10px 0 20px 0;
+        }
+        .listing th,
+        .listing td,
+        .details th,
+        .details td {
+            border: 1px solid #dee2e6;
+            padding: 6px 10px;
+            text-align: left;
+            vertical-align: top;
+        }
+        .listing th,
+        .details th {
+            background-color: #f1f5f9;
+        }
+        .cards {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+            gap: 15px;
+        }
+        .card {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            padding: 10px;
+            text-decoration: none;
+            color: inherit;
+            background-color: #fefefe;
+        }
+        .card:hover {
+            border-color: #1e40af;
+        }
+        .card img {
+            width: 100%;
+            max-height: 180px;
+            object-fit: contain;
+            object-position: top;
+            background-color: #f8f9fa;
+        }
+        .card-empty {
+            height: 80px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background-color: #f8f9fa;
+            color: #adb5bd;
+        }
+        .card-title {
+            font-weight: bold;
+        }
+        .card-meta {
+            font-size: 12px;
+            color: #6c757d;
+            overflow-wrap: anywhere;
+        }
+        .pager {
+            display: flex;
+            justify-content: space-between;
+            margin-bottom: 10px;
+        }
+        .screenshot {
+            max-width: 100%;
+            border: 1px solid #ddd;
+        }
+        code {
+            background-color: #f1f3f5;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }
+${VIEWPORT_STRIP_CSS}
+${STATE_STRIP_CSS}
+${COMPUTED_STYLES_CSS}
+${ACCESSIBILITY_CSS}
+${MODIFIERS_CSS}
+${SNIPPET_LINKS_CSS}
+`;
+
+module.exports = SiteBuilder;
@@ -0,0 +1,343 @@
+const fs = require("fs-extra");
+const path = require("path");
+const {
+  escapeHtml,
+  getBlockType,
+  getBlockDisplayName,
+} = require("./report-helpers");
+
+/**
+ * HTML snippet export: each variation's markup and its page's stylesheets,
+ * and the sandbox pages that render them outside the live site
+ */
+
+/**
+ * Read an element's outerHTML with every src, href, poster and srcset URL
+ * made absolute, so the snippet renders outside the site. Runs inside the
+ * page (pass it to element.evaluate), so it must stay self-contained.
+ * @param {Element} el - Variation element
+ * @returns {string} Markup
+ */
+function readSnippetHtml(el) {
+  const clone = el.cloneNode(true);
+  const absolute = (url) => {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  const nodes = [
+    clone,
+    ...clone.querySelectorAll("[src], [href], [poster], [srcset]"),
+  ];
+  nodes.forEach((node) => {
+    ["src", "href", "poster"].forEach((attribute) => {
+      const value = node.getAttribute(attribute);
+      if (value && !value.startsWith("#") && !value.startsWith("data:")) {
+        node.setAttribute(attribute, absolute(value));
+      }
+    });
+    const srcset = node.getAttribute("srcset");
+    if (srcset) {
+      node.setAttribute(
+        "srcset",
+        srcset
+          .split(",")
+          .map((candidate) => {
+            const [url, ...descriptor] = candidate.trim().split(/\s+/);
+            return [absolute(url), ...descriptor].join(" ");
+          })
+          .join(", ")
+      );
+    }
+  });
+
+  return clone.outerHTML;
+}
+
+/**
+ * Read the CSS of every stylesheet the page uses, with url() references made
+ * absolute. Cross-origin stylesheets can't be read and are @imported instead.
+ * Runs inside the page (pass it to page.evaluate).
+ * @returns {string} CSS
+ */
+function readStylesheets() {
+  const imports = [];
+  const sheets = [];
+
+  [...document.styleSheets].forEach((sheet) => {
+    if (sheet.disabled) return;
+    const base = sheet.href || document.baseURI;
+    const media = sheet.media && sheet.media.mediaText;
+
+    let rules;
+    try {
+      rules = [...sheet.cssRules];
+    } catch (error) {
+      if (sheet.href) {
+        imports.push(`@import url("${sheet.href}")${media ? ` ${media}` : ""};`);
+      }
+      return;
+    }
+
+    const css = rules
+      .map((rule) => rule.cssText)
+      .join("\n")
+      .replace(/url\((["']?)([^"')]+)\1\)/g, (match, quote, url) => {
+        if (url.startsWith("data:") || url.startsWith("#")) return match;
+        try {
+          return `url("${new URL(url, base).href}")`;
+        } catch (error) {
+          return match;
+        }
+      });
+    const source = `/* ${sheet.href || "inline <style>"} */`;
+    sheets.push(
+      media && media !== "all"
+        ? `${source}\n@media ${media} {\n${css}\n}`
+        : `${source}\n${css}`
+    );
+  });
+
+  return [...imports, ...sheets].join("\n\n");
+}
+
+/**
+ * File name of a block type's sandbox page
+ * @param {string} blockType - Block type from getBlockType()
+ * @returns {string}
+ */
+function getSandboxFileName(blockType) {
+  return `${blockType.replace(/[^\w-]/g, "_")}.html`;
+}
+
+/**
+ * Render links to a variation's snippet, its stylesheets and its sandbox
+ * entry, shown next to the screenshot in reports
+ * @param {Object} variation - Variation with `snippetPath` and `stylesPath`
+ * @param {number} anchor - Variation index used for the sandbox anchor
+ * @param {string} baseUrl - Output directory relative to the page, e.g. "../" (default: same directory)
+ * @returns {string} HTML, empty when no snippet was saved
+ */
+function renderSnippetLinks(variation, anchor, baseUrl = "") {
+  if (!variation.snippetPath) return "";
+
+  const sandboxFile = getSandboxFileName(getBlockType(variation.classNames));
+  return `
+      <p class="snippet-links"><strong>Snippet:</strong>
+          <a href="${baseUrl}snippets/${escapeHtml(
+            variation.snippetPath
+          )}">${escapeHtml(
+    variation.snippetPath
+  )}</a>${
+    variation.stylesPath
+      ? ` · <a href="${baseUrl}snippets/${escapeHtml(
+          variation.stylesPath
+        )}">Stylesheets</a>`
+      : ""
+  } · <a href="${baseUrl}sandbox/${sandboxFile}#variation-${anchor}">Open in sandbox</a></p>`;
+}
+
+// Styles for renderSnippetLinks()
+const SNIPPET_LINKS_CSS = `
+        .snippet-links {
+            font-size: 12px;
+            margin: 6px 0 10px 0;
+        }`;
+
+/**
+ * Write the component sandbox: one page per block type rendering its
+ * variations' snippets with their page's stylesheets, plus an index
+ * @param {Array<Object>} variations - Variations with `snippetPath` and `stylesPath`
+ * @param {Object} dirs - { outputDir, snippetsDir }
+ * @returns {Promise<string|null>} Path to the sandbox index, or null when no snippets were saved
+ */
+async function writeSandbox(variations, { outputDir, snippetsDir }) {
+  const sandboxDir = path.join(outputDir, "sandbox");
+  const snippetsUrl = path
+    .relative(sandboxDir, snippetsDir)
+    .split(path.sep)
+    .join("/");
+
+  const blockTypes = {};
+  variations.forEach((variation, position) => {
+    if (!variation.snippetPath) return;
+    const blockType = getBlockType(variation.classNames);
+    if (!blockTypes[blockType]) blockTypes[blockType] = [];
+    blockTypes[blockType].push({
+      ...variation,
+      anchor: variation.globalIndex ?? position,
+    });
+  });
+  if (Object.keys(blockTypes).length === 0) return null;
+
+  await fs.remove(sandboxDir);
+  await fs.ensureDir(sandboxDir);
+
+  const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+        }
+        .sandbox-item {
+            margin: 30px 0;
+            border-top: 2px solid #e9ecef;
+            padding-top: 15px;
+        }
+        .sandbox-meta {
+            font-size: 13px;
+            color: #555;
+        }
+        .sandbox-frame {
+            display: block;
+            max-width: 100%;
+            border: 1px dashed #adb5bd;
+            background-color: white;
+            margin: 10px 0;
+        }
+        pre {
+            background-color: #f8f9fa;
+            padding: 10px;
+            overflow-x: auto;
+            font-size: 12px;
+            max-height: 400px;
+        }
+        code {
+            background-color: #f1f3f5;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }
+        a {
+            color: #1e40af;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+${body}
+    </div>
+</body>
+</html>`;
+
+  const fileNames = {};
+  for (const [blockType, items] of Object.entries(blockTypes)) {
+    fileNames[blockType] = getSandboxFileName(blockType);
+
+    const itemsHtml = [];
+    for (const variation of items) {
+      const snippetFile = path.join(snippetsDir, variation.snippetPath);
+      if (!(await fs.pathExists(snippetFile))) continue;
+      const markup = await fs.readFile(snippetFile, "utf8");
+
+      // Scripts don't run in the sandboxed frame, only markup and CSS render
+      const frameDoc = `<!DOCTYPE html><html><head><meta charset="UTF-8">${
+        variation.stylesPath
+          ? `<link rel="stylesheet" href="${snippetsUrl}/${variation.stylesPath}">`
+          : ""
+      }</head><body>${markup}</body></html>`;
+      const width = Math.ceil(variation.boundingBox?.width || 1024);
+      const height = Math.max(
+        100,
+        Math.ceil((variation.boundingBox?.height || 300) + 20)
+      );
+
+      itemsHtml.push(`
+        <div class="sandbox-item" id="variation-${variation.anchor}">
+            <h3>${escapeHtml(getBlockDisplayName(blockType))} #${
+        variation.anchor
+      }</h3>
+            <p class="sandbox-meta">
+                ${
+                  variation.pageUrl
+                    ? `From <a href="${escapeHtml(
+                        variation.pageUrl
+                      )}" target="_blank">${escapeHtml(variation.pageUrl)}</a> · `
+                    : ""
+                }<code>${escapeHtml(variation.selector)}</code> ·
+                <a href="${snippetsUrl}/${escapeHtml(
+        variation.snippetPath
+      )}">Snippet</a>${
+        variation.stylesPath
+          ? ` · <a href="${snippetsUrl}/${escapeHtml(
+              variation.stylesPath
+            )}">Stylesheets</a>`
+          : ""
+      }
+            </p>
+            <iframe class="sandbox-frame" sandbox title="${escapeHtml(
+              blockType
+            )} #${variation.anchor}" width="${width}" height="${height}" srcdoc="${escapeHtml(
+        frameDoc
+      )}"></iframe>
+            <details>
+                <summary>Markup</summary>
+                <pre>${escapeHtml(markup)}</pre>
+            </details>
+        </div>`);
+    }
+
+    await fs.writeFile(
+      path.join(sandboxDir, fileNames[blockType]),
+      page(
+        `${getBlockDisplayName(blockType)} Sandbox`,
+        `        <p><a href="index.html">← All block types</a></p>
+        <h1>🧪 ${escapeHtml(getBlockDisplayName(blockType))}</h1>
+        <p>Snippets rendered with the stylesheets of the page they came from. Images and fonts still load from the live site.</p>
+${itemsHtml.join("")}`
+      )
+    );
+  }
+
+  const indexPath = path.join(sandboxDir, "index.html");
+  const linksHtml = Object.entries(blockTypes)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(
+      ([blockType, items]) =>
+        `<li><a href="${fileNames[blockType]}">${escapeHtml(
+          getBlockDisplayName(blockType)
+        )}</a> (${items.length} variation${items.length !== 1 ? "s" : ""})</li>`
+    )
+    .join("\n            ");
+  await fs.writeFile(
+    indexPath,
+    page(
+      "Component Sandbox",
+      `        <h1>🧪 Component Sandbox</h1>
+        <ul>
+            ${linksHtml}
+        </ul>`
+    )
+  );
+
+  console.log(`Component sandbox generated: ${indexPath}`);
+  return indexPath;
+}
+
+module.exports = {
+  readSnippetHtml,
+  readStylesheets,
+  getSandboxFileName,
+  renderSnippetLinks,
+  SNIPPET_LINKS_CSS,
+  writeSandbox,
+};
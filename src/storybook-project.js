@@ -0,0 +1,248 @@
+const fs = require("fs-extra");
+const path = require("path");
+const {
+  getBlockType,
+  getBlockDisplayName,
+  getSourceUrl,
+  getModifierFacets,
+  groupByStyleVariation,
+} = require("./report-helpers");
+
+// Storybook packages the generated project installs
+const STORYBOOK_VERSION = "^8.6.0";
+
+// Rendered by the preview: swaps the page stylesheet a story was captured with
+const PREVIEW_JS = `// Generated by element-scraper, regenerated on every run
+
+const applySiteStyles = (file) => {
+  let link = document.getElementById("site-styles");
+  if (!file) {
+    if (link) link.remove();
+    return;
+  }
+  if (!link) {
+    link = document.createElement("link");
+    link.id = "site-styles";
+    link.rel = "stylesheet";
+    document.head.appendChild(link);
+  }
+  const href = \`styles/\${file}\`;
+  if (link.getAttribute("href") !== href) link.setAttribute("href", href);
+};
+
+export default {
+  decorators: [
+    (story, { parameters }) => {
+      applySiteStyles(parameters.siteStyles);
+      return story();
+    },
+  ],
+  parameters: {
+    layout: "padded",
+  },
+};
+`;
+
+const MAIN_JS = `// Generated by element-scraper, regenerated on every run
+
+/** @type { import("@storybook/html-vite").StorybookConfig } */
+export default {
+  stories: ["../stories/*.stories.js"],
+  addons: ["@storybook/addon-essentials"],
+  framework: {
+    name: "@storybook/html-vite",
+    options: {},
+  },
+  staticDirs: ["../public"],
+};
+`;
+
+/**
+ * Storybook project with one story file per block type and one story per
+ * captured variation, rendering the variation's saved snippet with the
+ * stylesheets of the page it came from. Block types and stories follow the
+ * grouping of the HTML reports.
+ */
+class StorybookProject {
+  /**
+   * @param {Array<Object>} variations - Variations with `snippetPath` and `stylesPath`, in crawl order
+   * @param {Object} options - { snippetsDir }
+   */
+  constructor(variations, { snippetsDir }) {
+    this.snippetsDir = snippetsDir;
+
+    const blockTypes = {};
+    variations.forEach((variation, position) => {
+      if (!variation.snippetPath) return;
+      const blockType = getBlockType(variation.classNames);
+      if (!blockTypes[blockType]) blockTypes[blockType] = [];
+      blockTypes[blockType].push({
+        ...variation,
+        anchor: variation.globalIndex ?? position,
+      });
+    });
+
+    // Block types alphabetically, their variations grouped by style variation
+    this.blockTypes = Object.keys(blockTypes)
+      .sort()
+      .map((blockType) => ({
+        blockType,
+        name: getBlockDisplayName(blockType),
+        fileName: `${blockType.replace(/[^\w-]/g, "_")}.stories.js`,
+        variations: groupByStyleVariation(blockTypes[blockType]).flatMap(
+          ({ style, variations: members }) =>
+            members.map((variation) => ({ ...variation, style }))
+        ),
+      }));
+  }
+
+  /**
+   * Story file of a block type
+   * @param {Object} block - Entry of this.blockTypes
+   * @param {Object} markup - Snippet markup by snippetPath
+   * @returns {string} CSF module source
+   */
+  renderStoryFile(block, markup) {
+    const pages = new Set(block.variations.map(({ pageUrl }) => pageUrl));
+    const stories = block.variations
+      .filter((variation) => markup[variation.snippetPath] !== undefined)
+      .map((variation, index) => {
+        const facets = getModifierFacets(variation.modifiers)
+          .map(({ label, value }) => `${label}: ${value}`)
+          .join(" · ");
+        const sourceUrl = getSourceUrl(variation, variation.pageUrl);
+        const description = [
+          `\`${variation.selector}\`${
+            sourceUrl ? ` on [${variation.pageUrl}](${sourceUrl})` : ""
+          }`,
+          facets,
+        ]
+          .filter(Boolean)
+          .join("\n\n");
+
+        return `
+export const Variation${index + 1} = {
+  name: ${JSON.stringify(
+    `Variation ${index + 1}${
+      variation.style !== "default" ? ` (${variation.style})` : ""
+    }`
+  )},
+  render: () => ${JSON.stringify(markup[variation.snippetPath])},
+  parameters: {
+    siteStyles: ${JSON.stringify(variation.stylesPath || null)},
+    sourceUrl: ${JSON.stringify(sourceUrl)},
+    variationIndex: ${variation.anchor},
+    docs: { description: { story: ${JSON.stringify(description)} } },
+  },
+};
+`;
+      });
+
+    return `// Generated by element-scraper from the captured ${
+      block.blockType
+    } variations.
+// Changes are overwritten on the next run, copy stories elsewhere to edit them.
+
+export default {
+  title: ${JSON.stringify(`Blocks/${block.name}`)},
+  tags: ["autodocs"],
+  parameters: {
+    docs: {
+      description: {
+        component: ${JSON.stringify(
+          `${stories.length} variation${stories.length !== 1 ? "s" : ""} of \`${
+            block.blockType
+          }\` captured from ${pages.size} page${pages.size !== 1 ? "s" : ""}.`
+        )},
+      },
+    },
+  },
+};
+${stories.join("")}`;
+  }
+
+  /**
+   * Write the Storybook project to <outputDir>/storybook. Stories and
+   * stylesheets are replaced on every run, installed packages are kept.
+   * @param {string} outputDir - Run output directory
+   * @returns {Promise<Object|null>} { storybookDir, storyCount }, or null when no snippets were saved
+   */
+  async write(outputDir) {
+    if (this.blockTypes.length === 0) return null;
+
+    const storybookDir = path.join(outputDir, "storybook");
+    const storiesDir = path.join(storybookDir, "stories");
+    const stylesDir = path.join(storybookDir, "public", "styles");
+    await fs.remove(storiesDir);
+    await fs.remove(path.join(storybookDir, "public"));
+    await fs.ensureDir(storiesDir);
+    await fs.ensureDir(stylesDir);
+    await fs.ensureDir(path.join(storybookDir, ".storybook"));
+
+    const markup = {};
+    const stylesheets = new Set();
+    for (const { variations } of this.blockTypes) {
+      for (const { snippetPath, stylesPath } of variations) {
+        const snippetFile = path.join(this.snippetsDir, snippetPath);
+        if (!(await fs.pathExists(snippetFile))) continue;
+        markup[snippetPath] = await fs.readFile(snippetFile, "utf8");
+        if (stylesPath) stylesheets.add(stylesPath);
+      }
+    }
+    for (const file of stylesheets) {
+      const source = path.join(this.snippetsDir, file);
+      if (await fs.pathExists(source)) {
+        await fs.copy(source, path.join(stylesDir, file));
+      }
+    }
+
+    let storyCount = 0;
+    for (const block of this.blockTypes) {
+      const count = block.variations.filter(
+        ({ snippetPath }) => markup[snippetPath] !== undefined
+      ).length;
+      // Storybook rejects story files without stories
+      if (count === 0) continue;
+      storyCount += count;
+      await fs.writeFile(
+        path.join(storiesDir, block.fileName),
+        this.renderStoryFile(block, markup)
+      );
+    }
+
+    await fs.writeFile(
+      path.join(storybookDir, ".storybook", "main.js"),
+      MAIN_JS
+    );
+    await fs.writeFile(
+      path.join(storybookDir, ".storybook", "preview.js"),
+      PREVIEW_JS
+    );
+    await fs.writeJson(
+      path.join(storybookDir, "package.json"),
+      {
+        name: "element-scraper-storybook",
+        private: true,
+        type: "module",
+        scripts: {
+          storybook: "storybook dev -p 6006",
+          "build-storybook": "storybook build",
+        },
+        devDependencies: {
+          "@storybook/addon-essentials": STORYBOOK_VERSION,
+          "@storybook/html-vite": STORYBOOK_VERSION,
+          storybook: STORYBOOK_VERSION,
+          vite: "^6.0.0",
+        },
+      },
+      { spaces: 2 }
+    );
+
+    console.log(
+      `Storybook generated: ${storybookDir} (${storyCount} stories)`
+    );
+    return { storybookDir, storyCount };
+  }
+}
+
+module.exports = StorybookProject;
@@ -0,0 +1,601 @@
+const fs = require("fs-extra");
+const path = require("path");
+const ImageTools = require("./image-tools");
+const RunArchive = require("./run-archive");
+const {
+  escapeHtml,
+  getBlockType,
+  getBlockDisplayName,
+} = require("./report-helpers");
+
+/**
+ * Baseline visual regression: approve a run's screenshots as the baseline,
+ * then compare later runs against it with pixel diffs
+ */
+class VisualRegression {
+  /**
+   * @param {Object} options - Regression options
+   * @param {string} options.outputDir - Directory of the run to approve or compare, or a run archive to use the latest run of (default: 'output')
+   * @param {string} options.baselineDir - Where the approved baseline is kept (default: 'baseline')
+   * @param {number} options.threshold - Share of differing pixels (0-1) above which a variation counts as changed (default: 0.01)
+   * @param {number} options.colorThreshold - Max per-channel difference (0-255) still treated as the same pixel (default: 32)
+   */
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || "output";
+    this.baselineDir = options.baselineDir || "baseline";
+    this.threshold = options.threshold ?? 0.01;
+    this.colorThreshold = options.colorThreshold ?? 32;
+    this.diffDir = path.join(this.outputDir, "visual-diff");
+  }
+
+  /**
+   * Key used to match a variation against its baseline entry. Selectors
+   * contain nth-child positions that shift when content is added, so the
+   * key is built from the page and the element's tag and classes instead.
+   * @param {Object} variation - Variation from variations.json
+   * @returns {string} Matching key
+   */
+  static getVariationKey(variation) {
+    const classes = [...variation.classNames].sort().join(" ");
+    return `${variation.pageUrl || ""}|${variation.tagName}|${classes}`;
+  }
+
+  /**
+   * Names of the viewports to compare for a matched pair. Runs from before
+   * multi-viewport capture have no `viewports` map and yield [null].
+   * @param {Object} before - Baseline variation
+   * @param {Object} after - Current variation
+   * @returns {Array<string|null>} Viewport names
+   */
+  static getCaptureNames(before, after) {
+    const names = new Set([
+      ...Object.keys(before.viewports || {}),
+      ...Object.keys(after.viewports || {}),
+    ]);
+    return names.size > 0 ? [...names] : [null];
+  }
+
+  /**
+   * Screenshot file of a variation at a viewport (null for the top-level one)
+   */
+  static getScreenshot(variation, viewportName) {
+    if (viewportName === null) {
+      return variation.screenshotPath || null;
+    }
+    const capture = (variation.viewports || {})[viewportName];
+    return (capture && capture.screenshotPath) || null;
+  }
+
+  /**
+   * Every screenshot and thumbnail file a variation refers to, across all
+   * viewports and states
+   */
+  static getScreenshotFiles(variation) {
+    const files = new Set();
+    [
+      variation,
+      ...Object.values(variation.viewports || {}),
+      ...(variation.states || []),
+    ].forEach(({ screenshotPath, thumbnailPath }) => {
+      if (screenshotPath) files.add(screenshotPath);
+      if (thumbnailPath) files.add(thumbnailPath);
+    });
+    return [...files];
+  }
+
+  /**
+   * Resolve outputDir to the run it refers to, see RunArchive.resolveRunDir()
+   * @private
+   */
+  async _resolveOutputDir() {
+    this.outputDir = await RunArchive.resolveRunDir(this.outputDir);
+    this.diffDir = path.join(this.outputDir, "visual-diff");
+  }
+
+  /**
+   * Load variations.json and the screenshots directory of a run
+   * @private
+   */
+  async _loadRun(dir) {
+    const jsonPath = path.join(dir, "variations.json");
+    if (!(await fs.pathExists(jsonPath))) {
+      throw new Error(
+        `No variations.json found in ${dir}. Run a scrape first.`
+      );
+    }
+
+    const data = await fs.readJson(jsonPath);
+    return {
+      data,
+      screenshotsDir: path.join(dir, data.run.screenshotsDir || "screenshots"),
+    };
+  }
+
+  /**
+   * Save the current run's screenshots and variation data as the approved baseline
+   * @returns {Promise<Object>} { baselineDir, variationCount, screenshotCount }
+   */
+  async approve() {
+    await this._resolveOutputDir();
+    const { data, screenshotsDir } = await this._loadRun(this.outputDir);
+    const baselineScreenshotsDir = path.join(this.baselineDir, "screenshots");
+
+    console.log(`📌 Approving ${this.outputDir} as the new baseline...`);
+    await fs.emptyDir(this.baselineDir);
+    await fs.ensureDir(baselineScreenshotsDir);
+
+    let screenshotCount = 0;
+    for (const variation of data.variations) {
+      for (const file of VisualRegression.getScreenshotFiles(variation)) {
+        const source = path.join(screenshotsDir, file);
+        if (await fs.pathExists(source)) {
+          await fs.copy(source, path.join(baselineScreenshotsDir, file));
+          screenshotCount++;
+        }
+      }
+    }
+
+    data.run.screenshotsDir = "screenshots";
+    await fs.writeJson(path.join(this.baselineDir, "variations.json"), data, {
+      spaces: 2,
+    });
+
+    console.log(
+      `✅ Baseline saved to ${this.baselineDir} (${data.variations.length} variations, ${screenshotCount} screenshots)`
+    );
+
+    return {
+      baselineDir: this.baselineDir,
+      variationCount: data.variations.length,
+      screenshotCount,
+    };
+  }
+
+  /**
+   * Whether a comparison fails. Variations that appeared or disappeared
+   * can't be diffed, so they fail it just like a change above the threshold.
+   * @param {Object} results - { changed, added, removed } from compare()
+   * @returns {boolean}
+   */
+  static exceedsThreshold({ changed, added, removed }) {
+    return changed.length + added.length + removed.length > 0;
+  }
+
+  /**
+   * Pair current variations with baseline variations by key. Variations
+   * sharing a key on the same page are paired in the order they were found.
+   * @param {Array<Object>} baselineVariations - Variations from the baseline
+   * @param {Array<Object>} currentVariations - Variations from the current run
+   * @returns {Object} { pairs, added, removed }
+   */
+  matchVariations(baselineVariations, currentVariations) {
+    const baselineByKey = new Map();
+    baselineVariations.forEach((variation) => {
+      const key = VisualRegression.getVariationKey(variation);
+      if (!baselineByKey.has(key)) {
+        baselineByKey.set(key, []);
+      }
+      baselineByKey.get(key).push(variation);
+    });
+
+    const pairs = [];
+    const added = [];
+
+    currentVariations.forEach((variation) => {
+      const candidates = baselineByKey.get(
+        VisualRegression.getVariationKey(variation)
+      );
+      if (candidates && candidates.length > 0) {
+        pairs.push({ baseline: candidates.shift(), current: variation });
+      } else {
+        added.push(variation);
+      }
+    });
+
+    const removed = [...baselineByKey.values()].flat();
+
+    return { pairs, added, removed };
+  }
+
+  /**
+   * Compare the current run against the approved baseline
+   * @returns {Promise<Object>} Summary including report paths and whether the threshold was exceeded
+   */
+  async compare() {
+    await this._resolveOutputDir();
+    const baseline = await this._loadRun(this.baselineDir);
+    const current = await this._loadRun(this.outputDir);
+
+    console.log(
+      `🔍 Comparing ${current.data.variations.length} variations against baseline (${baseline.data.variations.length} variations)...`
+    );
+
+    const { pairs, added, removed } = this.matchVariations(
+      baseline.data.variations,
+      current.data.variations
+    );
+
+    await fs.emptyDir(this.diffDir);
+    const baselineCopyDir = path.join(this.diffDir, "baseline");
+
+    const changed = [];
+    const unchanged = [];
+    // Only started once a pair needs a pixel diff, so comparisons of
+    // new and removed variations don't need a working browser
+    let imageTools = null;
+
+    try {
+      for (const { baseline: before, current: after } of pairs) {
+        for (const viewportName of VisualRegression.getCaptureNames(
+          before,
+          after
+        )) {
+          const beforeShot = VisualRegression.getScreenshot(
+            before,
+            viewportName
+          );
+          const afterShot = VisualRegression.getScreenshot(after, viewportName);
+          const entry = {
+            key: VisualRegression.getVariationKey(after),
+            viewport: viewportName,
+            baseline: before,
+            current: after,
+            baselineScreenshot: beforeShot,
+            currentScreenshot: afterShot,
+            mismatchRatio: 0,
+            diffPixels: 0,
+            diffImage: null,
+            sideBySideImage: null,
+            reason: null,
+          };
+
+          const beforePath = beforeShot
+            ? path.join(baseline.screenshotsDir, beforeShot)
+            : null;
+          const afterPath = afterShot
+            ? path.join(current.screenshotsDir, afterShot)
+            : null;
+          const hasBefore = beforePath && (await fs.pathExists(beforePath));
+          const hasAfter = afterPath && (await fs.pathExists(afterPath));
+
+          if (!hasBefore && !hasAfter) {
+            unchanged.push(entry);
+            continue;
+          }
+
+          if (hasBefore) {
+            await fs.copy(beforePath, path.join(baselineCopyDir, beforeShot));
+          }
+
+          if (hasBefore !== hasAfter) {
+            entry.mismatchRatio = 1;
+            entry.reason = hasAfter
+              ? "Screenshot missing from baseline"
+              : "Screenshot missing from current run";
+            changed.push(entry);
+            continue;
+          }
+
+          const diffNumber = changed.length + unchanged.length;
+          const diffName = `diff_${diffNumber}.png`;
+          const sideBySideName = `side_by_side_${diffNumber}.png`;
+
+          try {
+            imageTools = imageTools || (await ImageTools.launch());
+            const result = await imageTools.diff(beforePath, afterPath, {
+              colorThreshold: this.colorThreshold,
+              diffPath: path.join(this.diffDir, diffName),
+              sideBySidePath: path.join(this.diffDir, sideBySideName),
+            });
+
+            entry.mismatchRatio = result.mismatchRatio;
+            entry.diffPixels = result.diffPixels;
+            if (result.diffPixels > 0) {
+              entry.diffImage = diffName;
+              entry.sideBySideImage = sideBySideName;
+            }
+          } catch (error) {
+            entry.mismatchRatio = 1;
+            entry.reason = `Could not diff screenshots: ${error.message}`;
+          }
+
+          if (entry.mismatchRatio > this.threshold) {
+            changed.push(entry);
+          } else {
+            unchanged.push(entry);
+          }
+        }
+      }
+    } finally {
+      if (imageTools) await imageTools.close();
+    }
+
+    for (const variation of removed) {
+      for (const file of VisualRegression.getScreenshotFiles(variation)) {
+        const source = path.join(baseline.screenshotsDir, file);
+        if (await fs.pathExists(source)) {
+          await fs.copy(source, path.join(baselineCopyDir, file));
+        }
+      }
+    }
+
+    const summary = {
+      threshold: this.threshold,
+      colorThreshold: this.colorThreshold,
+      baselineGeneratedAt: baseline.data.run.finishedAt,
+      currentGeneratedAt: current.data.run.finishedAt,
+      changed: changed.length,
+      added: added.length,
+      removed: removed.length,
+      unchanged: unchanged.length,
+      exceedsThreshold: VisualRegression.exceedsThreshold({
+        changed,
+        added,
+        removed,
+      }),
+    };
+
+    const jsonPath = path.join(this.outputDir, "visual-diff.json");
+    await fs.writeJson(
+      jsonPath,
+      {
+        summary,
+        changed: changed.map(
+          ({ baseline: before, current: after, ...rest }) => rest
+        ),
+        added: added.map((v) => VisualRegression.getVariationKey(v)),
+        removed: removed.map((v) => VisualRegression.getVariationKey(v)),
+      },
+      { spaces: 2 }
+    );
+
+    const reportPath = await this.generateReport(
+      { changed, added, removed },
+      summary,
+      current.data.run.screenshotsDir || "screenshots"
+    );
+
+    console.log(
+      `📊 ${changed.length} changed, ${added.length} new, ${removed.length} removed, ${unchanged.length} unchanged`
+    );
+
+    return { ...summary, reportPath, jsonPath };
+  }
+
+  /**
+   * Generate the HTML report of changed, new and removed variations
+   */
+  async generateReport(results, summary, currentScreenshotsDir) {
+    const reportPath = path.join(this.outputDir, "visual_diff_report.html");
+    const baselineImagesDir = path
+      .relative(this.outputDir, path.join(this.diffDir, "baseline"))
+      .split(path.sep)
+      .join("/");
+    const diffImagesDir = path
+      .relative(this.outputDir, this.diffDir)
+      .split(path.sep)
+      .join("/");
+
+    const describeVariation = (variation) => `
+              <p><strong>Block:</strong> ${escapeHtml(
+                getBlockDisplayName(getBlockType(variation.classNames))
+              )}</p>
+              <p><strong>Page:</strong> <a href="${escapeHtml(
+                variation.pageUrl
+              )}" target="_blank">${escapeHtml(variation.pageUrl)}</a></p>
+              <p><strong>Selector:</strong> <code>${escapeHtml(
+                variation.selector
+              )}</code></p>`;
+
+    const imageOrPlaceholder = (src, alt) =>
+      src
+        ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(
+            alt
+          )}" class="screenshot">`
+        : "<p>No screenshot available</p>";
+
+    const changedHtml = results.changed
+      .map(
+        (entry) => `
+        <div class="diff-item changed">
+            <h3>${(entry.mismatchRatio * 100).toFixed(2)}% of pixels changed${
+              entry.viewport ? ` at ${escapeHtml(entry.viewport)}` : ""
+            }</h3>
+            ${entry.reason ? `<p class="reason">${escapeHtml(entry.reason)}</p>` : ""}
+            <div class="metadata">${describeVariation(entry.current)}</div>
+            <div class="side-by-side">
+                <figure>
+                    <figcaption>Baseline</figcaption>
+                    ${imageOrPlaceholder(
+                      entry.baselineScreenshot &&
+                        `${baselineImagesDir}/${entry.baselineScreenshot}`,
+                      "Baseline screenshot"
+                    )}
+                </figure>
+                <figure>
+                    <figcaption>Current</figcaption>
+                    ${imageOrPlaceholder(
+                      entry.currentScreenshot &&
+                        `${currentScreenshotsDir}/${entry.currentScreenshot}`,
+                      "Current screenshot"
+                    )}
+                </figure>
+                <figure>
+                    <figcaption>Diff overlay</figcaption>
+                    ${imageOrPlaceholder(
+                      entry.diffImage && `${diffImagesDir}/${entry.diffImage}`,
+                      "Pixel diff overlay"
+                    )}
+                </figure>
+            </div>
+            ${
+              entry.sideBySideImage
+                ? `<p><a href="${escapeHtml(
+                    `${diffImagesDir}/${entry.sideBySideImage}`
+                  )}" target="_blank">Open side-by-side image</a></p>`
+                : ""
+            }
+        </div>`
+      )
+      .join("");
+
+    const singleHtml = (variations, className, imagesDir) =>
+      variations
+        .map(
+          (variation) => `
+        <div class="diff-item ${className}">
+            ${imageOrPlaceholder(
+              variation.screenshotPath &&
+                `${imagesDir}/${variation.screenshotPath}`,
+              "Variation screenshot"
+            )}
+            <div class="metadata">${describeVariation(variation)}</div>
+        </div>`
+        )
+        .join("");
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Visual Regression Report</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background-color: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+            text-align: center;
+        }
+        .summary {
+            background-color: #f8f9fa;
+            padding: 15px;
+            border-radius: 5px;
+            margin: 20px 0;
+        }
+        .summary.failed {
+            background-color: #fff5f5;
+            border: 1px solid #fed7d7;
+        }
+        .diff-item {
+            border: 1px solid #ddd;
+            border-left-width: 6px;
+            border-radius: 6px;
+            padding: 12px;
+            margin: 15px 0;
+        }
+        .diff-item.changed { border-left-color: #e53e3e; }
+        .diff-item.added { border-left-color: #38a169; }
+        .diff-item.removed { border-left-color: #718096; }
+        .diff-item h3 {
+            margin: 0 0 10px 0;
+            color: #c53030;
+            font-size: 1em;
+        }
+        .reason {
+            color: #e53e3e;
+            font-size: 12px;
+        }
+        .side-by-side {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 10px;
+        }
+        figure {
+            margin: 0;
+        }
+        figcaption {
+            font-size: 12px;
+            font-weight: bold;
+            color: #495057;
+            margin-bottom: 4px;
+        }
+        .screenshot {
+            max-width: 100%;
+            height: auto;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+        .metadata {
+            font-size: 12px;
+        }
+        .metadata p {
+            margin: 6px 0;
+        }
+        code {
+            background-color: #f8f9fa;
+            padding: 2px 4px;
+            border-radius: 3px;
+            font-size: 11px;
+        }
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(350px, 1fr));
+            gap: 15px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔬 Visual Regression Report</h1>
+
+        <div class="summary${summary.exceedsThreshold ? " failed" : ""}">
+            <h2>Summary</h2>
+            <p><strong>Result:</strong> ${
+              summary.exceedsThreshold
+                ? "❌ Differences above threshold, or new or removed variations"
+                : "✅ No differences above threshold"
+            }</p>
+            <p><strong>Threshold:</strong> ${(summary.threshold * 100).toFixed(
+              2
+            )}% of pixels per variation</p>
+            <p><strong>Changed:</strong> ${summary.changed}</p>
+            <p><strong>New:</strong> ${summary.added}</p>
+            <p><strong>Removed:</strong> ${summary.removed}</p>
+            <p><strong>Unchanged:</strong> ${summary.unchanged}</p>
+            <p><strong>Baseline from:</strong> ${escapeHtml(
+              summary.baselineGeneratedAt
+            )}</p>
+            <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+        </div>
+
+        <h2>Changed Variations (${results.changed.length})</h2>
+        ${changedHtml || "<p>No changed variations.</p>"}
+
+        <h2>New Variations (${results.added.length})</h2>
+        <div class="grid">
+            ${
+              singleHtml(results.added, "added", currentScreenshotsDir) ||
+              "<p>No new variations.</p>"
+            }
+        </div>
+
+        <h2>Removed Variations (${results.removed.length})</h2>
+        <div class="grid">
+            ${
+              singleHtml(results.removed, "removed", baselineImagesDir) ||
+              "<p>No removed variations.</p>"
+            }
+        </div>
+    </div>
+</body>
+</html>`;
+
+    await fs.writeFile(reportPath, html);
+    console.log(`Report generated: ${reportPath}`);
+    return reportPath;
+  }
+}
+
+module.exports = VisualRegression;
@@ -32,6 +32,21 @@ async function testScraper() {
     const reportPath = await scraper.generateReport();
     console.log(`✅ Report generated at: ${reportPath}\n`);
 
+    // Test JSON export
+    console.log("6. Testing JSON export...");
+    const jsonPath = await scraper.generateJsonExport({
+      mode: "single",
+      config: { url: "data:text/html", selector: "button", variationClassPrefix: "btn" },
+      startedAt: new Date(),
+      scrapedUrls: ["data:text/html"],
+      failedUrls: [],
+    });
+    const exported = require("fs-extra").readJsonSync(jsonPath);
+    if (exported.variations.length !== variations.length) {
+      throw new Error("JSON export does not match the found variations");
+    }
+    console.log(`✅ JSON export generated at: ${jsonPath}\n`);
+
     // Cleanup
     if (scraper.browser) {
       await scraper.browser.close();
@@ -0,0 +1,187 @@
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const fs = require("fs-extra");
+const ConfigLoader = require("../src/config-loader");
+const { expectEqual, expectRejects } = require("./helpers");
+
+const PRESETS = {
+  base: {
+    url: "https://a.test/",
+    selector: ".wp-block",
+    variationClassPrefix: "wp-block-",
+    maxUrls: 5,
+  },
+};
+
+/**
+ * Run the CLI and resolve with its exit code and output
+ * @private
+ */
+function runCli(args) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [path.join(__dirname, "..", "cli.js"), ...args],
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, output: stdout + stderr });
+      }
+    );
+  });
+}
+
+async function testConfigLoader() {
+  console.log("🧪 Testing ConfigLoader...\n");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "config-loader-"));
+
+  try {
+    console.log("1. Testing extends chains...");
+    {
+      await fs.writeFile(
+        path.join(dir, "site.yaml"),
+        [
+          "configs:",
+          "  parent:",
+          "    extends: base",
+          "    maxUrls: 20",
+          "    includePatterns: [/decking/]",
+          "  child:",
+          "    extends: parent",
+          "    includePatterns: [/railing/]",
+        ].join("\n")
+      );
+      const { configs, sources } = await ConfigLoader.load(
+        path.join(dir, "site.yaml"),
+        PRESETS
+      );
+
+      expectEqual(
+        configs.child,
+        {
+          ...PRESETS.base,
+          maxUrls: 20,
+          includePatterns: ["/railing/"],
+        },
+        "children should override their parents key by key, replacing arrays"
+      );
+      expectEqual(
+        sources.child,
+        path.join(dir, "site.yaml"),
+        "each configuration should record its file"
+      );
+    }
+    console.log("✅ extends chains resolved\n");
+
+    console.log("2. Testing extends cycles...");
+    {
+      const raw = {
+        a: { extends: "b" },
+        b: { extends: "c" },
+        c: { extends: "a" },
+      };
+      let message = null;
+      try {
+        ConfigLoader.resolve("a", raw, PRESETS);
+      } catch (error) {
+        message = error.message;
+      }
+      expectEqual(
+        message,
+        "extends cycle: a -> b -> c -> a",
+        "a cycle should be reported with its chain"
+      );
+      expectEqual(
+        ConfigLoader.resolve("base", { base: { extends: "base" } }, PRESETS),
+        PRESETS.base,
+        "a config may extend the preset it shadows"
+      );
+    }
+    console.log("✅ Cycles detected\n");
+
+    console.log("3. Testing validation errors...");
+    {
+      const errors = ConfigLoader.validate({
+        url: "ftp://a.test/",
+        selector: ".a >",
+        maxUrl: 10,
+        concurrency: 0,
+        viewports: [
+          { name: "desktop", width: 1024, height: 768 },
+          { name: "desktop", width: 375, height: 812 },
+          { name: "my phone", width: 375, height: 812 },
+        ],
+      });
+      expectEqual(
+        errors,
+        [
+          'has unknown key "maxUrl" (did you mean "maxUrls"?)',
+          "concurrency must be >= 1",
+          'viewports[2].name must match pattern "^[A-Za-z0-9_-]+$"',
+          'url "ftp://a.test/" must use http or https',
+          'viewports[1].name "desktop" is already used',
+          'selector ".a >" ends with a combinator',
+        ],
+        "every problem should be reported"
+      );
+      expectEqual(
+        ConfigLoader.validate({ ...PRESETS.base }),
+        [],
+        "a valid configuration should have no errors"
+      );
+    }
+    console.log(
+      "✅ Unknown keys, bad values and duplicate viewports reported\n"
+    );
+
+    console.log("4. Testing load() collects errors of every file...");
+    {
+      const broken = path.join(dir, "broken");
+      await fs.outputFile(
+        path.join(broken, "a.json"),
+        JSON.stringify({ url: "https://a.test/", selectr: ".a" })
+      );
+      await fs.outputFile(path.join(broken, "b.yaml"), "extends: missing\n");
+      const error = await expectRejects(
+        () => ConfigLoader.load(broken, PRESETS),
+        /Invalid configuration/,
+        "load() should reject invalid files"
+      );
+      expectEqual(
+        error.errors.map((line) => line.replace(broken + path.sep, "")),
+        [
+          'a (a.json): is missing required key "selector"',
+          'a (a.json): has unknown key "selectr" (did you mean "selector"?)',
+          'b (b.yaml): extends unknown configuration "missing"',
+        ],
+        "errors should name the configuration and file"
+      );
+    }
+    console.log("✅ Errors name their configuration and file\n");
+
+    console.log("5. Testing the CLI exits with 78 on invalid config files...");
+    {
+      const { code, output } = await runCli([
+        "list-configs",
+        "--config",
+        path.join(dir, "broken"),
+      ]);
+      expectEqual(code, 78, "an invalid config file should exit with 78");
+      if (!output.includes('extends unknown configuration "missing"')) {
+        throw new Error(`The CLI should print the problems, got:\n${output}`);
+      }
+    }
+    console.log("✅ Exit code 78\n");
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testConfigLoader().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testConfigLoader;
@@ -0,0 +1,219 @@
+const CrawlPool = require("../src/crawl-pool");
+const { expectEqual, expectRejects, useFakeTimers } = require("./helpers");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Crawl a fixed list of URLs, taking `durations[url]` ms per page
+ * @returns {Object} { promise, committed, processed } - processed lists { worker, url, start, end }
+ */
+function crawl(pool, workers, urls, durations, clock) {
+  const queue = [...urls];
+  const committed = [];
+  const processed = [];
+
+  const promise = pool.run(workers, {
+    nextJob: () => (queue.length > 0 ? { url: queue.shift() } : null),
+    processJob: async (worker, job) => {
+      const start = clock.now();
+      await sleep(durations[job.url] || 0);
+      processed.push({ worker, url: job.url, start, end: clock.now() });
+      return job.url.toUpperCase();
+    },
+    commitResult: (job, result) => committed.push(result),
+  });
+
+  return { promise, committed, processed };
+}
+
+async function testCrawlPool() {
+  console.log("🧪 Testing CrawlPool...\n");
+  const clock = useFakeTimers();
+
+  try {
+    console.log("1. Testing results are committed in queue order...");
+    {
+      const pool = new CrawlPool();
+      const urls = ["https://a.test/1", "https://b.test/2", "https://c.test/3"];
+      const run = crawl(
+        pool,
+        ["w1", "w2", "w3"],
+        urls,
+        {
+          "https://a.test/1": 300,
+          "https://b.test/2": 100,
+          "https://c.test/3": 200,
+        },
+        clock
+      );
+      await clock.run(run.promise);
+
+      expectEqual(
+        run.processed.map(({ url }) => url),
+        ["https://b.test/2", "https://c.test/3", "https://a.test/1"],
+        "pages should finish in order of their duration"
+      );
+      expectEqual(
+        run.committed,
+        ["HTTPS://A.TEST/1", "HTTPS://B.TEST/2", "HTTPS://C.TEST/3"],
+        "results should be committed in dispatch order"
+      );
+    }
+    console.log("✅ Results committed in order\n");
+
+    console.log("2. Testing the per-host limit...");
+    {
+      const pool = new CrawlPool({ perHostConcurrency: 2 });
+      const urls = [1, 2, 3, 4, 5, 6].map((n) => `https://a.test/${n}`);
+      const durations = Object.fromEntries(urls.map((url) => [url, 100]));
+      const run = crawl(pool, ["w1", "w2", "w3", "w4"], urls, durations, clock);
+      const start = clock.now();
+      await clock.run(run.promise);
+
+      const maxActive = Math.max(
+        ...run.processed.map(
+          ({ start }) =>
+            run.processed.filter(
+              (page) => page.start <= start && page.end > start
+            ).length
+        )
+      );
+      expectEqual(
+        maxActive,
+        2,
+        "at most 2 pages of a host should load at once"
+      );
+      expectEqual(
+        clock.now() - start,
+        300,
+        "6 pages of 100ms two at a time should take 300ms"
+      );
+      expectEqual(run.committed.length, 6, "every page should be committed");
+    }
+    console.log("✅ Per-host limit respected\n");
+
+    console.log("3. Testing hosts don't share the limit...");
+    {
+      const pool = new CrawlPool({ perHostConcurrency: 1 });
+      const urls = ["https://a.test/1", "https://b.test/1", "https://a.test/2"];
+      const durations = Object.fromEntries(urls.map((url) => [url, 100]));
+      const run = crawl(pool, ["w1", "w2"], urls, durations, clock);
+      const start = clock.now();
+      await clock.run(run.promise);
+
+      expectEqual(
+        run.processed.map(({ url, start: pageStart }) => [
+          url,
+          pageStart - start,
+        ]),
+        [
+          ["https://a.test/1", 0],
+          ["https://b.test/1", 0],
+          ["https://a.test/2", 100],
+        ],
+        "other hosts should load while a host is at its limit"
+      );
+    }
+    console.log("✅ Limits are per host\n");
+
+    console.log("4. Testing committed results can queue more jobs...");
+    {
+      const pool = new CrawlPool();
+      const queue = ["https://a.test/"];
+      const committed = [];
+      const promise = pool.run(["w1", "w2"], {
+        nextJob: () => (queue.length > 0 ? { url: queue.shift() } : null),
+        processJob: async (worker, job) => {
+          await sleep(10);
+          return job.url;
+        },
+        commitResult: (job, result) => {
+          committed.push(result);
+          // Each page links to the next one, up to a depth of 3
+          if (committed.length < 3) {
+            queue.push(`https://a.test/${committed.length}`);
+          }
+        },
+      });
+      await clock.run(promise);
+
+      expectEqual(
+        committed,
+        ["https://a.test/", "https://a.test/1", "https://a.test/2"],
+        "jobs queued by commitResult should be crawled"
+      );
+    }
+    console.log("✅ Jobs queued while crawling are processed\n");
+
+    console.log("5. Testing a handler error rejects the run...");
+    {
+      const pool = new CrawlPool();
+      const queue = ["https://a.test/1", "https://a.test/2"];
+      await expectRejects(
+        () =>
+          clock.run(
+            pool.run(["w1", "w2"], {
+              nextJob: () => (queue.length > 0 ? { url: queue.shift() } : null),
+              processJob: async () => sleep(10),
+              commitResult: () => {
+                throw new Error("commit failed");
+              },
+            })
+          ),
+        /commit failed/,
+        "run() should reject with the handler's error"
+      );
+    }
+    console.log("✅ Handler errors are reported\n");
+
+    console.log("6. Testing a host delay spaces pages across workers...");
+    {
+      const pool = new CrawlPool({
+        perHostConcurrency: 2,
+        hostDelays: new Map([["a.test", 1000]]),
+      });
+      const urls = [
+        "https://a.test/1",
+        "https://a.test/2",
+        "https://b.test/1",
+        "https://a.test/3",
+      ];
+      const durations = Object.fromEntries(urls.map((url) => [url, 100]));
+      const run = crawl(pool, ["w1", "w2"], urls, durations, clock);
+      const start = clock.now();
+      await clock.run(run.promise);
+
+      const starts = (host) =>
+        run.processed
+          .filter(({ url }) => url.startsWith(`https://${host}/`))
+          .map((page) => [page.worker, page.start - start]);
+      expectEqual(
+        starts("a.test"),
+        [
+          ["w1", 0],
+          ["w2", 1000],
+          ["w1", 2000],
+        ],
+        "pages of a delayed host should start a delay apart, whichever worker loads them"
+      );
+      expectEqual(
+        starts("b.test"),
+        [["w1", 100]],
+        "other hosts should not wait for the delay"
+      );
+    }
+    console.log("✅ Host delays respected across workers\n");
+  } finally {
+    clock.restore();
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testCrawlPool().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testCrawlPool;
@@ -0,0 +1,177 @@
+const DesignTokens = require("../src/design-tokens");
+const { expectEqual } = require("./helpers");
+
+const variation = (globalIndex, blockType, element, descendants = []) => ({
+  globalIndex,
+  pageUrl: "https://a.test/",
+  selector: `.${blockType}:nth-child(${globalIndex + 1})`,
+  classNames: [blockType],
+  computedStyles: { element, descendants },
+});
+
+const VARIATIONS = [
+  variation(0, "wp-block-button", {
+    color: "rgb(0, 115, 170)",
+    "background-color": "rgba(0, 0, 0, 0)", // Transparent, not a token
+    "border-top": "0px none rgb(9, 9, 9)", // No border, not a token
+    "font-family": '"Inter", sans-serif',
+    "font-size": "16px",
+    padding: "0px 16px",
+  }),
+  variation(
+    1,
+    "wp-block-group",
+    {
+      color: "rgb(0, 115, 170)",
+      "font-family": "Inter, Arial",
+      "font-size": "16.4px",
+      padding: "16px",
+      gap: "24px",
+    },
+    [
+      {
+        selector: "h2",
+        element: "h2",
+        styles: {
+          color: "rgb(2, 116, 171)",
+          "font-family": "Georgia, serif",
+          "font-size": "18px",
+        },
+      },
+    ]
+  ),
+  variation(2, "wp-block-heading", {
+    color: "rgb(255, 0, 0)",
+    "font-size": "16px",
+  }),
+  { globalIndex: 3, classNames: ["wp-block-spacer"], computedStyles: null },
+];
+
+// The parts of a token the clustering decides
+const summarize = (tokens) =>
+  tokens.map(({ value, count, variationCount, oneOff, values }) => ({
+    value,
+    count,
+    variationCount,
+    oneOff,
+    values: values.map((member) => member.value),
+  }));
+
+async function testDesignTokens() {
+  console.log("🧪 Testing DesignTokens...\n");
+  const { categories } = new DesignTokens(VARIATIONS);
+
+  console.log("1. Testing color clustering...");
+  expectEqual(
+    summarize(categories.colors),
+    [
+      {
+        value: "#0073aa",
+        count: 3,
+        variationCount: 2,
+        oneOff: false,
+        values: ["#0073aa", "#0274ab"],
+      },
+      {
+        value: "#ff0000",
+        count: 1,
+        variationCount: 1,
+        oneOff: true,
+        values: ["#ff0000"],
+      },
+    ],
+    "near-identical colors should join the most used one"
+  );
+  expectEqual(
+    categories.colors[0].properties,
+    ["color"],
+    "transparent colors and colors of absent borders should be ignored"
+  );
+  console.log("✅ Colors clustered\n");
+
+  console.log("2. Testing font size and spacing clustering...");
+  expectEqual(
+    summarize(categories.fontSizes),
+    [
+      {
+        value: "16px",
+        count: 3,
+        variationCount: 3,
+        oneOff: false,
+        values: ["16px", "16.4px"],
+      },
+      {
+        value: "18px",
+        count: 1,
+        variationCount: 1,
+        oneOff: true,
+        values: ["18px"],
+      },
+    ],
+    "font sizes within 0.5px should be one token"
+  );
+  expectEqual(
+    summarize(categories.spacing),
+    [
+      {
+        value: "16px",
+        count: 2,
+        variationCount: 2,
+        oneOff: false,
+        values: ["16px"],
+      },
+      {
+        value: "24px",
+        count: 1,
+        variationCount: 1,
+        oneOff: true,
+        values: ["24px"],
+      },
+    ],
+    "spacing should skip 0px and keep each side's value"
+  );
+  console.log("✅ Sizes clustered\n");
+
+  console.log("3. Testing font stacks cluster on their primary family...");
+  expectEqual(
+    summarize(categories.fontFamilies),
+    [
+      {
+        value: "Inter, Arial",
+        count: 2,
+        variationCount: 2,
+        oneOff: false,
+        values: ["Inter, Arial", "Inter, sans-serif"],
+      },
+      {
+        value: "Georgia, serif",
+        count: 1,
+        variationCount: 1,
+        oneOff: true,
+        values: ["Georgia, serif"],
+      },
+    ],
+    "stacks sharing a primary family should be one token"
+  );
+  console.log("✅ Font stacks clustered\n");
+
+  console.log("4. Testing tokens link back to their variations...");
+  expectEqual(
+    categories.fontSizes[0].variations.map(
+      ({ globalIndex, blockType }) => `${globalIndex}:${blockType}`
+    ),
+    ["0:wp-block-button", "1:wp-block-group", "2:wp-block-heading"],
+    "tokens should list their variations in run order"
+  );
+  console.log("✅ Variations referenced\n");
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testDesignTokens().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testDesignTokens;
@@ -0,0 +1,111 @@
+/**
+ * Small helpers shared by the unit tests, which run with plain node and
+ * need neither a browser nor a test framework
+ */
+
+/**
+ * Throw when two values differ, comparing plain data structurally
+ * @param {*} actual - Value under test
+ * @param {*} expected - Expected value
+ * @param {string} message - What was checked
+ */
+function expectEqual(actual, expected, message) {
+  const actualJson = JSON.stringify(actual);
+  const expectedJson = JSON.stringify(expected);
+  if (actualJson !== expectedJson) {
+    throw new Error(
+      `${message}\n  expected: ${expectedJson}\n  actual:   ${actualJson}`
+    );
+  }
+}
+
+/**
+ * Throw unless an async function rejects with a message matching a pattern
+ * @param {Function} fn - async () => void expected to reject
+ * @param {RegExp} pattern - Expected error message
+ * @param {string} message - What was checked
+ * @returns {Promise<Error>} The thrown error
+ */
+async function expectRejects(fn, pattern, message) {
+  try {
+    await fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(
+        `${message}\n  expected an error matching ${pattern}\n  got: ${error.message}`
+      );
+    }
+    return error;
+  }
+  throw new Error(`${message}\n  expected an error matching ${pattern}`);
+}
+
+/**
+ * Replace setTimeout and Date.now with a fake clock that only moves when
+ * timers are run, so delays can be tested without waiting for them
+ * @returns {Object} { now(), run(promise), restore() }
+ */
+function useFakeTimers() {
+  const realSetTimeout = global.setTimeout;
+  const realClearTimeout = global.clearTimeout;
+  const realNow = Date.now;
+  const timers = [];
+  let now = 0;
+  let sequence = 0;
+
+  global.setTimeout = (fn, ms = 0, ...args) => {
+    const timer = { at: now + Math.max(0, ms), id: sequence++, fn, args };
+    timers.push(timer);
+    return timer;
+  };
+  global.clearTimeout = (timer) => {
+    const index = timers.indexOf(timer);
+    if (index !== -1) timers.splice(index, 1);
+  };
+  Date.now = () => now;
+
+  // setImmediate is left alone: it runs once pending promise callbacks settle
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  return {
+    now: () => now,
+
+    /**
+     * Fire timers in order of their due time until a promise settles
+     * @param {Promise} promise - Work driven by the fake timers
+     * @returns {Promise} The same promise
+     */
+    async run(promise) {
+      let settled = false;
+      promise.then(
+        () => (settled = true),
+        () => (settled = true)
+      );
+
+      for (;;) {
+        await flush();
+        if (settled) break;
+        if (timers.length === 0) {
+          throw new Error("Nothing left to run, but the promise is pending");
+        }
+        timers.sort((a, b) => a.at - b.at || a.id - b.id);
+        const timer = timers.shift();
+        now = timer.at;
+        timer.fn(...timer.args);
+      }
+      return promise;
+    },
+
+    restore() {
+      global.setTimeout = realSetTimeout;
+      global.clearTimeout = realClearTimeout;
+      Date.now = realNow;
+    },
+  };
+}
+
+module.exports = {
+  expectEqual,
+  expectRejects,
+  useFakeTimers,
+};
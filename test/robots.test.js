@@ -0,0 +1,207 @@
+const http = require("http");
+const RobotsTxt = require("../src/robots");
+const { expectEqual } = require("./helpers");
+
+const ROBOTS = `
+# Comments and blank lines are ignored
+User-agent: *
+Disallow: /private/
+Allow: /private/press/
+Disallow: /*.pdf$
+Disallow: /search
+Allow: /search/help
+Disallow:
+Crawl-delay: 2
+
+User-agent: ElementScraper
+User-agent: OtherBot
+Disallow: /drafts/
+Allow: /drafts/public
+Disallow: /drafts/public
+Crawl-delay: 5
+
+Sitemap: https://a.test/extra-sitemap.xml
+`;
+
+const allowed = (robots, url) => robots.check(url).allowed;
+
+/**
+ * Serve fixed responses by path on a random local port
+ * @returns {Promise<Object>} { origin, close() }
+ */
+function serve(routes) {
+  const server = http.createServer((request, response) => {
+    const route = routes[request.url] || { status: 404 };
+    response.writeHead(route.status, route.headers || {});
+    response.end(route.body || "");
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+async function testRobots() {
+  console.log("🧪 Testing robots.txt parsing and matching...\n");
+
+  console.log("1. Testing group selection...");
+  {
+    const ours = new RobotsTxt(ROBOTS, "ElementScraper/1.0.0");
+    expectEqual(
+      ours.group.agent,
+      "elementscraper",
+      "our product token should pick its group"
+    );
+    expectEqual(
+      ours.getCrawlDelay(),
+      5,
+      "the group's Crawl-delay should apply"
+    );
+    expectEqual(
+      allowed(ours, "https://a.test/private/x"),
+      true,
+      "* rules should not apply when a group names us"
+    );
+
+    const other = new RobotsTxt(ROBOTS, "SomeBrowser/2.0");
+    expectEqual(other.group.agent, "*", "unknown agents should fall back to *");
+    expectEqual(other.getCrawlDelay(), 2, "the * Crawl-delay should apply");
+    expectEqual(
+      ours.sitemaps,
+      ["https://a.test/extra-sitemap.xml"],
+      "Sitemap: lines should be collected outside of groups"
+    );
+  }
+  console.log("✅ Groups selected by product token\n");
+
+  console.log("2. Testing Allow/Disallow precedence...");
+  {
+    const robots = new RobotsTxt(ROBOTS, "SomeBrowser/2.0");
+    const cases = [
+      ["https://a.test/", true],
+      ["https://a.test/private/", false],
+      ["https://a.test/private/press/2024", true], // Longer Allow wins
+      ["https://a.test/search?q=deck", false],
+      ["https://a.test/search/help", true],
+      ["https://a.test/files/guide.pdf", false], // * and $ wildcards
+      ["https://a.test/files/guide.pdf?download=1", true], // $ anchors the end
+    ];
+    expectEqual(
+      cases.map(([url]) => [url, allowed(robots, url)]),
+      cases,
+      "the longest matching rule should decide"
+    );
+
+    const ours = new RobotsTxt(ROBOTS, "ElementScraper/1.0.0");
+    expectEqual(
+      allowed(ours, "https://a.test/drafts/public"),
+      true,
+      "Allow should win a tie with an equally long Disallow"
+    );
+    expectEqual(
+      ours.check("https://a.test/drafts/x").reason,
+      "robots.txt Disallow: /drafts/ (user-agent: elementscraper)",
+      "blocked URLs should name the deciding rule"
+    );
+    expectEqual(
+      allowed(new RobotsTxt("", "ElementScraper/1.0.0"), "https://a.test/x"),
+      true,
+      "an empty robots.txt should allow everything"
+    );
+  }
+  console.log("✅ Longest match wins, Allow wins ties\n");
+
+  console.log("3. Testing fetching robots.txt...");
+  const server = await serve({
+    "/robots.txt": { status: 301, headers: { Location: "/moved/robots.txt" } },
+    "/moved/robots.txt": {
+      status: 200,
+      body: "User-agent: *\nDisallow: /shop/",
+    },
+  });
+  const failing = await serve({
+    "/robots.txt": { status: 503 },
+  });
+  const looping = await serve({
+    "/robots.txt": { status: 302, headers: { Location: "/robots.txt" } },
+  });
+  const missing = await serve({});
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    const redirected = await RobotsTxt.fetch(
+      `${server.origin}/`,
+      "ElementScraper/1.0.0"
+    );
+    const notFound = await RobotsTxt.fetch(
+      `${missing.origin}/`,
+      "ElementScraper/1.0.0"
+    );
+    const serverError = await RobotsTxt.fetch(
+      `${failing.origin}/`,
+      "ElementScraper/1.0.0"
+    );
+    const tooManyRedirects = await RobotsTxt.fetch(
+      `${looping.origin}/`,
+      "ElementScraper/1.0.0"
+    );
+    await missing.close();
+    const unreachable = await RobotsTxt.fetch(
+      `${missing.origin}/`,
+      "ElementScraper/1.0.0"
+    );
+    console.log = log;
+
+    expectEqual(
+      [
+        allowed(redirected, `${server.origin}/shop/`),
+        allowed(redirected, `${server.origin}/`),
+      ],
+      [false, true],
+      "redirects should be followed to the rules"
+    );
+    expectEqual(
+      allowed(notFound, `${missing.origin}/shop/`),
+      true,
+      "a 404 should allow everything"
+    );
+    expectEqual(
+      serverError.check(`${failing.origin}/`),
+      {
+        allowed: false,
+        reason: "robots.txt unreachable (HTTP 503: Service Unavailable)",
+      },
+      "a 5xx should disallow the whole host"
+    );
+    expectEqual(
+      allowed(tooManyRedirects, `${looping.origin}/`),
+      false,
+      "endless redirects should disallow the whole host"
+    );
+    expectEqual(
+      allowed(unreachable, `${missing.origin}/`),
+      false,
+      "an unreachable host should be disallowed"
+    );
+  } finally {
+    console.log = log;
+    await Promise.all([server.close(), failing.close(), looping.close()]);
+  }
+  console.log("✅ 4xx allows everything, 5xx and unreachable hosts nothing\n");
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testRobots().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testRobots;
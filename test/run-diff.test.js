@@ -0,0 +1,272 @@
+const RunDiff = require("../src/run-diff");
+const { expectEqual } = require("./helpers");
+
+const variation = (page, classNames, nthChild, globalIndex) => ({
+  pageUrl: `https://a.test/${page}`,
+  tagName: "div",
+  classNames,
+  selector: `div:nth-child(${nthChild})`,
+  globalIndex,
+  screenshotPath: `element_${globalIndex}.png`,
+});
+
+// Runs as returned by RunDiff._loadRun()
+const loadedRun = (id, variations, scraped, failed) => ({
+  id,
+  data: {
+    run: {
+      scrapedUrls: scraped.map((page) => `https://a.test/${page}`),
+      failedUrls: failed.map((page) => ({
+        url: `https://a.test/${page}`,
+        error: "Timeout",
+      })),
+    },
+    variations,
+  },
+  screenshotsDir: "screenshots",
+});
+
+const BEFORE = loadedRun(
+  "2026-10-12T02-00-00Z",
+  [
+    variation("a", ["wp-block-button", "is-style-fill"], 1, 0),
+    variation("a", ["wp-block-button", "has-primary-color"], 2, 1),
+    variation("a", ["wp-block-quote"], 3, 2),
+    variation("b", ["wp-block-cover", "alignwide"], 1, 3),
+    variation("c", ["wp-block-gallery"], 1, 4),
+    variation("gone", ["wp-block-group"], 1, 5),
+  ],
+  ["a", "b", "c", "gone", "flaky"],
+  ["flaky"]
+);
+
+const AFTER = loadedRun(
+  "2026-10-19T02-00-00Z",
+  [
+    variation("a", ["wp-block-button", "is-style-outline"], 1, 0),
+    variation("a", ["wp-block-button", "has-primary-color"], 2, 1),
+    variation("a", ["wp-block-button"], 4, 2),
+    variation("b", ["wp-block-cover", "alignfull"], 2, 3),
+    variation("b", ["wp-block-table"], 5, 4),
+    variation("new", ["wp-block-group"], 1, 5),
+    variation("flaky", ["wp-block-group"], 1, 6),
+  ],
+  ["a", "b", "c", "new", "flaky"],
+  ["c"]
+);
+
+async function testRunDiff() {
+  console.log("🧪 Testing RunDiff...\n");
+  const diff = new RunDiff({ outputDir: "output" });
+
+  console.log("1. Testing pairBy...");
+  {
+    const item = (key, id) => ({ key, id });
+    const { pairs, added, removed } = RunDiff.pairBy(
+      [item("x", 1), item("x", 2), item("y", 3)],
+      [item("x", 4), item("z", 5), item("x", 6), item("x", 7)],
+      ({ key }) => key
+    );
+    expectEqual(
+      pairs.map(({ before, after }) => [before.id, after.id]),
+      [
+        [1, 4],
+        [2, 6],
+      ],
+      "variations sharing a key should pair up in order"
+    );
+    expectEqual(
+      added.map(({ id }) => id),
+      [5, 7],
+      "unpaired newer variations should be added"
+    );
+    expectEqual(
+      removed.map(({ id }) => id),
+      [3],
+      "unpaired older variations should be removed"
+    );
+  }
+  console.log("✅ Variations paired in order\n");
+
+  console.log("2. Testing block types of failed pages don't count...");
+  {
+    const { added, removed, changed } = diff.diffBlockTypes(BEFORE, AFTER);
+    const describe = (entries) =>
+      entries.map(({ blockType, before, after, pages }) => ({
+        blockType,
+        before,
+        after,
+        pages,
+      }));
+    expectEqual(
+      describe(added),
+      [
+        {
+          blockType: "wp-block-table",
+          before: 0,
+          after: 1,
+          pages: ["https://a.test/b"],
+        },
+      ],
+      "block types new on a page of both runs should appear"
+    );
+    expectEqual(
+      describe(removed),
+      [
+        {
+          blockType: "wp-block-quote",
+          before: 1,
+          after: 0,
+          pages: ["https://a.test/a"],
+        },
+      ],
+      "the gallery of the page that failed in the newer run should not disappear"
+    );
+    expectEqual(
+      describe(changed),
+      [{ blockType: "wp-block-button", before: 2, after: 3, pages: undefined }],
+      "counts should only cover pages both runs scraped"
+    );
+  }
+  console.log("✅ Block types counted on pages of both runs\n");
+
+  console.log("3. Testing the class diff...");
+  {
+    const changes = diff.diffClasses(BEFORE, AFTER);
+    expectEqual(
+      changes.map(({ pageUrl, blockType, addedClasses, removedClasses }) => ({
+        pageUrl,
+        blockType,
+        addedClasses,
+        removedClasses,
+      })),
+      [
+        {
+          pageUrl: "https://a.test/a",
+          blockType: "wp-block-button",
+          addedClasses: ["is-style-outline"],
+          removedClasses: ["is-style-fill"],
+        },
+        {
+          pageUrl: "https://a.test/b",
+          blockType: "wp-block-cover",
+          addedClasses: ["alignfull"],
+          removedClasses: ["alignwide"],
+        },
+      ],
+      "unchanged variations should match first, then by selector, then by block type"
+    );
+    expectEqual(
+      [changes[0].before.screenshotPath, changes[0].after.globalIndex],
+      ["screenshots/element_0.png", 0],
+      "changes should point at both runs' captures"
+    );
+  }
+  console.log("✅ Class changes matched\n");
+
+  console.log("4. Testing page and failure diffs...");
+  {
+    const pages = diff.diffPages(BEFORE, AFTER);
+    expectEqual(
+      pages.changed.map(({ url, gained, lost }) => [
+        url,
+        gained.map(({ blockType }) => blockType),
+        lost.map(({ blockType }) => blockType),
+      ]),
+      [
+        ["https://a.test/a", ["wp-block-button"], ["wp-block-quote"]],
+        ["https://a.test/b", ["wp-block-table"], []],
+      ],
+      "pages of both runs should list the block types they gained and lost"
+    );
+    expectEqual(
+      [pages.added, pages.removed],
+      [
+        [{ url: "https://a.test/new", blocks: 1 }],
+        [{ url: "https://a.test/gone", blocks: 1 }],
+      ],
+      "pages only one run attempted should be listed, failed ones should not"
+    );
+
+    const failures = diff.diffFailures(BEFORE, AFTER);
+    expectEqual(
+      [failures.newlyFailed, failures.recovered].map((entries) =>
+        entries.map(({ url }) => url)
+      ),
+      [["https://a.test/c"], ["https://a.test/flaky"]],
+      "newly failed and recovered pages should be listed"
+    );
+  }
+  console.log("✅ Pages and failures diffed\n");
+
+  console.log("5. Testing pages found by following links are compared...");
+  {
+    // Both runs start from the home page and discover the other pages
+    const crawled = (id, variations, pages, failed) => {
+      const run = loadedRun(id, variations, ["home"], failed);
+      run.data.run.crawledUrls = pages.map((page) => `https://a.test/${page}`);
+      return run;
+    };
+    const before = crawled(
+      "2026-10-12T02-00-00Z",
+      [
+        variation("home", ["wp-block-group"], 1, 0),
+        variation("linked", ["wp-block-cover"], 1, 1),
+        variation("linked", ["wp-block-button", "is-style-fill"], 2, 2),
+      ],
+      ["home", "linked", "flaky"],
+      ["flaky"]
+    );
+    const after = crawled(
+      "2026-10-19T02-00-00Z",
+      [
+        variation("home", ["wp-block-group"], 1, 0),
+        variation("linked", ["wp-block-table"], 1, 1),
+        variation("linked", ["wp-block-button", "is-style-outline"], 2, 2),
+        variation("flaky", ["wp-block-quote"], 1, 3),
+      ],
+      ["home", "linked", "flaky"],
+      []
+    );
+
+    const blockTypes = diff.diffBlockTypes(before, after);
+    expectEqual(
+      [blockTypes.added, blockTypes.removed].map((entries) =>
+        entries.map(({ blockType, pages }) => [blockType, pages])
+      ),
+      [
+        [["wp-block-table", ["https://a.test/linked"]]],
+        [["wp-block-cover", ["https://a.test/linked"]]],
+      ],
+      "block types of discovered pages should be compared"
+    );
+    expectEqual(
+      diff
+        .diffClasses(before, after)
+        .map(({ pageUrl, addedClasses }) => [pageUrl, addedClasses]),
+      [["https://a.test/linked", ["is-style-outline"]]],
+      "class changes on discovered pages should be listed"
+    );
+    expectEqual(
+      diff.diffPages(before, after).changed.map(({ url }) => url),
+      ["https://a.test/linked"],
+      "discovered pages should be diffed"
+    );
+    expectEqual(
+      diff.diffFailures(before, after).recovered.map(({ url }) => url),
+      ["https://a.test/flaky"],
+      "discovered pages that no longer fail should have recovered"
+    );
+  }
+  console.log("✅ Discovered pages compared\n");
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testRunDiff().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testRunDiff;
@@ -0,0 +1,110 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const SiteBuilder = require("../src/site-builder");
+const scrapingConfigs = require("../config/scraping-configs");
+const {
+  resolveScreenshotSettings,
+  needsProcessing,
+} = require("../src/screenshot-settings");
+const { expectEqual } = require("./helpers");
+
+// A run of the published preset, with the thumbnails it writes
+const RUN = {
+  schemaVersion: 2,
+  run: {
+    mode: "sitemap",
+    config: { url: "https://a.test/" },
+    screenshotsDir: "screenshots",
+    snippetsDir: "snippets",
+    scrapedUrls: ["https://a.test/"],
+    failedUrls: [],
+  },
+  stats: {},
+  variations: [
+    {
+      index: 0,
+      globalIndex: 0,
+      pageUrl: "https://a.test/",
+      tagName: "div",
+      selector: ".wp-block-button",
+      actualSelector: "div:nth-child(1)",
+      classNames: ["wp-block-button"],
+      screenshotPath: "page1_element_0_desktop.png",
+      thumbnailPath: "page1_element_0_desktop_thumb.png",
+    },
+  ],
+};
+
+async function testSiteBuilder() {
+  console.log("🧪 Testing SiteBuilder...\n");
+
+  console.log("1. Testing the published preset writes thumbnails...");
+  {
+    const settings = resolveScreenshotSettings(
+      scrapingConfigs["timbertech-sitemap"].screenshots
+    );
+    expectEqual(
+      [settings.thumbnailWidth, needsProcessing(settings)],
+      [320, true],
+      "timbertech-sitemap should write 320px thumbnails"
+    );
+  }
+  console.log("✅ Thumbnails turned on\n");
+
+  console.log("2. Testing the site shows thumbnails...");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "site-builder-"));
+  const log = console.log;
+  try {
+    const outputDir = path.join(dir, "output");
+    const siteDir = path.join(dir, "pages");
+    await fs.outputJson(path.join(outputDir, "variations.json"), RUN);
+    for (const file of [
+      "page1_element_0_desktop.png",
+      "page1_element_0_desktop_thumb.png",
+    ]) {
+      await fs.outputFile(path.join(outputDir, "screenshots", file), "");
+    }
+
+    console.log = () => {};
+    await new SiteBuilder({ outputDir, siteDir }).build();
+    console.log = log;
+
+    const blockPage = await fs.readFile(
+      path.join(siteDir, "block", "wp-block-button.html"),
+      "utf8"
+    );
+    expectEqual(
+      [...blockPage.matchAll(/<img src="([^"]+)"/g)].map((match) => match[1]),
+      ["../screenshots/page1_element_0_desktop_thumb.png"],
+      "cards should show the thumbnail"
+    );
+    expectEqual(
+      await fs.pathExists(
+        path.join(siteDir, "screenshots", "page1_element_0_desktop_thumb.png")
+      ),
+      true,
+      "thumbnails should be published"
+    );
+    const [entry] = await fs.readJson(path.join(siteDir, "search-index.json"));
+    expectEqual(
+      entry.thumbnailPath,
+      "screenshots/page1_element_0_desktop_thumb.png",
+      "search results should show the thumbnail"
+    );
+  } finally {
+    console.log = log;
+    await fs.remove(dir);
+  }
+  console.log("✅ Site uses thumbnail paths\n");
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testSiteBuilder().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testSiteBuilder;
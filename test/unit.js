@@ -0,0 +1,31 @@
+/**
+ * Runs the unit tests of the modules that don't need a browser. The
+ * browser-driven scraper test lives in ../test.js.
+ */
+const suites = [
+  require("./crawl-pool.test"),
+  require("./robots.test"),
+  require("./config-loader.test"),
+  require("./design-tokens.test"),
+  require("./run-diff.test"),
+  require("./visual-regression.test"),
+  require("./site-builder.test"),
+];
+
+async function runUnitTests() {
+  for (const suite of suites) {
+    await suite();
+  }
+  console.log("🎉 All unit tests passed!\n");
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runUnitTests().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    console.error("Stack trace:", error.stack);
+    process.exit(1);
+  });
+}
+
+module.exports = runUnitTests;
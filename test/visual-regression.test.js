@@ -0,0 +1,140 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const ImageTools = require("../src/image-tools");
+const VisualRegression = require("../src/visual-regression");
+const { expectEqual } = require("./helpers");
+
+const variation = (page, classNames, globalIndex) => ({
+  pageUrl: `https://a.test/${page}`,
+  tagName: "div",
+  classNames,
+  globalIndex,
+});
+
+async function testVisualRegression() {
+  console.log("🧪 Testing VisualRegression...\n");
+  const regression = new VisualRegression();
+
+  console.log("1. Testing variations are matched to the baseline...");
+  const { pairs, added, removed } = regression.matchVariations(
+    [
+      variation("a", ["wp-block-button", "is-style-fill"], 0),
+      variation("a", ["wp-block-button"], 1),
+      variation("a", ["wp-block-button"], 2),
+      variation("b", ["wp-block-quote"], 3),
+    ],
+    [
+      variation("a", ["is-style-fill", "wp-block-button"], 0),
+      variation("a", ["wp-block-button"], 1),
+      variation("b", ["wp-block-table"], 2),
+    ]
+  );
+  expectEqual(
+    pairs.map(({ baseline, current }) => [
+      baseline.globalIndex,
+      current.globalIndex,
+    ]),
+    [
+      [0, 0],
+      [1, 1],
+    ],
+    "variations should pair by page, tag and classes in page order"
+  );
+  expectEqual(
+    [
+      added.map(({ globalIndex }) => globalIndex),
+      removed.map(({ globalIndex }) => globalIndex),
+    ],
+    [[2], [2, 3]],
+    "unmatched variations should be new or removed"
+  );
+  console.log("✅ Variations matched\n");
+
+  console.log("2. Testing new and removed variations fail the comparison...");
+  const none = [];
+  expectEqual(
+    [
+      VisualRegression.exceedsThreshold({
+        changed: none,
+        added: none,
+        removed: none,
+      }),
+      VisualRegression.exceedsThreshold({
+        changed: none,
+        added,
+        removed: none,
+      }),
+      VisualRegression.exceedsThreshold({
+        changed: none,
+        added: none,
+        removed,
+      }),
+      VisualRegression.exceedsThreshold({
+        changed: [{}],
+        added: none,
+        removed: none,
+      }),
+    ],
+    [false, true, true, true],
+    "changed, new and removed variations should all fail"
+  );
+  console.log("✅ New and removed variations fail\n");
+
+  console.log("3. Testing compare() only starts a browser to diff pixels...");
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "visual-regression-"));
+  const { launch } = ImageTools;
+  const log = console.log;
+  try {
+    const writeRun = (runDir, variations) =>
+      fs.outputJson(path.join(runDir, "variations.json"), {
+        run: { screenshotsDir: "screenshots" },
+        variations,
+      });
+    const baselineDir = path.join(dir, "baseline");
+    const outputDir = path.join(dir, "output");
+    await writeRun(baselineDir, [
+      variation("a", ["wp-block-quote"], 0),
+      { ...variation("a", ["wp-block-button"], 1), screenshotPath: "b.png" },
+    ]);
+    await writeRun(outputDir, [
+      variation("a", ["wp-block-table"], 0),
+      { ...variation("a", ["wp-block-button"], 1), screenshotPath: "c.png" },
+    ]);
+    await fs.outputFile(path.join(baselineDir, "screenshots", "b.png"), "");
+
+    let launched = false;
+    ImageTools.launch = async () => {
+      launched = true;
+      throw new Error("No browser");
+    };
+    console.log = () => {};
+    const result = await new VisualRegression({
+      outputDir,
+      baselineDir,
+    }).compare();
+    console.log = log;
+
+    expectEqual(
+      [result.changed, result.added, result.removed, result.exceedsThreshold],
+      [1, 1, 1, true],
+      "a missing screenshot, a new and a removed variation should fail"
+    );
+    expectEqual(launched, false, "no browser should be started");
+  } finally {
+    ImageTools.launch = launch;
+    console.log = log;
+    await fs.remove(dir);
+  }
+  console.log("✅ No browser needed without pixel diffs\n");
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  testVisualRegression().catch((error) => {
+    console.error("❌ Test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testVisualRegression;
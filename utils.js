@@ -2,17 +2,36 @@ const path = require("path");
 const fs = require("fs-extra");
 const https = require("https");
 const http = require("http");
+const RunArchive = require("./src/run-archive");
+
+// Redirects _fetchUrl() follows before giving up (RFC 9309 asks for at least 5)
+const MAX_REDIRECTS = 5;
 
 /**
  * Helper utilities for the Element Scraper project
  */
 class ScraperUtils {
+  /**
+   * Find the HTML report of the latest run
+   * @param {string} outputDir - Output directory or run archive (default: 'output')
+   * @returns {Promise<string>} Path to the report (which may not exist yet)
+   */
+  static async findLatestReport(outputDir = "output") {
+    const runDir = await RunArchive.resolveRunDir(outputDir);
+    const sitemapReport = path.join(runDir, "sitemap_variations_report.html");
+    return (await fs.pathExists(sitemapReport))
+      ? sitemapReport
+      : path.join(runDir, "variations_report.html");
+  }
+
   /**
    * Open the generated HTML report in the default browser
-   * @param {string} reportPath - Path to the HTML report
+   * @param {string} reportPath - Path to the HTML report (default: the latest run's)
    */
-  static async openReport(reportPath = "output/variations_report.html") {
-    const fullPath = path.resolve(reportPath);
+  static async openReport(reportPath) {
+    const fullPath = path.resolve(
+      reportPath || (await this.findLatestReport())
+    );
 
     if (!(await fs.pathExists(fullPath))) {
       console.log(
@@ -57,8 +76,8 @@ class ScraperUtils {
    * Get project statistics
    */
   static async getStats() {
-    const outputDir = "output";
-    const screenshotsDir = path.join(outputDir, "screenshots");
+    const reportPath = await this.findLatestReport();
+    const screenshotsDir = path.join(path.dirname(reportPath), "screenshots");
 
     let stats = {
       hasReport: false,
@@ -67,7 +86,6 @@ class ScraperUtils {
     };
 
     // Check if report exists
-    const reportPath = path.join(outputDir, "variations_report.html");
     if (await fs.pathExists(reportPath)) {
       stats.hasReport = true;
       const reportStat = await fs.stat(reportPath);
@@ -116,10 +134,25 @@ class ScraperUtils {
    * @returns {Promise<Array<string>>} Array of URLs from sitemap
    */
   static async fetchSitemapUrls(baseUrl, options = {}) {
+    const entries = await this.fetchSitemapEntries(baseUrl, options);
+    return entries.map((entry) => entry.loc);
+  }
+
+  /**
+   * Fetch and parse sitemap.xml from a website, keeping each URL's metadata
+   * @param {string} baseUrl - Base URL of the website (e.g., 'https://example.com')
+   * @param {Object} options - Same options as fetchSitemapUrls(), plus:
+   * @param {Array<string>} options.additionalSitemaps - Extra sitemap URLs to read, e.g. from robots.txt Sitemap: lines (default: none)
+   * @param {string} options.userAgent - User-Agent header for the requests (default: Node's)
+   * @returns {Promise<Array<Object>>} Entries of { loc, lastmod, changefreq, priority } (missing fields are null)
+   */
+  static async fetchSitemapEntries(baseUrl, options = {}) {
     const {
       maxUrls = 50,
       includePatterns = [],
       excludePatterns = [],
+      additionalSitemaps = [],
+      userAgent,
     } = options;
 
     console.log(`🗺️  Fetching sitemap from: ${baseUrl}`);
@@ -141,7 +174,7 @@ class ScraperUtils {
       for (const sitemapUrl of sitemapUrls) {
         try {
           console.log(`🔍 Trying: ${sitemapUrl}`);
-          sitemapContent = await this._fetchUrl(sitemapUrl);
+          sitemapContent = await this._fetchUrl(sitemapUrl, { userAgent });
           usedSitemapUrl = sitemapUrl;
           console.log(`✅ Successfully fetched: ${sitemapUrl}`);
           break;
@@ -151,63 +184,41 @@ class ScraperUtils {
         }
       }
 
-      if (!sitemapContent) {
+      if (!sitemapContent && additionalSitemaps.length === 0) {
         throw new Error(
           "No accessible sitemap found (tried sitemap_index.xml and sitemap.xml)"
         );
       }
 
-      // Parse XML to extract URLs
+      // Parse XML to extract URL entries
       let urls = [];
+      if (sitemapContent) {
+        urls = await this._readSitemapEntries(sitemapContent, { userAgent });
+      }
 
-      // Check if this is a sitemap index (contains <sitemap> tags with <loc> for other sitemaps)
-      if (
-        sitemapContent.includes("<sitemap>") &&
-        sitemapContent.includes("<sitemapindex>")
-      ) {
-        console.log(
-          "📑 Detected sitemap index, fetching individual sitemaps..."
-        );
+      // Sitemaps announced elsewhere (robots.txt) are read as well
+      for (const sitemapUrl of additionalSitemaps) {
+        if (sitemapUrl === usedSitemapUrl) continue;
 
-        // Extract sitemap URLs from the index
-        const sitemapUrls = this._parseSitemapXml(sitemapContent);
-        console.log(`📋 Found ${sitemapUrls.length} sitemaps in index`);
-
-        // Fetch URLs from each sitemap (limit to first 3 sitemaps to avoid overwhelming)
-        const maxSitemaps = 3;
-        for (let i = 0; i < Math.min(sitemapUrls.length, maxSitemaps); i++) {
-          const sitemapUrl = sitemapUrls[i];
-          try {
-            console.log(
-              `🔍 Fetching sitemap ${i + 1}/${Math.min(
-                sitemapUrls.length,
-                maxSitemaps
-              )}: ${sitemapUrl}`
-            );
-            const individualSitemapContent = await this._fetchUrl(sitemapUrl);
-            const sitemapUrls = this._parseSitemapXml(individualSitemapContent);
-            urls.push(...sitemapUrls);
-            console.log(
-              `   ✅ Added ${sitemapUrls.length} URLs from this sitemap`
-            );
-          } catch (error) {
-            console.log(
-              `   ❌ Failed to fetch ${sitemapUrl}: ${error.message}`
-            );
-            continue;
-          }
-        }
-
-        if (sitemapUrls.length > maxSitemaps) {
-          console.log(
-            `📏 Limited to first ${maxSitemaps} sitemaps (of ${sitemapUrls.length} total)`
+        try {
+          console.log(`🔍 Fetching declared sitemap: ${sitemapUrl}`);
+          const content = await this._fetchUrl(sitemapUrl, { userAgent });
+          urls.push(
+            ...(await this._readSitemapEntries(content, { userAgent }))
           );
+        } catch (error) {
+          console.log(`❌ Failed to fetch ${sitemapUrl}: ${error.message}`);
         }
-      } else {
-        // Regular sitemap, parse directly
-        urls = this._parseSitemapXml(sitemapContent);
       }
 
+      // The same page can be listed by several sitemaps, keep its first entry
+      const seenLocs = new Set();
+      urls = urls.filter((entry) => {
+        if (seenLocs.has(entry.loc)) return false;
+        seenLocs.add(entry.loc);
+        return true;
+      });
+
       console.log(`📋 Found ${urls.length} total URLs from sitemap(s)`);
 
       // Filter URLs based on patterns
@@ -215,8 +226,8 @@ class ScraperUtils {
 
       // Apply include patterns
       if (includePatterns.length > 0) {
-        filteredUrls = filteredUrls.filter((url) =>
-          includePatterns.some((pattern) => url.includes(pattern))
+        filteredUrls = filteredUrls.filter((entry) =>
+          includePatterns.some((pattern) => entry.loc.includes(pattern))
         );
         console.log(`🔍 After include filters: ${filteredUrls.length} URLs`);
       }
@@ -224,7 +235,8 @@ class ScraperUtils {
       // Apply exclude patterns
       if (excludePatterns.length > 0) {
         filteredUrls = filteredUrls.filter(
-          (url) => !excludePatterns.some((pattern) => url.includes(pattern))
+          (entry) =>
+            !excludePatterns.some((pattern) => entry.loc.includes(pattern))
         );
         console.log(`🚫 After exclude filters: ${filteredUrls.length} URLs`);
       }
@@ -246,18 +258,99 @@ class ScraperUtils {
   }
 
   /**
-   * Fetch content from a URL
+   * Read the URL entries of a sitemap, following a sitemap index one level down
+   * @private
+   */
+  static async _readSitemapEntries(sitemapContent, { userAgent } = {}) {
+    // Check if this is a sitemap index (contains <sitemap> tags with <loc> for other sitemaps)
+    if (
+      !sitemapContent.includes("<sitemap>") ||
+      !sitemapContent.includes("<sitemapindex>")
+    ) {
+      // Regular sitemap, parse directly
+      return this._parseSitemapXml(sitemapContent);
+    }
+
+    console.log("📑 Detected sitemap index, fetching individual sitemaps...");
+
+    // Extract sitemap URLs from the index
+    const sitemapUrls = this._parseSitemapXml(sitemapContent).map(
+      (entry) => entry.loc
+    );
+    console.log(`📋 Found ${sitemapUrls.length} sitemaps in index`);
+
+    // Fetch URLs from each sitemap (limit to first 3 sitemaps to avoid overwhelming)
+    const urls = [];
+    const maxSitemaps = 3;
+    for (let i = 0; i < Math.min(sitemapUrls.length, maxSitemaps); i++) {
+      const sitemapUrl = sitemapUrls[i];
+      try {
+        console.log(
+          `🔍 Fetching sitemap ${i + 1}/${Math.min(
+            sitemapUrls.length,
+            maxSitemaps
+          )}: ${sitemapUrl}`
+        );
+        const individualSitemapContent = await this._fetchUrl(sitemapUrl, {
+          userAgent,
+        });
+        const sitemapEntries = this._parseSitemapXml(individualSitemapContent);
+        urls.push(...sitemapEntries);
+        console.log(
+          `   ✅ Added ${sitemapEntries.length} URLs from this sitemap`
+        );
+      } catch (error) {
+        console.log(`   ❌ Failed to fetch ${sitemapUrl}: ${error.message}`);
+        continue;
+      }
+    }
+
+    if (sitemapUrls.length > maxSitemaps) {
+      console.log(
+        `📏 Limited to first ${maxSitemaps} sitemaps (of ${sitemapUrls.length} total)`
+      );
+    }
+
+    return urls;
+  }
+
+  /**
+   * Fetch content from a URL, following up to MAX_REDIRECTS redirects.
+   * Errors for non-2xx responses carry the response's `statusCode`.
+   * @param {string} url - URL to fetch
+   * @param {Object} options - { userAgent } sent as the User-Agent header when set
+   * @param {number} redirects - Redirects followed so far
    * @private
    */
-  static _fetchUrl(url) {
+  static _fetchUrl(url, options = {}, redirects = 0) {
     return new Promise((resolve, reject) => {
       const client = url.startsWith("https:") ? https : http;
+      const headers = options.userAgent
+        ? { "User-Agent": options.userAgent }
+        : {};
+
+      const request = client.get(url, { headers }, (response) => {
+        const { statusCode, statusMessage } = response;
+        const { location } = response.headers;
+
+        if (statusCode >= 300 && statusCode < 400 && location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject(
+              new Error(`Too many redirects (more than ${MAX_REDIRECTS})`)
+            );
+            return;
+          }
+          const redirectUrl = new URL(location, url).href;
+          resolve(this._fetchUrl(redirectUrl, options, redirects + 1));
+          return;
+        }
 
-      const request = client.get(url, (response) => {
-        if (response.statusCode < 200 || response.statusCode >= 300) {
-          reject(
-            new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`)
-          );
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          const error = new Error(`HTTP ${statusCode}: ${statusMessage}`);
+          error.statusCode = statusCode;
+          reject(error);
           return;
         }
 
@@ -283,34 +376,75 @@ class ScraperUtils {
   }
 
   /**
-   * Parse sitemap XML to extract URLs
+   * Parse sitemap XML to extract URL entries with their metadata
    * @private
+   * @returns {Array<Object>} Entries of { loc, lastmod, changefreq, priority }
    */
   static _parseSitemapXml(xmlContent) {
-    const urls = [];
+    const entries = [];
 
-    // Simple regex-based XML parsing for <loc> tags
+    // Simple regex-based XML parsing of <url> and <sitemap> blocks
     // This handles both regular sitemaps and sitemap index files
-    const locRegex = /<loc[^>]*>(.*?)<\/loc>/gi;
+    const blockRegex = /<(url|sitemap)\b[^>]*>([\s\S]*?)<\/\1>/gi;
     let match;
 
-    while ((match = locRegex.exec(xmlContent)) !== null) {
-      let url = match[1].trim();
+    while ((match = blockRegex.exec(xmlContent)) !== null) {
+      const block = match[2];
+      const loc = this._getXmlTag(block, "loc");
+
+      if (loc && this._isValidUrl(loc)) {
+        const priority = parseFloat(this._getXmlTag(block, "priority"));
+        entries.push({
+          loc,
+          lastmod: this._getXmlTag(block, "lastmod"),
+          changefreq: this._getXmlTag(block, "changefreq"),
+          priority: isNaN(priority) ? null : priority,
+        });
+      }
+    }
+
+    // Fall back to bare <loc> tags for sitemaps without <url> wrappers
+    if (entries.length === 0) {
+      const locRegex = /<loc[^>]*>(.*?)<\/loc>/gi;
 
-      // Decode XML entities
-      url = url
-        .replace(/&amp;/g, "&")
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/&quot;/g, '"')
-        .replace(/&apos;/g, "'");
+      while ((match = locRegex.exec(xmlContent)) !== null) {
+        const loc = this._decodeXmlEntities(match[1].trim());
 
-      if (url && this._isValidUrl(url)) {
-        urls.push(url);
+        if (loc && this._isValidUrl(loc)) {
+          entries.push({ loc, lastmod: null, changefreq: null, priority: null });
+        }
       }
     }
 
-    return urls;
+    return entries;
+  }
+
+  /**
+   * Get the decoded text of the first <tag> in an XML fragment
+   * @private
+   */
+  static _getXmlTag(xmlFragment, tagName) {
+    const match = xmlFragment.match(
+      new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, "i")
+    );
+    if (!match) return null;
+
+    // Strip CDATA wrappers some generators emit
+    const value = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1");
+    return this._decodeXmlEntities(value.trim()) || null;
+  }
+
+  /**
+   * Decode XML entities
+   * @private
+   */
+  static _decodeXmlEntities(text) {
+    return text
+      .replace(/&amp;/g, "&")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'");
   }
 
   /**